@@ -0,0 +1,317 @@
+const { logger, getCorrelationId } = require("./logger")
+
+const TRIGGER_LOGS_COLLECTION = "triggerLogs"
+
+const GROUP_BY = ["automation", "post", "day"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_RANGE_DAYS = 30
+
+const CSV_COLUMNS = [
+  "key",
+  "triggersMatched",
+  "triggersSkipped",
+  "skipReasons",
+  "dmsSent",
+  "dmsFailed",
+  "dmsSkipped",
+  "commentReplies",
+  "recipients",
+  "replied",
+  "replyRate",
+  "clicks",
+  "clickers",
+  "convertedClickers",
+  "clickConversion",
+]
+
+async function ensureAnalyticsIndexes(db) {
+  await db.collection(TRIGGER_LOGS_COLLECTION).createIndex({ automationId: 1, createdAt: -1 })
+  await db.collection(TRIGGER_LOGS_COLLECTION).createIndex({ instagramAccountId: 1, createdAt: -1 })
+}
+
+// Record one trigger evaluation (source "comment" / "message") or a button click (source "button_click")
+// Analytics must never break processing, so failures are only logged.
+async function recordTriggerLog(db, { automation, account, source, sourceId, postId, recipientId, result }) {
+  try {
+    await db.collection(TRIGGER_LOGS_COLLECTION).insertOne({
+      automationId: automation._id,
+      userId: account.userId,
+      instagramAccountId: account._id,
+      source,
+      sourceId,
+      postId: postId || null,
+      recipientId,
+      matched: result.matched,
+      reason: result.reason,
+      keyword: result.keyword,
+      correlationId: getCorrelationId(),
+      createdAt: new Date(),
+    })
+  } catch (error) {
+    logger.error("Error recording trigger log", { automationId: automation._id, error })
+  }
+}
+
+// Parse the report query string: date range (defaults to the last 30 days), scope filters and grouping
+function parseReportQuery(query) {
+  const errors = []
+  const to = query.to ? new Date(query.to) : new Date()
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS)
+  const groupBy = query.groupBy || "automation"
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    errors.push("from and to must be ISO dates")
+  } else if (from > to) {
+    errors.push("from must be before to")
+  }
+
+  if (!GROUP_BY.includes(groupBy)) {
+    errors.push(`groupBy must be one of: ${GROUP_BY.join(", ")}`)
+  }
+
+  const scope = {}
+  for (const field of ["userId", "instagramAccountId", "automationId", "postId"]) {
+    if (query[field]) scope[field] = String(query[field])
+  }
+
+  return { errors, from, to, groupBy, scope }
+}
+
+// Expression for the grouping key of a document with the given date field
+function groupKey(groupBy, dateField) {
+  switch (groupBy) {
+    case "post":
+      return "$postId"
+    case "day":
+      return { $dateToString: { format: "%Y-%m-%d", date: `$${dateField}` } }
+    default:
+      return "$automationId"
+  }
+}
+
+function emptyRow(key) {
+  return {
+    key,
+    triggersMatched: 0,
+    triggersSkipped: 0,
+    skipReasons: {},
+    dmsSent: 0,
+    dmsFailed: 0,
+    dmsSkipped: 0,
+    commentReplies: 0,
+    recipients: 0,
+    replied: 0,
+    replyRate: 0,
+    clicks: 0,
+    clickers: 0,
+    convertedClickers: 0,
+    clickConversion: 0,
+  }
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0
+}
+
+// For each recipient, the time of their latest inbound message (recipients are Instagram-scoped sender IDs)
+async function getLastInboundTimes(db, recipientIds, scope) {
+  const contactFilter = { senderId: { $in: recipientIds } }
+  if (scope.instagramAccountId) contactFilter.instagramAccountId = scope.instagramAccountId
+  if (scope.userId) contactFilter.userId = scope.userId
+
+  const contacts = await db
+    .collection("contacts")
+    .find(contactFilter, { projection: { _id: 1, senderId: 1 } })
+    .toArray()
+
+  const lastInbound = await db
+    .collection("messages")
+    .aggregate([
+      { $match: { contactId: { $in: contacts.map((contact) => contact._id) }, fromMe: false } },
+      { $group: { _id: "$contactId", last: { $max: "$timestamp" } } },
+    ])
+    .toArray()
+
+  const byContact = new Map(lastInbound.map((item) => [item._id, item.last]))
+  return new Map(contacts.map((contact) => [contact.senderId, byContact.get(contact._id)]))
+}
+
+// Funnel report: trigger matches and skips, DM outcomes, reply rate and button-click conversion per group
+async function getAutomationReport(db, { from, to, groupBy, scope }) {
+  const match = { ...scope }
+  const inRange = (field) => ({ ...match, [field]: { $gte: from, $lte: to } })
+
+  const [triggers, clicks, directMessages, recipientFirstSends, commentReplies] = await Promise.all([
+    db
+      .collection(TRIGGER_LOGS_COLLECTION)
+      .aggregate([
+        { $match: { ...inRange("createdAt"), source: { $ne: "button_click" } } },
+        {
+          $group: {
+            _id: { key: groupKey(groupBy, "createdAt"), matched: "$matched", reason: "$reason" },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+    db
+      .collection(TRIGGER_LOGS_COLLECTION)
+      .aggregate([
+        { $match: { ...inRange("createdAt"), source: "button_click" } },
+        {
+          $group: { _id: groupKey(groupBy, "createdAt"), count: { $sum: 1 }, clickers: { $addToSet: "$recipientId" } },
+        },
+      ])
+      .toArray(),
+    db
+      .collection("directMessages")
+      .aggregate([
+        // Manual inbox replies and campaign sends aren't part of any automation's funnel
+        { $match: { ...inRange("sentAt"), isAutomated: { $ne: false }, campaignId: { $exists: false } } },
+        {
+          $group: {
+            _id: { key: groupKey(groupBy, "sentAt"), status: "$status", skipReason: "$skipReason" },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+    db
+      .collection("directMessages")
+      .aggregate([
+        {
+          $match: { ...inRange("sentAt"), status: "sent", isAutomated: { $ne: false }, campaignId: { $exists: false } },
+        },
+        {
+          $group: {
+            _id: { key: groupKey(groupBy, "sentAt"), recipientId: "$recipientId" },
+            firstSentAt: { $min: "$sentAt" },
+          },
+        },
+      ])
+      .toArray(),
+    db
+      .collection("commentReplies")
+      .aggregate([{ $match: inRange("sentAt") }, { $group: { _id: groupKey(groupBy, "sentAt"), count: { $sum: 1 } } }])
+      .toArray(),
+  ])
+
+  const rows = new Map()
+  const row = (key) => {
+    const id = key === undefined || key === null ? "(none)" : String(key)
+    if (!rows.has(id)) rows.set(id, emptyRow(id))
+    return rows.get(id)
+  }
+
+  for (const item of triggers) {
+    const target = row(item._id.key)
+    if (item._id.matched) {
+      target.triggersMatched += item.count
+    } else {
+      target.triggersSkipped += item.count
+      target.skipReasons[item._id.reason] = (target.skipReasons[item._id.reason] || 0) + item.count
+    }
+  }
+
+  for (const item of directMessages) {
+    const target = row(item._id.key)
+    if (item._id.status === "sent") target.dmsSent += item.count
+    else if (item._id.status === "failed") target.dmsFailed += item.count
+    else if (item._id.status === "skipped") {
+      // Matched but not sent, e.g. outside the messaging window
+      target.dmsSkipped += item.count
+      target.skipReasons[item._id.skipReason] = (target.skipReasons[item._id.skipReason] || 0) + item.count
+    }
+  }
+
+  for (const item of commentReplies) {
+    row(item._id).commentReplies += item.count
+  }
+
+  // A recipient replied if they messaged us after the first DM they got in this group
+  const lastInbound = await getLastInboundTimes(
+    db,
+    [...new Set(recipientFirstSends.map((item) => item._id.recipientId))],
+    scope,
+  )
+  const recipientsByKey = new Map()
+
+  for (const item of recipientFirstSends) {
+    const target = row(item._id.key)
+    const last = lastInbound.get(item._id.recipientId)
+
+    target.recipients++
+    if (last && last > item.firstSentAt) target.replied++
+
+    if (!recipientsByKey.has(target.key)) recipientsByKey.set(target.key, new Set())
+    recipientsByKey.get(target.key).add(item._id.recipientId)
+  }
+
+  for (const item of clicks) {
+    const target = row(item._id)
+    const recipients = recipientsByKey.get(target.key) || new Set()
+
+    target.clicks += item.count
+    target.clickers += item.clickers.length
+    // Only clicks from people this group actually messaged count as conversions
+    target.convertedClickers += item.clickers.filter((id) => recipients.has(id)).length
+  }
+
+  const result = [...rows.values()].sort((a, b) => a.key.localeCompare(b.key))
+
+  for (const item of result) {
+    item.replyRate = ratio(item.replied, item.recipients)
+    item.clickConversion = ratio(item.convertedClickers, item.recipients)
+  }
+
+  return result
+}
+
+// Sum report rows into a single totals row
+function sumReportRows(rows) {
+  const totals = emptyRow("total")
+
+  for (const item of rows) {
+    for (const field of CSV_COLUMNS) {
+      if (typeof item[field] === "number" && !["replyRate", "clickConversion"].includes(field)) {
+        totals[field] += item[field]
+      }
+    }
+    for (const [reason, count] of Object.entries(item.skipReasons)) {
+      totals.skipReasons[reason] = (totals.skipReasons[reason] || 0) + count
+    }
+  }
+
+  totals.replyRate = ratio(totals.replied, totals.recipients)
+  totals.clickConversion = ratio(totals.convertedClickers, totals.recipients)
+  return totals
+}
+
+function csvValue(value) {
+  const text =
+    value && typeof value === "object"
+      ? Object.entries(value)
+          .map(([key, count]) => `${key}=${count}`)
+          .join(" ")
+      : String(value ?? "")
+
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function reportToCsv(rows) {
+  return [CSV_COLUMNS.join(","), ...rows.map((item) => CSV_COLUMNS.map((field) => csvValue(item[field])).join(","))]
+    .join("\n")
+    .concat("\n")
+}
+
+module.exports = {
+  TRIGGER_LOGS_COLLECTION,
+  GROUP_BY,
+  ensureAnalyticsIndexes,
+  recordTriggerLog,
+  parseReportQuery,
+  getAutomationReport,
+  sumReportRows,
+  reportToCsv,
+}
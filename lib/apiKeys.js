@@ -0,0 +1,180 @@
+const crypto = require("crypto")
+const { ObjectId } = require("mongodb")
+const { logger } = require("./logger")
+
+const API_KEYS_COLLECTION = "apiKeys"
+
+const API_KEY_SCOPES = {
+  EVENTS_WRITE: "events:write",
+  AUTOMATIONS_READ: "automations:read",
+  AUTOMATIONS_WRITE: "automations:write",
+  INBOX: "inbox",
+  ANALYTICS: "analytics",
+  // Scraping GET /metrics, so a Prometheus server's key can't read anything else
+  METRICS: "metrics",
+  // Server-wide operations (scheduled jobs, managing other users' keys). Only valid on keys without a userId.
+  ADMIN: "admin",
+}
+const SCOPES = Object.values(API_KEY_SCOPES)
+
+const KEY_PREFIX = "iak_"
+// Old keys keep working this long after a rotation, so clients can switch over without downtime
+const DEFAULT_ROTATION_GRACE_SECONDS = Number(process.env.API_KEY_ROTATION_GRACE_SECONDS || 24 * 60 * 60)
+const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60
+// lastUsedAt is only written when it is older than this, so busy keys don't cost a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+
+async function ensureApiKeyIndexes(db) {
+  await db.collection(API_KEYS_COLLECTION).createIndex({ hash: 1 }, { unique: true })
+  await db.collection(API_KEYS_COLLECTION).createIndex({ userId: 1, createdAt: -1 })
+}
+
+// Keys are random, so a plain SHA-256 is enough; only the hash is stored
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+// Constant-time comparison of a presented key with a known one
+function keysMatch(key, expected) {
+  return crypto.timingSafeEqual(Buffer.from(hashKey(String(key))), Buffer.from(hashKey(String(expected))))
+}
+
+function generateKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`
+}
+
+// Validate a create request ({ name, userId, scopes, expiresAt }), returning a list of error messages
+function validateApiKey(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return ["Request body must be an object"]
+  }
+
+  const errors = []
+
+  if (!input.name || typeof input.name !== "string") {
+    errors.push("name is required")
+  }
+
+  if (input.userId !== undefined && input.userId !== null && typeof input.userId !== "string") {
+    errors.push("userId must be a string or null")
+  }
+
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+    errors.push(`scopes must be a non-empty array of: ${SCOPES.join(", ")}`)
+  } else {
+    for (const scope of input.scopes) {
+      if (!SCOPES.includes(scope)) {
+        errors.push(`Unknown scope: ${scope}`)
+      }
+    }
+    if (input.scopes.includes(API_KEY_SCOPES.ADMIN) && input.userId) {
+      errors.push("The admin scope can't be given to a key bound to a userId")
+    }
+  }
+
+  if (input.expiresAt !== undefined && input.expiresAt !== null && Number.isNaN(new Date(input.expiresAt).getTime())) {
+    errors.push("expiresAt must be an ISO date")
+  }
+
+  return errors
+}
+
+// Key as returned by the API: never the hash, and the key itself only when it is created or rotated
+function describeApiKey(apiKey) {
+  const { hash, ...rest } = apiKey
+  return rest
+}
+
+// Create a key and return { apiKey, key }. The plaintext key can't be recovered later.
+async function createApiKey(db, { name, userId, scopes, expiresAt, createdBy, rotatedFrom }) {
+  const key = generateKey()
+  const apiKey = {
+    _id: new ObjectId().toString(),
+    name,
+    userId: userId || null,
+    scopes: [...new Set(scopes)],
+    hash: hashKey(key),
+    // Enough to recognise a key in a list without being usable
+    hint: `${key.slice(0, KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    revokedAt: null,
+    lastUsedAt: null,
+    createdBy: createdBy || null,
+    rotatedFrom: rotatedFrom || null,
+    createdAt: new Date(),
+  }
+
+  await db.collection(API_KEYS_COLLECTION).insertOne(apiKey)
+
+  return { apiKey, key }
+}
+
+// Look up the key presented on a request. Returns the stored key, or null if it is unknown, revoked or expired.
+async function findApiKey(db, key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+    return null
+  }
+
+  const apiKey = await db.collection(API_KEYS_COLLECTION).findOne({ hash: hashKey(key) })
+  const now = new Date()
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    return null
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    db.collection(API_KEYS_COLLECTION)
+      .updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+      .catch((error) => logger.error("Error recording use of API key", { apiKeyId: apiKey._id, error }))
+  }
+
+  return apiKey
+}
+
+// Replace a key with a new one with the same name, owner and scopes. The old key stops working after the grace period.
+async function rotateApiKey(db, apiKey, { gracePeriodSeconds = DEFAULT_ROTATION_GRACE_SECONDS, createdBy } = {}) {
+  const grace = Math.min(Math.max(Number(gracePeriodSeconds) || 0, 0), MAX_ROTATION_GRACE_SECONDS)
+  const oldExpiresAt = new Date(Date.now() + grace * 1000)
+
+  const created = await createApiKey(db, {
+    name: apiKey.name,
+    userId: apiKey.userId,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    createdBy,
+    rotatedFrom: apiKey._id,
+  })
+
+  await db.collection(API_KEYS_COLLECTION).updateOne(
+    { _id: apiKey._id },
+    {
+      $set: {
+        rotatedTo: created.apiKey._id,
+        expiresAt: apiKey.expiresAt && apiKey.expiresAt < oldExpiresAt ? apiKey.expiresAt : oldExpiresAt,
+      },
+    },
+  )
+
+  return created
+}
+
+async function revokeApiKey(db, apiKey, revokedBy) {
+  await db
+    .collection(API_KEYS_COLLECTION)
+    .updateOne({ _id: apiKey._id, revokedAt: null }, { $set: { revokedAt: new Date(), revokedBy: revokedBy || null } })
+}
+
+module.exports = {
+  API_KEYS_COLLECTION,
+  API_KEY_SCOPES,
+  SCOPES,
+  ensureApiKeyIndexes,
+  hashKey,
+  keysMatch,
+  validateApiKey,
+  describeApiKey,
+  createApiKey,
+  findApiKey,
+  rotateApiKey,
+  revokeApiKey,
+}
@@ -0,0 +1,220 @@
+const { matchTrigger, validateTriggerSpec, describeTrigger } = require("./triggers")
+const {
+  MAX_MESSAGE_LENGTH,
+  buildTemplateContext,
+  validateTemplate,
+  renderTemplate,
+  renderAutomationMessage,
+  validateAutomationTemplates,
+} = require("./templates")
+const { buildMessages, validateRichMessage } = require("./messages")
+const { validateFlow } = require("./flows")
+const { validateTags } = require("./contacts")
+
+const AUTOMATION_TYPES = ["comment", "message"]
+
+// Fields the API lets clients set. Everything else (stats, pause bookkeeping, ownership) is managed by the server.
+const EDITABLE_FIELDS = [
+  "name",
+  "type",
+  "instagramAccountId",
+  "postId",
+  "trigger",
+  "triggerKeyword",
+  "message",
+  "richMessage",
+  "commentReply",
+  "replyToComments",
+  "contentMessage",
+  "contentRichMessage",
+  "addBranding",
+  "brandingMessage",
+  "rateLimit",
+  "flow",
+  "tags",
+  "active",
+]
+
+// Fields a client may send but that can't change after creation
+const IMMUTABLE_FIELDS = ["type", "instagramAccountId"]
+
+const MAX_RATE_LIMIT = 1000
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
+function checkType(errors, automation, field, type) {
+  const value = automation[field]
+  if (value !== undefined && value !== null && typeof value !== type) {
+    errors.push(`${field} must be a ${type}`)
+  }
+}
+
+// Validate the body of a create or update request, returning a list of error messages.
+// On update, `existing` is the stored automation and the body is checked as merged onto it.
+function validateAutomation(input, existing = null) {
+  if (!isPlainObject(input)) {
+    return ["Request body must be an object"]
+  }
+
+  const errors = []
+
+  for (const field of Object.keys(input)) {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      errors.push(`Unknown field: ${field}`)
+    } else if (
+      existing?.[field] !== undefined &&
+      IMMUTABLE_FIELDS.includes(field) &&
+      input[field] !== existing[field]
+    ) {
+      errors.push(`${field} can't be changed`)
+    }
+  }
+
+  const automation = { ...existing, ...input }
+
+  if (!AUTOMATION_TYPES.includes(automation.type)) {
+    errors.push(`type must be one of: ${AUTOMATION_TYPES.join(", ")}`)
+  }
+
+  if (!automation.instagramAccountId || typeof automation.instagramAccountId !== "string") {
+    errors.push("instagramAccountId is required")
+  }
+
+  for (const field of ["name", "triggerKeyword", "message", "commentReply", "contentMessage", "brandingMessage"]) {
+    checkType(errors, automation, field, "string")
+  }
+  for (const field of ["replyToComments", "addBranding", "active"]) {
+    checkType(errors, automation, field, "boolean")
+  }
+
+  if (automation.postId !== undefined && automation.postId !== null) {
+    if (typeof automation.postId !== "string") {
+      errors.push("postId must be a string or null")
+    } else if (automation.type === "message") {
+      errors.push("postId only applies to comment automations")
+    }
+  }
+
+  if (automation.replyToComments && automation.type === "message") {
+    errors.push("replyToComments only applies to comment automations")
+  }
+
+  // When both are present, trigger wins (see getTriggerSpec)
+  if (automation.trigger !== undefined && automation.trigger !== null) {
+    errors.push(...validateTriggerSpec(automation.trigger))
+  } else if (!automation.triggerKeyword) {
+    errors.push('trigger or triggerKeyword is required (use triggerKeyword "any" to match everything)')
+  }
+
+  if (
+    automation.rateLimit !== undefined &&
+    automation.rateLimit !== null &&
+    !(Number.isInteger(automation.rateLimit) && automation.rateLimit > 0 && automation.rateLimit <= MAX_RATE_LIMIT)
+  ) {
+    errors.push(`rateLimit must be a whole number between 1 and ${MAX_RATE_LIMIT}`)
+  }
+
+  if (!automation.message && !automation.richMessage && !automation.flow) {
+    errors.push("message, richMessage or flow is required")
+  }
+
+  if (typeof automation.message === "string" && automation.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`)
+  }
+
+  for (const [field, fieldErrors] of Object.entries(validateAutomationTemplates(automation))) {
+    errors.push(...fieldErrors.map((error) => `${field}: ${error}`))
+  }
+  errors.push(...validateTemplate(automation.contentMessage).map((error) => `contentMessage: ${error}`))
+
+  errors.push(...validateRichMessage(automation.richMessage))
+  errors.push(...validateRichMessage(automation.contentRichMessage).map((error) => `contentRichMessage: ${error}`))
+
+  if (automation.flow !== undefined && automation.flow !== null) {
+    errors.push(...validateFlow(automation.flow))
+  }
+
+  // Tags applied to every contact the automation reaches
+  if (automation.tags !== undefined && automation.tags !== null) {
+    errors.push(...validateTags(automation.tags))
+  }
+
+  return errors
+}
+
+// Copy only the client-editable fields out of a request body or stored automation
+function pickEditableFields(input) {
+  const result = {}
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) {
+      result[field] = input[field]
+    }
+  }
+  return result
+}
+
+// Evaluate automations against a sample comment or message without sending anything.
+// Mirrors the live pipeline: a comment fires at most one automation, a message can fire several.
+function dryRunAutomations(automations, { type, text, username, post, account }) {
+  const contact = { username: username || "", displayName: username || "" }
+  const comment = type === "comment" ? { id: "dry-run", text, from: { username } } : undefined
+  const message = type === "message" ? { text } : undefined
+
+  let fired = false
+
+  const results = automations.map((automation) => {
+    const trigger = matchTrigger(automation, text)
+    const result = {
+      automationId: automation._id,
+      name: automation.name,
+      active: automation.active !== false,
+      trigger: describeTrigger(automation),
+      matched: trigger.matched,
+      reason: trigger.reason,
+      keyword: trigger.keyword,
+      wouldFire: false,
+    }
+
+    if (!trigger.matched || !result.active || (type === "comment" && fired)) {
+      if (trigger.matched && type === "comment" && fired) result.reason = "earlier_automation_fired"
+      return result
+    }
+
+    fired = true
+    result.wouldFire = true
+
+    if (automation.flow) {
+      result.flow = { startStepId: automation.flow.startStepId || automation.flow.steps?.[0]?.id }
+      return result
+    }
+
+    const context = buildTemplateContext({ contact, comment, message, post, account, automation })
+
+    try {
+      const rendered = renderAutomationMessage(automation, context, "Thank you!")
+      result.message = rendered
+      result.payloads = buildMessages(automation, rendered)
+
+      if (type === "comment" && automation.replyToComments) {
+        result.commentReply = renderTemplate(automation.commentReply || "Thanks! Please check your DMs.", context)
+      }
+    } catch (error) {
+      result.wouldFire = false
+      result.error = String(error)
+    }
+
+    return result
+  })
+
+  return { type, text, fired: results.filter((result) => result.wouldFire).length, results }
+}
+
+module.exports = {
+  AUTOMATION_TYPES,
+  EDITABLE_FIELDS,
+  validateAutomation,
+  pickEditableFields,
+  dryRunAutomations,
+}
@@ -0,0 +1,366 @@
+const { ObjectId } = require("mongodb")
+const { enqueueJob } = require("./queue")
+const { MAX_MESSAGE_LENGTH, validateTemplate, renderTemplate } = require("./templates")
+const { validateRichMessage } = require("./messages")
+const { validateSegment, buildSegmentFilter } = require("./segments")
+
+const CAMPAIGNS_COLLECTION = "campaigns"
+const RECIPIENTS_COLLECTION = "campaignRecipients"
+
+const CAMPAIGN_BATCH_JOB = "campaign_batch"
+
+// draft → scheduled → running → completed, with paused and cancelled on the side
+const CAMPAIGN_STATUSES = ["draft", "scheduled", "running", "paused", "completed", "cancelled"]
+// A batch job only does anything while its campaign is in one of these
+const SENDABLE_STATUSES = ["scheduled", "running"]
+const RECIPIENT_STATUSES = ["pending", "sending", "sent", "failed", "skipped", "cancelled"]
+
+// Fields the API lets clients set
+const EDITABLE_FIELDS = [
+  "name",
+  "message",
+  "richMessage",
+  "segment",
+  "scheduledAt",
+  "batchSize",
+  "batchIntervalSeconds",
+]
+
+const DEFAULT_BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE || 25)
+const MAX_BATCH_SIZE = 100
+const DEFAULT_BATCH_INTERVAL_SECONDS = Number(process.env.CAMPAIGN_BATCH_INTERVAL_SECONDS || 60)
+const MAX_BATCH_INTERVAL_SECONDS = 24 * 60 * 60
+const INSERT_CHUNK_SIZE = 500
+// Transient Graph errors put a recipient back in the queue this many times before giving up on them
+const MAX_RECIPIENT_ATTEMPTS = 3
+// A recipient left in "sending" longer than this was claimed by a batch that crashed mid-send
+const RECIPIENT_CLAIM_LEASE_MS = Number(process.env.CAMPAIGN_RECIPIENT_LEASE_SECONDS || 300) * 1000
+// Rich message types that can go out without any text
+const TEXTLESS_RICH_TYPES = ["generic", "media"]
+
+async function ensureCampaignIndexes(db) {
+  await db.collection(CAMPAIGNS_COLLECTION).createIndex({ instagramAccountId: 1, createdAt: -1 })
+  await db.collection(RECIPIENTS_COLLECTION).createIndex({ campaignId: 1, contactId: 1 }, { unique: true })
+  await db.collection(RECIPIENTS_COLLECTION).createIndex({ campaignId: 1, status: 1, _id: 1 })
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
+// Postbacks route clicks to an automation, and a campaign has none to route them to
+function hasPostbacks(richMessage) {
+  if (richMessage?.type === "quick_replies") return true
+
+  const buttons = [
+    ...(richMessage?.buttons || []),
+    ...(richMessage?.elements || []).flatMap((item) => item.buttons || []),
+  ]
+  return buttons.some((button) => (button.type || "postback") === "postback")
+}
+
+// Validate the body of a create or update request, returning a list of error messages.
+// On update, `existing` is the stored campaign and the body is checked as merged onto it.
+function validateCampaign(input, existing = null) {
+  if (!isPlainObject(input)) {
+    return ["Request body must be an object"]
+  }
+
+  const errors = []
+
+  for (const field of Object.keys(input)) {
+    if (!EDITABLE_FIELDS.includes(field)) {
+      errors.push(`Unknown field: ${field}`)
+    }
+  }
+
+  const campaign = { ...existing, ...input }
+
+  if (!campaign.name || typeof campaign.name !== "string") {
+    errors.push("name is required")
+  }
+
+  if (campaign.message !== undefined && campaign.message !== null && typeof campaign.message !== "string") {
+    errors.push("message must be a string")
+  } else {
+    errors.push(...validateTemplate(campaign.message).map((error) => `message: ${error}`))
+  }
+
+  if (!campaign.message && !TEXTLESS_RICH_TYPES.includes(campaign.richMessage?.type)) {
+    errors.push(`message is required unless richMessage is one of: ${TEXTLESS_RICH_TYPES.join(", ")}`)
+  }
+
+  errors.push(...validateRichMessage(campaign.richMessage))
+  if (campaign.richMessage && hasPostbacks(campaign.richMessage)) {
+    errors.push("Campaign messages can't use quick replies or postback buttons, use web_url buttons instead")
+  }
+
+  if (campaign.segment === undefined || campaign.segment === null) {
+    errors.push("segment is required (use {} to target every contact)")
+  } else {
+    errors.push(...validateSegment(campaign.segment).map((error) => `segment: ${error}`))
+  }
+
+  if (
+    campaign.scheduledAt !== undefined &&
+    campaign.scheduledAt !== null &&
+    Number.isNaN(new Date(campaign.scheduledAt).getTime())
+  ) {
+    errors.push("scheduledAt must be an ISO date")
+  }
+
+  if (
+    campaign.batchSize !== undefined &&
+    !(Number.isInteger(campaign.batchSize) && campaign.batchSize > 0 && campaign.batchSize <= MAX_BATCH_SIZE)
+  ) {
+    errors.push(`batchSize must be a whole number between 1 and ${MAX_BATCH_SIZE}`)
+  }
+
+  if (
+    campaign.batchIntervalSeconds !== undefined &&
+    !(
+      Number.isInteger(campaign.batchIntervalSeconds) &&
+      campaign.batchIntervalSeconds >= 0 &&
+      campaign.batchIntervalSeconds <= MAX_BATCH_INTERVAL_SECONDS
+    )
+  ) {
+    errors.push(`batchIntervalSeconds must be a whole number between 0 and ${MAX_BATCH_INTERVAL_SECONDS}`)
+  }
+
+  return errors
+}
+
+// Copy the editable fields of a request body onto a campaign, normalising dates
+function pickCampaignFields(input) {
+  const fields = {}
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) {
+      fields[field] = input[field]
+    }
+  }
+
+  if (fields.scheduledAt) fields.scheduledAt = new Date(fields.scheduledAt)
+  return fields
+}
+
+// Render the campaign text for one contact. Campaigns are sent as-is, without the automation branding.
+function renderCampaignMessage(campaign, context) {
+  const text = renderTemplate(campaign.message || "", context)
+
+  if (!text.trim() && !TEXTLESS_RICH_TYPES.includes(campaign.richMessage?.type)) {
+    throw new Error("Rendered message is empty")
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Rendered message is ${text.length} characters, the limit is ${MAX_MESSAGE_LENGTH}`)
+  }
+
+  return text
+}
+
+// Queue the next batch. Each batch job carries the campaign's batch sequence number; bumping it here
+// invalidates any batch job queued before, so pausing and resuming can never leave two batch chains running.
+async function scheduleCampaignBatch(db, campaignId, runAt = new Date()) {
+  const result = await db
+    .collection(CAMPAIGNS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: campaignId },
+      { $inc: { batchSeq: 1 }, $set: { nextBatchAt: runAt, updatedAt: new Date() } },
+      { returnDocument: "after" },
+    )
+
+  await enqueueJob(db, CAMPAIGN_BATCH_JOB, { campaignId, batchSeq: result.value.batchSeq }, { runAt })
+  return result.value
+}
+
+// The campaign a batch job should work on, or null if the job is stale or the campaign stopped
+async function claimCampaignBatch(db, { campaignId, batchSeq }) {
+  return db.collection(CAMPAIGNS_COLLECTION).findOne({
+    _id: campaignId,
+    batchSeq,
+    status: { $in: SENDABLE_STATUSES },
+  })
+}
+
+// Whether the campaign is still allowed to send in the batch that was claimed
+async function isBatchCurrent(db, campaign) {
+  const count = await db.collection(CAMPAIGNS_COLLECTION).countDocuments({
+    _id: campaign._id,
+    batchSeq: campaign.batchSeq,
+    status: { $in: SENDABLE_STATUSES },
+  })
+  return count > 0
+}
+
+// Snapshot the segment into recipient rows when the campaign starts. Contacts that join the segment
+// later aren't added. Safe to run again after a crash: the unique index skips contacts already there.
+async function materializeRecipients(db, campaign) {
+  const cursor = db
+    .collection("contacts")
+    .find(buildSegmentFilter(campaign.instagramAccountId, campaign.segment), {
+      projection: { _id: 1, senderId: 1, username: 1 },
+    })
+    .sort({ _id: 1 })
+
+  let chunk = []
+  const flush = async () => {
+    if (chunk.length === 0) return
+    try {
+      await db.collection(RECIPIENTS_COLLECTION).insertMany(chunk, { ordered: false })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+    chunk = []
+  }
+
+  for await (const contact of cursor) {
+    chunk.push({
+      _id: new ObjectId().toString(),
+      campaignId: campaign._id,
+      contactId: contact._id,
+      recipientId: contact.senderId,
+      recipientUsername: contact.username,
+      status: "pending",
+      createdAt: new Date(),
+    })
+    if (chunk.length >= INSERT_CHUNK_SIZE) await flush()
+  }
+  await flush()
+
+  return db.collection(RECIPIENTS_COLLECTION).countDocuments({ campaignId: campaign._id })
+}
+
+// Take the next pending recipient. It is marked "sending" first so a crash mid-send never messages anyone twice.
+async function claimNextRecipient(db, campaignId) {
+  const result = await db
+    .collection(RECIPIENTS_COLLECTION)
+    .findOneAndUpdate(
+      { campaignId, status: "pending" },
+      { $set: { status: "sending", claimedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { _id: 1 }, returnDocument: "after" },
+    )
+
+  return result.value
+}
+
+// Fail recipients whose claim outlived the lease. The send may or may not have reached them, and putting them
+// back in the queue could message them twice, so they're recorded as interrupted instead. Returns how many.
+async function expireStaleRecipients(db, campaignId, now = new Date()) {
+  const result = await db.collection(RECIPIENTS_COLLECTION).updateMany(
+    { campaignId, status: "sending", claimedAt: { $lt: new Date(now.getTime() - RECIPIENT_CLAIM_LEASE_MS) } },
+    {
+      $set: {
+        status: "failed",
+        errorCategory: "interrupted",
+        error: "Sending was interrupted, the message may not have been delivered",
+        completedAt: now,
+      },
+    },
+  )
+
+  if (result.modifiedCount > 0) {
+    await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .updateOne({ _id: campaignId }, { $inc: { "stats.failed": result.modifiedCount } })
+  }
+  return result.modifiedCount
+}
+
+// Put a claimed recipient back, e.g. when the rate limiter said to wait
+async function requeueRecipient(db, recipient) {
+  await db
+    .collection(RECIPIENTS_COLLECTION)
+    .updateOne({ _id: recipient._id, status: "sending" }, { $set: { status: "pending" }, $unset: { claimedAt: "" } })
+}
+
+// Store a recipient's outcome ({ status: "sent" | "failed" | "skipped", ... }) and count it on the campaign
+async function recordRecipientResult(db, recipient, result) {
+  await db
+    .collection(RECIPIENTS_COLLECTION)
+    .updateOne({ _id: recipient._id }, { $set: { ...result, completedAt: new Date() } })
+  await db
+    .collection(CAMPAIGNS_COLLECTION)
+    .updateOne({ _id: recipient.campaignId }, { $inc: { [`stats.${result.status}`]: 1 } })
+}
+
+// Per-recipient outcome counts, skip and failure reasons, and how many recipients wrote back after the send
+async function getCampaignReport(db, campaign) {
+  const [byStatus, replied] = await Promise.all([
+    db
+      .collection(RECIPIENTS_COLLECTION)
+      .aggregate([
+        { $match: { campaignId: campaign._id } },
+        {
+          $group: {
+            _id: { status: "$status", skipReason: "$skipReason", errorCategory: "$errorCategory" },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray(),
+    db
+      .collection(RECIPIENTS_COLLECTION)
+      .aggregate([
+        { $match: { campaignId: campaign._id, status: "sent" } },
+        { $lookup: { from: "contacts", localField: "contactId", foreignField: "_id", as: "contact" } },
+        { $unwind: "$contact" },
+        { $match: { $expr: { $gt: ["$contact.lastInboundAt", "$sentAt"] } } },
+        { $count: "count" },
+      ])
+      .toArray(),
+  ])
+
+  const counts = Object.fromEntries(RECIPIENT_STATUSES.map((status) => [status, 0]))
+  const skipReasons = {}
+  const failureCategories = {}
+
+  for (const item of byStatus) {
+    const { status, skipReason, errorCategory } = item._id
+    counts[status] = (counts[status] || 0) + item.count
+
+    if (status === "skipped") skipReasons[skipReason] = (skipReasons[skipReason] || 0) + item.count
+    if (status === "failed") failureCategories[errorCategory] = (failureCategories[errorCategory] || 0) + item.count
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  const repliedCount = replied[0]?.count || 0
+
+  return {
+    campaignId: campaign._id,
+    status: campaign.status,
+    startedAt: campaign.startedAt || null,
+    completedAt: campaign.completedAt || null,
+    totalRecipients: total,
+    ...counts,
+    skipReasons,
+    failureCategories,
+    replied: repliedCount,
+    replyRate: counts.sent > 0 ? Math.round((repliedCount / counts.sent) * 1000) / 1000 : 0,
+  }
+}
+
+module.exports = {
+  CAMPAIGNS_COLLECTION,
+  RECIPIENTS_COLLECTION,
+  CAMPAIGN_BATCH_JOB,
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_BATCH_INTERVAL_SECONDS,
+  MAX_RECIPIENT_ATTEMPTS,
+  RECIPIENT_CLAIM_LEASE_MS,
+  ensureCampaignIndexes,
+  validateCampaign,
+  pickCampaignFields,
+  renderCampaignMessage,
+  scheduleCampaignBatch,
+  claimCampaignBatch,
+  isBatchCurrent,
+  materializeRecipients,
+  claimNextRecipient,
+  expireStaleRecipients,
+  requeueRecipient,
+  recordRecipientResult,
+  getCampaignReport,
+}
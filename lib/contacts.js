@@ -0,0 +1,140 @@
+const FIELD_NAME_PATTERN = /^[A-Za-z][\w]{0,39}$/
+const PARSE_TYPES = ["text", "email", "phone"]
+
+const MAX_TAG_LENGTH = 50
+const MAX_FIELD_VALUE_LENGTH = 500
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i
+// Loose on purpose: people type numbers with spaces, dots, dashes and brackets
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/
+
+async function ensureContactIndexes(db) {
+  await db.collection("contacts").createIndex({ instagramAccountId: 1, senderId: 1 })
+  await db.collection("contacts").createIndex({ instagramAccountId: 1, tags: 1 })
+  await db.collection("contacts").createIndex({ instagramAccountId: 1, lastInboundAt: -1 })
+}
+
+function parseEmail(text) {
+  const match = String(text || "").match(EMAIL_PATTERN)
+  return match ? match[0].toLowerCase() : null
+}
+
+// Normalise to digits with an optional leading +, or null if there's no plausible number
+function parsePhone(text) {
+  const match = String(text || "").match(PHONE_PATTERN)
+  if (!match) return null
+
+  const digits = match[0].replace(/\D/g, "")
+  if (digits.length < 7 || digits.length > 15) return null
+
+  return `${match[0].trim().startsWith("+") ? "+" : ""}${digits}`
+}
+
+// Turn free text into a field value of the given type, or null if it doesn't contain one
+function parseFieldValue(text, type = "text") {
+  switch (type) {
+    case "email":
+      return parseEmail(text)
+    case "phone":
+      return parsePhone(text)
+    default: {
+      const value = String(text ?? "").trim()
+      return value ? value.slice(0, MAX_FIELD_VALUE_LENGTH) : null
+    }
+  }
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase()
+}
+
+// Validate a list of tags, returning a list of error messages
+function validateTags(tags, path = "tags") {
+  if (!Array.isArray(tags)) {
+    return [`${path} must be an array of strings`]
+  }
+
+  const errors = []
+  tags.forEach((tag, index) => {
+    if (typeof tag !== "string" || !tag.trim() || tag.length > MAX_TAG_LENGTH) {
+      errors.push(`${path}[${index}] must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`)
+    }
+  })
+  return errors
+}
+
+// Validate custom field values ({ name: value }, null removes a field), returning a list of error messages
+function validateFields(fields) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    return ["fields must be an object"]
+  }
+
+  const errors = []
+  for (const [name, value] of Object.entries(fields)) {
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      errors.push(`Invalid field name: ${name}`)
+    } else if (value !== null && !["string", "number", "boolean"].includes(typeof value)) {
+      errors.push(`fields.${name} must be a string, number, boolean or null`)
+    } else if (typeof value === "string" && value.length > MAX_FIELD_VALUE_LENGTH) {
+      errors.push(`fields.${name} must be at most ${MAX_FIELD_VALUE_LENGTH} characters`)
+    }
+  }
+  return errors
+}
+
+// Add and remove tags on a contact
+async function updateContactTags(db, contactId, { add = [], remove = [] }) {
+  const update = { $set: { updatedAt: new Date() } }
+  if (add.length) update.$addToSet = { tags: { $each: add.map(normalizeTag) } }
+
+  await db.collection("contacts").updateOne({ _id: contactId }, update)
+
+  // $addToSet and $pull can't touch the same field in one update
+  if (remove.length) {
+    await db
+      .collection("contacts")
+      .updateOne({ _id: contactId }, { $pull: { tags: { $in: remove.map(normalizeTag) } } })
+  }
+}
+
+// Set custom fields on a contact; a null value removes the field
+async function setContactFields(db, contactId, fields) {
+  const update = { $set: { updatedAt: new Date() } }
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === null) {
+      update.$unset = { ...update.$unset, [`fields.${name}`]: "" }
+    } else {
+      update.$set[`fields.${name}`] = value
+    }
+  }
+
+  await db.collection("contacts").updateOne({ _id: contactId }, update)
+}
+
+// Remember which automation (and post) first brought a contact in. Later automations don't overwrite it.
+async function recordAcquisition(db, contactId, { automationId, postId, source }) {
+  await db.collection("contacts").updateOne(
+    { _id: contactId, acquisition: { $exists: false } },
+    {
+      $set: {
+        acquisition: { automationId, postId: postId || null, source, acquiredAt: new Date() },
+      },
+    },
+  )
+}
+
+module.exports = {
+  PARSE_TYPES,
+  FIELD_NAME_PATTERN,
+  ensureContactIndexes,
+  parseEmail,
+  parsePhone,
+  parseFieldValue,
+  normalizeTag,
+  validateTags,
+  validateFields,
+  updateContactTags,
+  setContactFields,
+  recordAcquisition,
+}
@@ -0,0 +1,113 @@
+// Cron expressions, evaluated in UTC so every instance agrees on when a job is due.
+// Five fields (minute hour day-of-month month day-of-week) or six with a leading seconds field.
+// Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5).
+
+const FIELDS = [
+  { name: "second", min: 0, max: 59 },
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 7 is accepted as Sunday too
+  { name: "dayOfWeek", min: 0, max: 7 },
+]
+
+const MAX_ITERATIONS = 10000
+
+function parseNumber(text, field, expression) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} "${text}" in cron expression "${expression}"`)
+  }
+
+  const value = Number(text)
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} out of range ${field.min}-${field.max} in "${expression}"`)
+  }
+  return value
+}
+
+function parseField(text, field, expression) {
+  const values = new Set()
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/")
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 }, expression)
+
+    let start = field.min
+    let end = field.max
+    if (range !== "*") {
+      const [from, to] = range.split("-")
+      start = parseNumber(from, field, expression)
+      // "5/15" means every 15 starting at 5
+      end = to !== undefined ? parseNumber(to, field, expression) : stepText !== undefined ? field.max : start
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range ${range} in cron expression "${expression}"`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === "dayOfWeek" && value === 7 ? 0 : value)
+    }
+  }
+
+  return { values, any: text === "*" }
+}
+
+// Parse a cron expression, throwing on anything invalid
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/)
+
+  if (parts.length === 5) {
+    parts.unshift("0")
+  } else if (parts.length !== 6) {
+    throw new Error(`Cron expression "${expression}" must have 5 or 6 fields`)
+  }
+
+  const schedule = { expression }
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression)
+  })
+  return schedule
+}
+
+// Standard cron: when both day fields are restricted, a day matching either one counts
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.values.has(date.getUTCDate())
+  const dayOfWeek = schedule.dayOfWeek.values.has(date.getUTCDay())
+
+  if (schedule.dayOfMonth.any) return dayOfWeek
+  if (schedule.dayOfWeek.any) return dayOfMonth
+  return dayOfMonth || dayOfWeek
+}
+
+// The first time strictly after `from` that matches the schedule
+function getNextRun(schedule, from = new Date()) {
+  const date = new Date(Math.floor(from.getTime() / 1000) * 1000 + 1000)
+
+  // Jump over whole months, days, hours and minutes that can't match instead of walking second by second
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!schedule.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1)
+      date.setUTCHours(0, 0, 0)
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+      date.setUTCHours(0, 0, 0)
+    } else if (!schedule.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0)
+    } else if (!schedule.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0)
+    } else if (!schedule.second.values.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1)
+    } else {
+      return date
+    }
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches`)
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+}
@@ -0,0 +1,77 @@
+const { EventEmitter } = require("events")
+
+// Events pushed to dashboard clients over /api/events
+const STREAM_EVENTS = {
+  MESSAGE_RECEIVED: "message.received",
+  CONTACT_CREATED: "contact.created",
+  DM_SENT: "dm.sent",
+  DM_FAILED: "dm.failed",
+  DM_SKIPPED: "dm.skipped",
+  COMMENT_REPLIED: "comment.replied",
+  AUTOMATION_TRIGGERED: "automation.triggered",
+  ACCOUNT_NEEDS_REAUTH: "account.needs_reauth",
+}
+
+// Recent events kept so a reconnecting client can catch up via Last-Event-ID
+const REPLAY_BUFFER_SIZE = Number(process.env.EVENT_REPLAY_BUFFER || 500)
+
+// In-process only: every server instance streams the events it produced itself
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+const recentEvents = []
+let lastEventId = 0
+
+function matchesFilter(event, filter) {
+  if (filter.userId && event.userId !== filter.userId) return false
+  if (filter.instagramAccountId && event.instagramAccountId !== filter.instagramAccountId) return false
+  if (filter.types?.length && !filter.types.includes(event.type)) return false
+  return true
+}
+
+// Publish an event. Scope is { userId, instagramAccountId }; data is whatever the client needs to render it.
+function publish(type, { userId, instagramAccountId } = {}, data = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    userId: userId || null,
+    instagramAccountId: instagramAccountId || null,
+    timestamp: new Date(),
+    data,
+  }
+
+  recentEvents.push(event)
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift()
+  }
+
+  emitter.emit("event", event)
+  return event
+}
+
+// Call handler for every event matching filter ({ userId, instagramAccountId, types }). Returns an unsubscribe function.
+function subscribe(filter, handler) {
+  const listener = (event) => {
+    if (matchesFilter(event, filter)) handler(event)
+  }
+
+  emitter.on("event", listener)
+  return () => emitter.off("event", listener)
+}
+
+// Buffered events after the given id that match filter
+function getEventsSince(id, filter) {
+  return recentEvents.filter((event) => event.id > id && matchesFilter(event, filter))
+}
+
+function getSubscriberCount() {
+  return emitter.listenerCount("event")
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  publish,
+  subscribe,
+  getEventsSince,
+  getSubscriberCount,
+}
@@ -0,0 +1,349 @@
+const { ObjectId } = require("mongodb")
+const { enqueueJob } = require("./queue")
+const { logger } = require("./logger")
+const { matchTrigger } = require("./triggers")
+const { validateTemplate } = require("./templates")
+const { validateRichMessage } = require("./messages")
+const { RateLimitError } = require("./rateLimiter")
+const {
+  PARSE_TYPES,
+  FIELD_NAME_PATTERN,
+  parseFieldValue,
+  validateTags,
+  updateContactTags,
+  setContactFields,
+} = require("./contacts")
+
+const FLOW_STEP_TYPES = ["send_message", "wait_for_reply", "branch", "delay", "tag", "set_field", "end"]
+
+// Statuses where the contact is still inside the flow
+const ACTIVE_FLOW_STATUSES = ["active", "waiting", "delayed"]
+
+// Guards against flows that loop back on themselves without waiting
+const MAX_STEPS_PER_RUN = 50
+const MAX_HISTORY = 50
+
+function getStep(flow, stepId) {
+  return flow.steps.find((step) => step.id === stepId)
+}
+
+// Validate a flow definition, returning a list of error messages
+function validateFlow(flow) {
+  const errors = []
+
+  if (!flow || typeof flow !== "object" || !Array.isArray(flow.steps) || flow.steps.length === 0) {
+    return ["flow.steps must be a non-empty array"]
+  }
+
+  const ids = new Set()
+  for (const step of flow.steps) {
+    if (!step.id) {
+      errors.push("Every flow step needs an id")
+    } else if (ids.has(step.id)) {
+      errors.push(`Duplicate flow step id: ${step.id}`)
+    }
+    ids.add(step.id)
+  }
+
+  if (flow.startStepId && !ids.has(flow.startStepId)) {
+    errors.push(`flow.startStepId references unknown step: ${flow.startStepId}`)
+  }
+
+  const checkRef = (step, field, value) => {
+    if (value !== undefined && !ids.has(value)) {
+      errors.push(`Step ${step.id}: ${field} references unknown step: ${value}`)
+    }
+  }
+
+  for (const step of flow.steps) {
+    if (!FLOW_STEP_TYPES.includes(step.type)) {
+      errors.push(`Step ${step.id}: type must be one of: ${FLOW_STEP_TYPES.join(", ")}`)
+      continue
+    }
+
+    checkRef(step, "next", step.next)
+
+    switch (step.type) {
+      case "send_message":
+        if (!step.message && !step.richMessage) {
+          errors.push(`Step ${step.id}: send_message needs a message or richMessage`)
+        }
+        for (const error of validateTemplate(step.message)) {
+          errors.push(`Step ${step.id}: ${error}`)
+        }
+        for (const error of validateRichMessage(step.richMessage)) {
+          errors.push(`Step ${step.id}: ${error}`)
+        }
+        break
+      case "wait_for_reply":
+        if (step.timeoutMs !== undefined && !(step.timeoutMs > 0)) {
+          errors.push(`Step ${step.id}: timeoutMs must be a positive number`)
+        }
+        checkRef(step, "timeoutNext", step.timeoutNext)
+        break
+      case "branch":
+        if (!Array.isArray(step.branches) || step.branches.length === 0) {
+          errors.push(`Step ${step.id}: branch needs at least one entry in branches`)
+          break
+        }
+        step.branches.forEach((branch, index) => {
+          if (!branch.trigger && !branch.payload) {
+            errors.push(`Step ${step.id}: branches[${index}] needs a trigger or payload`)
+          }
+          checkRef(step, `branches[${index}].next`, branch.next)
+        })
+        checkRef(step, "defaultNext", step.defaultNext)
+        break
+      case "delay":
+        if (!(step.delayMs > 0)) {
+          errors.push(`Step ${step.id}: delayMs must be a positive number`)
+        }
+        break
+      case "tag":
+        if (!Array.isArray(step.tags) || step.tags.length === 0) {
+          errors.push(`Step ${step.id}: tags must be a non-empty array`)
+        } else {
+          errors.push(...validateTags(step.tags).map((error) => `Step ${step.id}: ${error}`))
+        }
+        break
+      case "set_field":
+        if (!FIELD_NAME_PATTERN.test(step.field || "")) {
+          errors.push(`Step ${step.id}: field must be a valid field name`)
+        }
+        if (step.from !== "input" && (step.value === undefined || step.value === null)) {
+          errors.push(`Step ${step.id}: set_field needs a value or from: "input"`)
+        }
+        if (step.parse !== undefined && !PARSE_TYPES.includes(step.parse)) {
+          errors.push(`Step ${step.id}: parse must be one of: ${PARSE_TYPES.join(", ")}`)
+        }
+        checkRef(step, "invalidNext", step.invalidNext)
+        break
+    }
+  }
+
+  return errors
+}
+
+// Is the contact currently inside a flow (optionally a specific automation's flow)?
+function isInFlow(contact, automationId) {
+  const state = contact?.flowState
+  if (!state || !ACTIVE_FLOW_STATUSES.includes(state.status)) {
+    return false
+  }
+  return automationId === undefined || state.automationId === automationId
+}
+
+// Store the flow state on the contact through the contacts repository, so it works on either storage backend
+async function saveState(ctx, state) {
+  state.updatedAt = new Date()
+  ctx.contact.flowState = state
+
+  await ctx.contacts.update(ctx.contact._id, { $set: { flowState: state, updatedAt: new Date() } })
+}
+
+function recordHistory(state, step, detail) {
+  state.history = [...(state.history || []), { stepId: step.id, type: step.type, at: new Date(), ...detail }].slice(
+    -MAX_HISTORY,
+  )
+}
+
+// Pick the next step for a branch based on the contact's last reply, or the payload of the button or quick reply
+// they tapped (the button's own payload, unwrapped by parsePostbackPayload in lib/webhook.js)
+function chooseBranch(step, input) {
+  for (const branch of step.branches) {
+    if (branch.payload && input?.payload === branch.payload) {
+      return branch.next
+    }
+    if (branch.trigger && input?.text && matchTrigger({ trigger: branch.trigger }, input.text).matched) {
+      return branch.next
+    }
+  }
+  return step.defaultNext
+}
+
+function finish(state, status, error) {
+  state.status = status
+  state.completedAt = new Date()
+  if (error) state.error = error
+}
+
+// Execute steps until the flow waits, pauses for a delay or ends
+async function runFlow(ctx, state) {
+  const flow = ctx.automation.flow
+  let executed = 0
+  let messagesSent = 0
+
+  while (state.status === "active") {
+    if (++executed > MAX_STEPS_PER_RUN) {
+      finish(state, "failed", `Flow exceeded ${MAX_STEPS_PER_RUN} steps in a single run`)
+      break
+    }
+
+    const step = state.stepId ? getStep(flow, state.stepId) : null
+
+    if (!step) {
+      // Running off the end of a path is the same as an explicit end step
+      finish(state, state.stepId ? "failed" : "completed", state.stepId ? `Unknown step: ${state.stepId}` : undefined)
+      break
+    }
+
+    try {
+      switch (step.type) {
+        case "send_message":
+          await ctx.send(step, state)
+          messagesSent++
+          recordHistory(state, step)
+          state.stepId = step.next
+          break
+        case "wait_for_reply":
+          state.status = "waiting"
+          recordHistory(state, step)
+          if (step.timeoutMs) {
+            await enqueueJob(
+              ctx.db,
+              "flow_resume",
+              { contactId: ctx.contact._id, runId: state.runId, stepId: step.id, reason: "timeout" },
+              { runAt: new Date(Date.now() + step.timeoutMs) },
+            )
+          }
+          break
+        case "branch":
+          state.stepId = chooseBranch(step, state.lastInput)
+          recordHistory(state, step, { next: state.stepId })
+          break
+        case "delay":
+          state.status = "delayed"
+          state.resumeAt = new Date(Date.now() + step.delayMs)
+          recordHistory(state, step)
+          await enqueueJob(
+            ctx.db,
+            "flow_resume",
+            { contactId: ctx.contact._id, runId: state.runId, stepId: step.id, reason: "delay" },
+            { runAt: state.resumeAt },
+          )
+          break
+        case "tag":
+          await updateContactTags(ctx.db, ctx.contact._id, { add: step.tags })
+          recordHistory(state, step, { tags: step.tags })
+          state.stepId = step.next
+          break
+        case "set_field": {
+          // Typically captures an email or phone number from the reply a wait_for_reply step collected
+          const raw = step.from === "input" ? state.lastInput?.text : step.value
+          const value = step.from === "input" ? parseFieldValue(raw, step.parse) : raw
+
+          if (value === null || value === undefined) {
+            recordHistory(state, step, { invalid: true })
+            state.stepId = step.invalidNext !== undefined ? step.invalidNext : step.next
+            break
+          }
+
+          await setContactFields(ctx.db, ctx.contact._id, { [step.field]: value })
+          recordHistory(state, step, { field: step.field })
+          state.stepId = step.next
+          break
+        }
+        case "end":
+          recordHistory(state, step)
+          finish(state, "completed")
+          break
+        default:
+          finish(state, "failed", `Unknown step type: ${step.type}`)
+      }
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        // Out of sending capacity: stay on this step and try it again once the bucket refills
+        state.status = "delayed"
+        state.resumeAt = error.deferUntil
+        recordHistory(state, step, { deferred: true })
+        await enqueueJob(
+          ctx.db,
+          "flow_resume",
+          { contactId: ctx.contact._id, runId: state.runId, stepId: step.id, reason: "retry" },
+          { runAt: error.deferUntil },
+        )
+        break
+      }
+
+      logger.error("Error running flow step", { stepId: step.id, contactId: ctx.contact._id, error })
+      recordHistory(state, step, { error: String(error) })
+      finish(state, "failed", String(error))
+    }
+  }
+
+  await saveState(ctx, state)
+
+  return { status: state.status, stepId: state.stepId, messagesSent }
+}
+
+// Put a contact at the start of an automation's flow and run it
+async function startFlow(ctx) {
+  const flow = ctx.automation.flow
+
+  const state = {
+    runId: new ObjectId().toString(),
+    automationId: ctx.automation._id,
+    stepId: flow.startStepId || flow.steps[0].id,
+    status: "active",
+    lastInput: ctx.input || null,
+    history: [],
+    startedAt: new Date(),
+  }
+
+  logger.info("Starting flow", { automationId: ctx.automation._id, contactId: ctx.contact._id })
+
+  return runFlow(ctx, state)
+}
+
+// Feed an incoming reply or postback to a contact waiting in a flow
+async function handleFlowInput(ctx, input) {
+  const state = ctx.contact.flowState
+
+  if (!state || state.status !== "waiting") {
+    return { handled: false }
+  }
+
+  const step = getStep(ctx.automation.flow, state.stepId)
+
+  state.lastInput = input
+  state.status = "active"
+  state.stepId = step?.next
+
+  const result = await runFlow(ctx, state)
+  return { handled: true, ...result }
+}
+
+// Continue a flow after a delay, a reply timeout or a rate-limit retry. Stale jobs (the contact moved on) are ignored.
+async function resumeFlow(ctx, { runId, stepId, reason }) {
+  const state = ctx.contact.flowState
+
+  if (!state || state.runId !== runId || state.stepId !== stepId) {
+    return { resumed: false, reason: "stale" }
+  }
+
+  const step = getStep(ctx.automation.flow, stepId)
+
+  if (state.status === "delayed" && (reason === "delay" || reason === "retry")) {
+    // A retry re-runs the step that hit the rate limit; a finished delay moves on
+    if (reason === "delay") state.stepId = step?.next
+  } else if (reason === "timeout" && state.status === "waiting") {
+    state.stepId = step?.timeoutNext
+  } else {
+    return { resumed: false, reason: "stale" }
+  }
+
+  state.status = "active"
+  delete state.resumeAt
+
+  const result = await runFlow(ctx, state)
+  return { resumed: true, ...result }
+}
+
+module.exports = {
+  FLOW_STEP_TYPES,
+  validateFlow,
+  isInFlow,
+  startFlow,
+  handleFlowInput,
+  resumeFlow,
+}
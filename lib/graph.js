@@ -0,0 +1,309 @@
+const fetch = require("node-fetch")
+const { logger } = require("./logger")
+const { metrics } = require("./metrics")
+
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || "v18.0"
+
+// GRAPH_BASE_URL sends both hosts' calls to one server, e.g. the simulator in lib/graphSimulator.js
+const GRAPH_HOSTS = {
+  instagram: process.env.GRAPH_BASE_URL || process.env.INSTAGRAM_GRAPH_URL || "https://graph.instagram.com",
+  facebook: process.env.GRAPH_BASE_URL || process.env.FACEBOOK_GRAPH_URL || "https://graph.facebook.com",
+}
+
+const DEFAULT_TIMEOUT_MS = 10000
+const DEFAULT_RETRIES = 2
+const DEFAULT_BACKOFF_MS = 1000
+
+// Error categories callers branch on
+const ERROR_CATEGORIES = {
+  RETRYABLE: "retryable",
+  TOKEN_EXPIRED: "token_expired",
+  USER_BLOCKED: "user_blocked",
+  PERMANENT: "permanent",
+}
+
+// Throttling and transient server-side error codes
+const RETRYABLE_CODES = [1, 2, 4, 17, 32, 341, 368, 613, 80002, 80006]
+// The recipient can't be messaged (blocked us, deleted account, no matching user)
+const USER_BLOCKED_CODES = [551]
+const USER_BLOCKED_SUBCODES = [1545041, 2018001, 2018108, 2534014, 2534022]
+// Invalid or expired access tokens
+const TOKEN_EXPIRED_CODES = [102, 190]
+const TOKEN_EXPIRED_SUBCODES = [458, 459, 460, 463, 464, 467, 492]
+
+class GraphApiError extends Error {
+  constructor(message, { status, code, subcode, type, fbtraceId, category, response } = {}) {
+    super(message)
+    this.name = "GraphApiError"
+    this.status = status
+    this.code = code
+    this.subcode = subcode
+    this.type = type
+    this.fbtraceId = fbtraceId
+    this.category = category
+    this.response = response
+  }
+}
+
+// Classify a Graph API failure so callers know whether to retry, re-auth, or give up
+function classifyGraphError({ status, code, subcode, type, network } = {}) {
+  if (network) {
+    return ERROR_CATEGORIES.RETRYABLE
+  }
+
+  if (TOKEN_EXPIRED_CODES.includes(code) || TOKEN_EXPIRED_SUBCODES.includes(subcode)) {
+    return ERROR_CATEGORIES.TOKEN_EXPIRED
+  }
+
+  if (USER_BLOCKED_CODES.includes(code) || USER_BLOCKED_SUBCODES.includes(subcode)) {
+    return ERROR_CATEGORIES.USER_BLOCKED
+  }
+
+  if (RETRYABLE_CODES.includes(code) || status === 429 || status >= 500) {
+    return ERROR_CATEGORIES.RETRYABLE
+  }
+
+  if (type === "OAuthException" && status === 401) {
+    return ERROR_CATEGORIES.TOKEN_EXPIRED
+  }
+
+  return ERROR_CATEGORIES.PERMANENT
+}
+
+// Build a GraphApiError from a failed response body
+function parseGraphError(status, body) {
+  const error = body?.error || {}
+
+  const details = {
+    status,
+    code: error.code,
+    subcode: error.error_subcode,
+    type: error.type,
+    fbtraceId: error.fbtrace_id,
+    response: body,
+  }
+  details.category = classifyGraphError(details)
+
+  const message = error.message || `Graph API request failed with status ${status}`
+
+  return new GraphApiError(
+    `${message} (code ${details.code ?? "n/a"}, subcode ${details.subcode ?? "n/a"}, fbtrace_id ${details.fbtraceId ?? "n/a"})`,
+    details,
+  )
+}
+
+// Send every Graph API call to baseUrl from now on
+function setGraphBaseUrl(baseUrl) {
+  for (const host of Object.keys(GRAPH_HOSTS)) {
+    GRAPH_HOSTS[host] = baseUrl
+  }
+}
+
+// Validate the token strings stored on instagramAccounts
+function isUsableToken(token) {
+  return Boolean(token) && !token.includes("undefined") && !token.includes("null")
+}
+
+function buildUrl(host, path, params, versioned = true) {
+  const base = GRAPH_HOSTS[host]
+
+  if (!base) {
+    throw new Error(`Unknown Graph API host: ${host}`)
+  }
+
+  const prefix = versioned ? `/${GRAPH_API_VERSION}` : ""
+  const url = new URL(`${base.replace(/\/$/, "")}${prefix}/${String(path).replace(/^\//, "")}`)
+
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value)
+    }
+  }
+
+  return url.toString()
+}
+
+// Metrics label for a path: IDs (any segment with a digit) become :id so every media or user isn't its own series
+function endpointLabel(path) {
+  return String(path)
+    .replace(/^\//, "")
+    .split("/")
+    .map((segment) => (/\d/.test(segment) ? ":id" : segment))
+    .join("/")
+}
+
+// Make a Graph API request with timeout, retries and structured errors. POSTs aren't retried after network errors
+// or timeouts. The token always travels in the Authorization header, never in the query string.
+async function graphRequest({
+  host = "instagram",
+  path,
+  method = "GET",
+  token,
+  params,
+  body,
+  versioned = true,
+  retries = DEFAULT_RETRIES,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  backoffMs = DEFAULT_BACKOFF_MS,
+}) {
+  if (!isUsableToken(token)) {
+    throw new GraphApiError("Invalid access token format", { category: ERROR_CATEGORIES.TOKEN_EXPIRED })
+  }
+
+  const url = buildUrl(host, path, params, versioned)
+  const endpoint = endpointLabel(path)
+  let lastError
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const startedAt = Date.now()
+    const endTimer = metrics.graphRequestDuration.startTimer({ method, endpoint })
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        timeout: timeoutMs,
+      })
+
+      const text = await response.text()
+      endTimer({ status: response.status })
+      let data
+      try {
+        data = text ? JSON.parse(text) : {}
+      } catch (parseError) {
+        data = { raw: text }
+      }
+
+      if (!response.ok || data?.error) {
+        throw parseGraphError(response.status, data)
+      }
+
+      logger.debug("Graph API request", { method, path, status: response.status, durationMs: Date.now() - startedAt })
+      return data
+    } catch (error) {
+      lastError =
+        error instanceof GraphApiError
+          ? error
+          : new GraphApiError(`Graph API request failed: ${error.message}`, {
+              category: classifyGraphError({ network: true }),
+            })
+
+      const answered = lastError.status !== undefined
+      if (!answered) endTimer({ status: "network" })
+      metrics.graphErrors.inc({ endpoint, code: lastError.code ?? "", category: lastError.category })
+
+      // A POST that timed out or lost its connection may still have gone through (a DM sent, a reply posted),
+      // so it is only sent again when Graph answered with a throttling or server error
+      const retryable = lastError.category === ERROR_CATEGORIES.RETRYABLE && (answered || method !== "POST")
+
+      if (!retryable || attempt === retries) {
+        logger.warn("Graph API request failed", {
+          method,
+          path,
+          attempt,
+          durationMs: Date.now() - startedAt,
+          error: lastError,
+        })
+        break
+      }
+
+      const delay = backoffMs * Math.pow(2, attempt) + Math.floor(Math.random() * backoffMs)
+      logger.warn("Graph API request failed, retrying", { method, path, attempt, delayMs: delay, error: lastError })
+      await new Promise((resolve) => setTimeout(resolve, delay))
+    }
+  }
+
+  throw lastError
+}
+
+// See whether a Graph API host answers at all. No token is sent, so any HTTP response (usually an error) means it
+// is reachable; only network failures and timeouts mean it isn't.
+async function pingGraph({ host = "instagram", timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now()
+
+  try {
+    const response = await fetch(buildUrl(host, "", null, false), { timeout: timeoutMs })
+    await response.text()
+    return { reachable: true, httpStatus: response.status, latencyMs: Date.now() - startedAt }
+  } catch (error) {
+    return { reachable: false, error: error.message, latencyMs: Date.now() - startedAt }
+  }
+}
+
+// Send a DM from an Instagram account. payload is the Send API body ({ recipient, message, ... }).
+async function sendMessage(token, instagramId, payload, options = {}) {
+  return graphRequest({
+    path: `${instagramId}/messages`,
+    method: "POST",
+    token,
+    body: payload,
+    ...options,
+  })
+}
+
+// Publicly reply to a comment
+async function replyToComment(token, commentId, text, options = {}) {
+  return graphRequest({
+    path: `${commentId}/replies`,
+    method: "POST",
+    token,
+    body: { message: text },
+    ...options,
+  })
+}
+
+// Look up an Instagram user, e.g. fields "username"
+async function getUserProfile(token, userId, fields = "username", options = {}) {
+  return graphRequest({ path: userId, token, params: { fields }, ...options })
+}
+
+// Fetch media details
+async function getMedia(token, mediaId, fields = "id,permalink,caption", options = {}) {
+  return graphRequest({ path: mediaId, token, params: { fields }, ...options })
+}
+
+// Resolve the Instagram business account linked to a Facebook page
+async function getPageInstagramAccount(token, pageId, options = {}) {
+  const data = await graphRequest({
+    host: "facebook",
+    path: pageId,
+    token,
+    params: { fields: "instagram_business_account" },
+    ...options,
+  })
+
+  return data.instagram_business_account || null
+}
+
+// Exchange a long-lived Instagram user token for a fresh one ({ access_token, token_type, expires_in })
+async function refreshInstagramToken(token, options = {}) {
+  return graphRequest({
+    path: "refresh_access_token",
+    versioned: false,
+    token,
+    params: { grant_type: "ig_refresh_token" },
+    ...options,
+  })
+}
+
+module.exports = {
+  GRAPH_API_VERSION,
+  GRAPH_HOSTS,
+  ERROR_CATEGORIES,
+  GraphApiError,
+  classifyGraphError,
+  parseGraphError,
+  setGraphBaseUrl,
+  isUsableToken,
+  graphRequest,
+  pingGraph,
+  sendMessage,
+  replyToComment,
+  getUserProfile,
+  getMedia,
+  getPageInstagramAccount,
+  refreshInstagramToken,
+}
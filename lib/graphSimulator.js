@@ -0,0 +1,452 @@
+const crypto = require("crypto")
+const express = require("express")
+const bodyParser = require("body-parser")
+const { logger } = require("./logger")
+
+// A stand-in for graph.instagram.com and graph.facebook.com, for running the server offline and for tests.
+// It answers the calls lib/graph.js makes, records every call, and can be told to fail the way the real API
+// does (rate limits, expired tokens, blocked users, 5xx, dropped connections).
+//
+// Point the server at it with GRAPH_SIMULATOR=true (started in-process on GRAPH_SIMULATOR_PORT), or run it on
+// its own with `node lib/graphSimulator.js` and set GRAPH_BASE_URL. It is controlled over HTTP under
+// /__simulator (see the routes below) or, in tests, through the object createGraphSimulator() returns.
+
+const DEFAULT_PORT = 4010
+const MAX_RECORDED_CALLS = 1000
+// Refreshed tokens are valid this long, like long-lived Instagram tokens
+const TOKEN_LIFETIME_SECONDS = 60 * 24 * 60 * 60
+
+// Error responses for the failures that can be injected, with the codes the real API uses (see lib/graph.js
+// for how each is classified)
+const FAULTS = {
+  rate_limit: {
+    status: 400,
+    error: { message: "(#4) Application request limit reached", type: "OAuthException", code: 4, is_transient: true },
+  },
+  user_rate_limit: {
+    status: 400,
+    error: { message: "(#17) User request limit reached", type: "OAuthException", code: 17, is_transient: true },
+  },
+  token_expired: {
+    status: 400,
+    error: {
+      message: "Error validating access token: Session has expired",
+      type: "OAuthException",
+      code: 190,
+      error_subcode: 463,
+    },
+  },
+  user_blocked: {
+    status: 400,
+    error: {
+      message: "This person isn't available right now.",
+      type: "OAuthException",
+      code: 551,
+      error_subcode: 1545041,
+    },
+  },
+  server_error: {
+    status: 500,
+    error: {
+      message: "An unexpected error has occurred. Please retry your request later.",
+      type: "OAuthException",
+      code: 2,
+      is_transient: true,
+    },
+  },
+  invalid_parameter: {
+    status: 400,
+    error: { message: "(#100) Invalid parameter", type: "OAuthException", code: 100 },
+  },
+  // The connection is dropped without a response
+  network: { network: true },
+}
+
+function randomId(prefix = "") {
+  return `${prefix}${crypto.randomBytes(8).toString("hex")}`
+}
+
+function graphError(fault) {
+  return { error: { ...fault.error, fbtrace_id: randomId("Sim") } }
+}
+
+function unsupportedRequest(id) {
+  return {
+    status: 400,
+    error: {
+      message: `Unsupported get request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation`,
+      type: "GraphMethodException",
+      code: 100,
+      error_subcode: 33,
+    },
+  }
+}
+
+// Only the requested fields, like the real API
+function pickFields(object, fields) {
+  if (!fields) return object
+  const result = { id: object.id }
+  for (const field of String(fields).split(",")) {
+    if (object[field] !== undefined) result[field] = object[field]
+  }
+  return result
+}
+
+// Check an injected fault spec, returning a list of error messages
+function validateFault(input) {
+  const errors = []
+
+  if (!input || typeof input !== "object") {
+    return ["Fault must be an object"]
+  }
+  if (!input.type && !input.status) {
+    errors.push(`type must be one of: ${Object.keys(FAULTS).join(", ")}, or give a status and error`)
+  }
+  if (input.type && !FAULTS[input.type]) {
+    errors.push(`Unknown fault type: ${input.type}`)
+  }
+  if (input.times !== undefined && !(Number.isInteger(input.times) && input.times > 0)) {
+    errors.push("times must be a positive integer")
+  }
+  if (input.delayMs !== undefined && !(Number(input.delayMs) >= 0)) {
+    errors.push("delayMs must be a non-negative number")
+  }
+
+  return errors
+}
+
+function createGraphSimulator() {
+  const state = {
+    calls: [],
+    faults: [],
+    media: new Map(),
+    users: new Map(),
+    pages: new Map(),
+    // token -> the account it belongs to, for /me
+    accounts: new Map(),
+    expiredTokens: new Set(),
+    blockedUsers: new Set(),
+  }
+
+  function reset() {
+    state.calls = []
+    state.faults = []
+    state.media.clear()
+    state.users.clear()
+    state.pages.clear()
+    state.accounts.clear()
+    state.expiredTokens.clear()
+    state.blockedUsers.clear()
+  }
+
+  // Fail matching requests: { type, method, path, token, times, delayMs }, or { status, error } for a custom
+  // response. `path` matches any request path containing it ("/messages", a media ID, ...). Applies once by
+  // default; `times` makes it apply to that many requests.
+  function injectFault(input) {
+    const errors = validateFault(input)
+    if (errors.length > 0) {
+      throw new Error(`Invalid fault: ${errors.join(", ")}`)
+    }
+
+    const fault = {
+      id: randomId("fault_"),
+      type: input.type || "custom",
+      method: input.method ? String(input.method).toUpperCase() : null,
+      path: input.path || null,
+      token: input.token || null,
+      remaining: input.times || 1,
+      delayMs: Number(input.delayMs) || 0,
+      response: input.type ? FAULTS[input.type] : { status: input.status, error: input.error || {} },
+    }
+    state.faults.push(fault)
+    return fault
+  }
+
+  function takeFault(call) {
+    const fault = state.faults.find(
+      (candidate) =>
+        candidate.remaining > 0 &&
+        (!candidate.method || candidate.method === call.method) &&
+        (!candidate.path || call.path.includes(candidate.path)) &&
+        (!candidate.token || candidate.token === call.token),
+    )
+    if (!fault) return null
+
+    fault.remaining--
+    state.faults = state.faults.filter((candidate) => candidate.remaining > 0)
+    return fault
+  }
+
+  // The response for a request that isn't failed on purpose: { status, body }
+  function respond(call, query, body) {
+    const segments = call.path.split("/").filter(Boolean)
+    const [id, edge] = segments
+
+    if (call.method === "GET" && id === "refresh_access_token") {
+      return {
+        status: 200,
+        body: { access_token: call.token, token_type: "bearer", expires_in: TOKEN_LIFETIME_SECONDS },
+      }
+    }
+
+    if (call.method === "POST" && edge === "messages") {
+      const recipient = body?.recipient || {}
+      if (!recipient.id && !recipient.comment_id) {
+        return { status: 400, body: graphError(FAULTS.invalid_parameter) }
+      }
+      if (recipient.id && state.blockedUsers.has(recipient.id)) {
+        return { status: 400, body: graphError(FAULTS.user_blocked) }
+      }
+      return { status: 200, body: { recipient_id: recipient.id || randomId(), message_id: randomId("m_") } }
+    }
+
+    if (call.method === "POST" && edge === "replies") {
+      if (!body?.message) {
+        return { status: 400, body: graphError(FAULTS.invalid_parameter) }
+      }
+      return { status: 200, body: { id: randomId() } }
+    }
+
+    if (call.method !== "GET" || edge) {
+      return { status: 400, body: graphError(unsupportedRequest(call.path)) }
+    }
+
+    const fields = query.fields
+
+    if (id === "me") {
+      const account = state.accounts.get(call.token) || { id: "17841400000000000", username: "simulated_account" }
+      return { status: 200, body: pickFields(account, fields) }
+    }
+
+    if (state.pages.has(id)) {
+      const page = state.pages.get(id)
+      return {
+        status: 200,
+        body: pickFields(
+          { id, name: page.name, instagram_business_account: page.instagramId ? { id: page.instagramId } : undefined },
+          fields,
+        ),
+      }
+    }
+
+    if (state.media.has(id)) {
+      const media = state.media.get(id)
+      // Media only resolves with the owning account's token
+      if (media.token && media.token !== call.token) {
+        return { status: 400, body: graphError(unsupportedRequest(id)) }
+      }
+      return { status: 200, body: pickFields(media, fields) }
+    }
+
+    if (state.users.has(id)) {
+      return { status: 200, body: pickFields(state.users.get(id), fields) }
+    }
+
+    // Anything else is made up on the spot, so unseeded IDs still work
+    const requested = String(fields || "").split(",")
+    if (requested.includes("instagram_business_account")) {
+      return { status: 200, body: { id } }
+    }
+    if (requested.includes("permalink") || requested.includes("caption")) {
+      return {
+        status: 200,
+        body: pickFields({ id, permalink: `https://www.instagram.com/p/${id}/`, caption: "" }, fields),
+      }
+    }
+    return { status: 200, body: pickFields({ id, username: `user_${id}` }, fields) }
+  }
+
+  const app = express()
+  app.use(bodyParser.json())
+
+  // ---- Control API ----
+
+  app.get("/__simulator/calls", (req, res) => {
+    let calls = state.calls
+    if (req.query.method) calls = calls.filter((call) => call.method === String(req.query.method).toUpperCase())
+    if (req.query.path) calls = calls.filter((call) => call.path.includes(String(req.query.path)))
+    res.json({ calls })
+  })
+
+  app.delete("/__simulator/calls", (req, res) => {
+    state.calls = []
+    res.json({ success: true })
+  })
+
+  app.get("/__simulator/faults", (req, res) => {
+    res.json({ faults: state.faults })
+  })
+
+  // Body: a fault or a list of them (see injectFault)
+  app.post("/__simulator/faults", (req, res) => {
+    const inputs = Array.isArray(req.body) ? req.body : [req.body]
+    const errors = inputs.flatMap(validateFault)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid fault", details: errors })
+    }
+
+    res.status(201).json({ faults: inputs.map(injectFault) })
+  })
+
+  app.delete("/__simulator/faults", (req, res) => {
+    state.faults = []
+    res.json({ success: true })
+  })
+
+  // Body: { media, users, pages, accounts, expiredTokens, blockedUsers }, each a list (see the methods below)
+  app.post("/__simulator/fixtures", (req, res) => {
+    const { media = [], users = [], pages = [], accounts = [], expiredTokens = [], blockedUsers = [] } = req.body || {}
+
+    media.forEach(simulator.addMedia)
+    users.forEach(simulator.addUser)
+    pages.forEach(simulator.addPage)
+    accounts.forEach(simulator.addAccount)
+    expiredTokens.forEach(simulator.expireToken)
+    blockedUsers.forEach(simulator.blockUser)
+
+    res.json({ success: true })
+  })
+
+  app.post("/__simulator/reset", (req, res) => {
+    reset()
+    res.json({ success: true })
+  })
+
+  // ---- Graph API ----
+
+  app.use(async (req, res) => {
+    const authHeader = req.headers.authorization || ""
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice("Bearer ".length) : req.query.access_token
+    // Versioned and unversioned paths are answered alike
+    const path = req.path.replace(/^\/v\d+\.\d+(?=\/)/, "")
+
+    const call = {
+      id: randomId("call_"),
+      method: req.method,
+      path,
+      query: { ...req.query },
+      body: req.body && Object.keys(req.body).length > 0 ? req.body : undefined,
+      token: token || null,
+      at: new Date(),
+    }
+    state.calls.push(call)
+    if (state.calls.length > MAX_RECORDED_CALLS) state.calls.shift()
+
+    const fault = takeFault(call)
+    if (fault?.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, fault.delayMs))
+    }
+
+    if (fault?.response.network) {
+      call.fault = fault.type
+      call.status = null
+      return req.socket.destroy()
+    }
+
+    let result
+    if (fault) {
+      call.fault = fault.type
+      result = { status: fault.response.status, body: graphError(fault.response) }
+    } else if (!token) {
+      result = {
+        status: 400,
+        body: graphError({
+          error: {
+            message: "An active access token must be used to query information",
+            type: "OAuthException",
+            code: 2500,
+          },
+        }),
+      }
+    } else if (state.expiredTokens.has(token)) {
+      result = { status: 400, body: graphError(FAULTS.token_expired) }
+    } else {
+      result = respond(call, req.query, req.body)
+    }
+
+    call.status = result.status
+    call.response = result.body
+    res.status(result.status).json(result.body)
+  })
+
+  const simulator = {
+    app,
+
+    // Calls received so far, oldest first
+    get calls() {
+      return state.calls
+    },
+
+    injectFault,
+
+    clearFaults() {
+      state.faults = []
+    },
+
+    clearCalls() {
+      state.calls = []
+    },
+
+    reset,
+
+    // { id, caption, permalink, token }. With a token, only that token can read the media.
+    addMedia(media) {
+      state.media.set(String(media.id), {
+        permalink: `https://www.instagram.com/p/${media.id}/`,
+        caption: "",
+        ...media,
+        id: String(media.id),
+      })
+    },
+
+    // { id, username }
+    addUser(user) {
+      state.users.set(String(user.id), { ...user, id: String(user.id) })
+    },
+
+    // { id, name, instagramId }: a Facebook page and the Instagram business account linked to it
+    addPage(page) {
+      state.pages.set(String(page.id), { ...page, id: String(page.id) })
+    },
+
+    // { token, id, username }: who /me is for a token
+    addAccount(account) {
+      const { token, ...profile } = account
+      state.accounts.set(token, { ...profile, id: String(profile.id) })
+    },
+
+    expireToken(token) {
+      state.expiredTokens.add(token)
+    },
+
+    blockUser(userId) {
+      state.blockedUsers.add(String(userId))
+    },
+
+    // Start serving on a port (0 picks a free one). Resolves to { url, close }.
+    listen(port = DEFAULT_PORT) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+          const url = `http://localhost:${server.address().port}`
+          resolve({ url, close: () => new Promise((done) => server.close(done)) })
+        })
+        server.on("error", reject)
+      })
+    },
+  }
+
+  return simulator
+}
+
+module.exports = {
+  FAULTS,
+  createGraphSimulator,
+}
+
+// Run on its own: node lib/graphSimulator.js
+if (require.main === module) {
+  createGraphSimulator()
+    .listen(Number(process.env.GRAPH_SIMULATOR_PORT) || DEFAULT_PORT)
+    .then(({ url }) => logger.info("Graph API simulator listening; point GRAPH_BASE_URL at it", { url }))
+}
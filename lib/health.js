@@ -0,0 +1,192 @@
+const { getBacklog } = require("./metrics")
+const { getQueueLag } = require("./queue")
+const { pingGraph } = require("./graph")
+const { TOKEN_STATUSES, getTokenStatus } = require("./tokens")
+
+// Dependency checks behind GET /health/ready and GET /api/admin/health. Only the database decides readiness, since
+// no route works without it. The other checks report "degraded", so monitoring can tell something is wrong while the
+// server keeps accepting events.
+
+const CHECK_STATUSES = {
+  OK: "ok",
+  DEGRADED: "degraded",
+  DOWN: "down",
+  SKIPPED: "skipped",
+}
+
+const DATABASE_TIMEOUT_MS = Number(process.env.HEALTH_DATABASE_TIMEOUT_MS || 2000)
+// A backlog or runnable job older than this means processing has stalled
+const MAX_BACKLOG_AGE_SECONDS = Number(process.env.HEALTH_MAX_BACKLOG_AGE_SECONDS || 15 * 60)
+// Graph reachability is cached so frequent probes don't become a stream of requests to Meta
+const GRAPH_CHECK_INTERVAL_MS = Number(process.env.HEALTH_GRAPH_CHECK_INTERVAL_MS || 60 * 1000)
+// A scheduled job whose next run is this far in the past isn't being run by any instance
+const SCHEDULE_GRACE_MS = 5 * 60 * 1000
+
+// MongoDB server types that take writes
+const WRITABLE_SERVER_TYPES = new Set(["Standalone", "Mongos", "RSPrimary", "LoadBalancer"])
+
+// The latest Graph ping, kept as a promise so probes that arrive while it is in flight share it
+let graphCheck = null
+
+// For a MongoClient topologyDescriptionChanged event: is there a server the routes can write to?
+function hasWritableServer(topologyDescription) {
+  return [...topologyDescription.servers.values()].some((server) => WRITABLE_SERVER_TYPES.has(server.type))
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+async function checkDatabase(db) {
+  if (!db) {
+    return { status: CHECK_STATUSES.DOWN, error: "Not connected" }
+  }
+
+  const startedAt = Date.now()
+  try {
+    await withTimeout(db.command({ ping: 1 }), DATABASE_TIMEOUT_MS, `No reply to ping within ${DATABASE_TIMEOUT_MS}ms`)
+    return { status: CHECK_STATUSES.OK, latencyMs: Date.now() - startedAt }
+  } catch (error) {
+    return { status: CHECK_STATUSES.DOWN, latencyMs: Date.now() - startedAt, error: error.message }
+  }
+}
+
+// Token status of every account. Accounts that need re-authentication have their automations paused.
+async function checkTokens(db) {
+  const accounts = await db.collection("instagramAccounts").find({}).toArray()
+  const counts = Object.fromEntries(Object.values(TOKEN_STATUSES).map((status) => [status, 0]))
+
+  const details = accounts.map((account) => {
+    const status = getTokenStatus(account)
+    counts[status]++
+    return {
+      instagramAccountId: account._id,
+      username: account.username,
+      userId: account.userId,
+      status,
+      tokenExpiresAt: account.tokenExpiresAt || null,
+      tokenCheckedAt: account.tokenCheckedAt || null,
+      needsReauthSince: account.needsReauthSince || null,
+      lastError: account.tokenError || account.tokenRefreshError || null,
+    }
+  })
+
+  return {
+    status: counts[TOKEN_STATUSES.NEEDS_REAUTH] > 0 ? CHECK_STATUSES.DEGRADED : CHECK_STATUSES.OK,
+    counts,
+    accounts: details,
+  }
+}
+
+async function checkGraph() {
+  if (!graphCheck || Date.now() - graphCheck.startedAt > GRAPH_CHECK_INTERVAL_MS) {
+    graphCheck = {
+      startedAt: Date.now(),
+      result: pingGraph({ timeoutMs: 5000 }).then((ping) => ({ ...ping, checkedAt: new Date() })),
+    }
+  }
+
+  const result = await graphCheck.result
+
+  return {
+    status: result.reachable ? CHECK_STATUSES.OK : CHECK_STATUSES.DEGRADED,
+    ...result,
+  }
+}
+
+// Age of the oldest unprocessed message, comment and runnable job
+async function checkBacklog(db) {
+  const backlog = await getBacklog(db)
+  const jobs = { oldestAgeSeconds: await getQueueLag(db) }
+
+  const stalled = [...Object.values(backlog), jobs].some((entry) => entry.oldestAgeSeconds > MAX_BACKLOG_AGE_SECONDS)
+
+  return {
+    status: stalled ? CHECK_STATUSES.DEGRADED : CHECK_STATUSES.OK,
+    maxAgeSeconds: MAX_BACKLOG_AGE_SECONDS,
+    ...backlog,
+    jobs,
+  }
+}
+
+// Whether each scheduled job ran when it should have and its last run succeeded
+async function checkScheduledJobs(scheduler) {
+  if (!scheduler) {
+    return { status: CHECK_STATUSES.DEGRADED, error: "Scheduler not started" }
+  }
+
+  const now = Date.now()
+  const jobs = (await scheduler.list()).map((job) => {
+    let status = "ok"
+    if (job.paused) status = "paused"
+    else if (job.nextRunAt && now - new Date(job.nextRunAt).getTime() > SCHEDULE_GRACE_MS) status = "overdue"
+    else if (job.lastStatus === "failed") status = "failing"
+
+    return {
+      name: job.name,
+      status,
+      lastRunAt: job.lastRunAt,
+      lastStatus: job.lastStatus,
+      lastSuccessAt: job.lastSuccessAt,
+      nextRunAt: job.nextRunAt,
+    }
+  })
+
+  const unhealthy = jobs.some((job) => job.status === "overdue" || job.status === "failing")
+
+  return { status: unhealthy ? CHECK_STATUSES.DEGRADED : CHECK_STATUSES.OK, jobs }
+}
+
+// A check that throws is reported as degraded instead of failing the whole report
+async function runCheck(check) {
+  try {
+    return await check()
+  } catch (error) {
+    return { status: CHECK_STATUSES.DEGRADED, error: error.message }
+  }
+}
+
+// Run every check. status is "ok", "degraded" (ready, but something needs attention) or "unavailable" (not ready).
+async function getHealthReport({ db, scheduler }) {
+  const database = await checkDatabase(db)
+
+  if (database.status !== CHECK_STATUSES.OK) {
+    const skipped = { status: CHECK_STATUSES.SKIPPED }
+    return {
+      status: "unavailable",
+      checks: { database, tokens: skipped, graph: skipped, backlog: skipped, scheduledJobs: skipped },
+    }
+  }
+
+  const [tokens, graph, backlog, scheduledJobs] = await Promise.all([
+    runCheck(() => checkTokens(db)),
+    runCheck(() => checkGraph()),
+    runCheck(() => checkBacklog(db)),
+    runCheck(() => checkScheduledJobs(scheduler)),
+  ])
+  const checks = { database, tokens, graph, backlog, scheduledJobs }
+
+  const degraded = Object.values(checks).some((check) => check.status !== CHECK_STATUSES.OK)
+
+  return { status: degraded ? "degraded" : "ok", checks }
+}
+
+// The report without per-account and per-job details, for unauthenticated probes
+function summarizeHealthReport(report) {
+  return {
+    status: report.status,
+    checks: Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, { status: check.status }])),
+  }
+}
+
+module.exports = {
+  CHECK_STATUSES,
+  hasWritableServer,
+  checkDatabase,
+  getHealthReport,
+  summarizeHealthReport,
+}
@@ -0,0 +1,167 @@
+const { ObjectId } = require("mongodb")
+const { getCorrelationId } = require("./logger")
+
+const EVENTS_COLLECTION = "processedEvents"
+
+// How long a worker may hold an event before another one can take it over (it probably crashed)
+const CLAIM_LEASE_MS = Number(process.env.EVENT_CLAIM_LEASE_MS || 5 * 60 * 1000)
+
+async function ensureIdempotencyIndexes(db) {
+  // Partial, so events without a platform ID (and rows from before event keys existed) aren't constrained
+  await db
+    .collection(EVENTS_COLLECTION)
+    .createIndex({ eventKey: 1 }, { unique: true, partialFilterExpression: { eventKey: { $type: "string" } } })
+  await db.collection(EVENTS_COLLECTION).createIndex({ jobId: 1 })
+  await db
+    .collection("incomingMessages")
+    .createIndex(
+      { instagramAccountId: 1, mid: 1 },
+      { unique: true, partialFilterExpression: { mid: { $type: "string" } } },
+    )
+}
+
+// The platform identity of an event: the message mid, the comment ID, or for postbacks who clicked what and when.
+// Returns null when the event carries no such ID (e.g. a message posted to /api/process-event without a mid);
+// those are processed every time they arrive.
+function getEventKey(type, data) {
+  switch (type) {
+    case "message": {
+      const mid = data?.mid || data?.message?.mid
+      return mid ? `message:${mid}` : null
+    }
+    case "comment":
+      return data?.id ? `comment:${data.id}` : null
+    case "button_click": {
+      // Webhook clicks keep the payload as delivered in rawPayload; payload is only the button's own part of it
+      const payload = data?.rawPayload || data?.payload
+      if (payload && data.timestamp) {
+        return `button_click:${data.senderId}:${payload}:${data.timestamp}`
+      }
+      return data?.mid ? `button_click:${data.mid}` : null
+    }
+    default:
+      return null
+  }
+}
+
+// Record an incoming event before it is queued. Returns { event }, or { duplicate: event } when an event with
+// the same key was recorded already (a webhook redelivery or a client retry).
+async function recordEvent(db, type, data, source) {
+  const event = {
+    _id: new ObjectId().toString(),
+    eventKey: getEventKey(type, data),
+    type,
+    data,
+    source,
+    jobId: null,
+    status: "queued",
+    processed: false,
+    attempts: 0,
+    correlationId: getCorrelationId(),
+    timestamp: new Date(),
+  }
+
+  try {
+    await db.collection(EVENTS_COLLECTION).insertOne(event)
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    const existing = await db.collection(EVENTS_COLLECTION).findOne({ eventKey: event.eventKey })
+    return { duplicate: existing || { eventKey: event.eventKey } }
+  }
+
+  return { event }
+}
+
+// Link a recorded event to the job that will process it
+async function attachJob(db, event, job) {
+  await db.collection(EVENTS_COLLECTION).updateOne({ _id: event._id }, { $set: { jobId: job._id } })
+}
+
+// Drop a recorded event that never made it onto the queue, so a redelivery isn't mistaken for a duplicate
+async function forgetEvent(db, event) {
+  await db.collection(EVENTS_COLLECTION).deleteOne({ _id: event._id, jobId: null })
+}
+
+// Atomically take the event behind a job for processing. Only one worker can hold it at a time, and an event
+// that was processed already is never handed out again. Returns { event } when claimed, { processed: true } when
+// it is already done, { busy: true } when another worker holds it, or { untracked: true } for jobs queued
+// before events were recorded.
+async function claimEvent(db, job) {
+  const now = new Date()
+
+  const result = await db.collection(EVENTS_COLLECTION).findOneAndUpdate(
+    {
+      jobId: job._id,
+      $or: [
+        { status: { $in: ["queued", "failed"] } },
+        // The worker holding it crashed; the queue hands the job out again once its lease runs out too
+        { status: "processing", claimedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        claimedBy: job.lockedBy,
+        claimedUntil: new Date(now.getTime() + CLAIM_LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { returnDocument: "after" },
+  )
+
+  if (result.value) {
+    return { event: result.value }
+  }
+
+  const existing = await db.collection(EVENTS_COLLECTION).findOne({ jobId: job._id })
+
+  if (!existing) return { untracked: true }
+  if (existing.status === "processed") return { processed: true }
+  return { busy: true, claimedUntil: existing.claimedUntil }
+}
+
+// Record how processing went. A failed event can be claimed again by the job's next attempt.
+async function completeEvent(db, event, result, error = null) {
+  const succeeded = !error && result?.success !== false
+
+  await db.collection(EVENTS_COLLECTION).updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        status: succeeded ? "processed" : "failed",
+        processed: succeeded,
+        processedAt: new Date(),
+        result: error ? { success: false, error: String(error) } : result,
+      },
+      $unset: { claimedBy: "", claimedUntil: "" },
+    },
+  )
+}
+
+// Hand a claimed event back without recording an outcome, for events whose processing was deferred (e.g. rate
+// limited). The job runs again later and has to be able to claim the event then; like deferJob, the attempt
+// doesn't count.
+async function releaseEvent(db, event, deferUntil) {
+  await db.collection(EVENTS_COLLECTION).updateOne(
+    { _id: event._id, status: "processing" },
+    {
+      $set: { status: "queued", deferredUntil: new Date(deferUntil) },
+      $unset: { claimedBy: "", claimedUntil: "" },
+      $inc: { attempts: -1 },
+    },
+  )
+}
+
+module.exports = {
+  EVENTS_COLLECTION,
+  CLAIM_LEASE_MS,
+  ensureIdempotencyIndexes,
+  getEventKey,
+  recordEvent,
+  attachJob,
+  forgetEvent,
+  claimEvent,
+  completeEvent,
+  releaseEvent,
+}
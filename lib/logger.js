@@ -0,0 +1,201 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const { AsyncLocalStorage } = require("async_hooks")
+
+// Structured JSON logging. Every entry is one JSON object per line:
+//   { time, level, msg, correlationId, ...fields }
+// The correlation ID comes from the async context (see withCorrelation), so everything done for one event,
+// from /api/process-event or /webhook through the job queue, processComment/processMessage and the Graph calls
+// they make, logs under the same ID without passing it around.
+//
+// Configuration:
+//   LOG_LEVEL   debug | info | warn | error | silent (default info)
+//   LOG_SINK    stdout (default) | stderr | file:<path>; tests can pass a function to setLogSink
+//   LOG_FORMAT  json (default) | pretty, for reading logs in a terminal
+//   LOG_PII     "true" to log usernames and message text in the clear (local development only)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+// Field names whose values are credentials and never logged
+const SECRET_FIELDS = new Set([
+  "accesstoken",
+  "access_token",
+  "pageaccesstoken",
+  "refreshtoken",
+  "refresh_token",
+  "token",
+  "secret",
+  "password",
+  "authorization",
+  "apikey",
+  "api_key",
+  "hash",
+  "signature",
+  "x-hub-signature-256",
+  "cookie",
+])
+
+// Field names holding personal data. Their values are replaced by a short hash, so the same person can still
+// be followed through the logs without being named.
+const PII_FIELDS = new Set([
+  "username",
+  "senderusername",
+  "recipientusername",
+  "displayname",
+  "email",
+  "phone",
+  "text",
+  "caption",
+  "reply",
+])
+
+// Credentials that show up inside strings: query parameters, Authorization headers, Meta tokens and our API keys
+const SECRET_PATTERNS = [
+  [/(access_token=)[^&\s"']+/gi, "$1[REDACTED]"],
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, "$1[REDACTED]"],
+  [/\b(EAA|IGQV|IGAA)[A-Za-z0-9_-]{20,}/g, "[REDACTED]"],
+  [/\biak_[A-Za-z0-9_-]{16,}/g, "[REDACTED]"],
+]
+
+const MAX_DEPTH = 6
+
+const context = new AsyncLocalStorage()
+
+let level = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info
+let format = process.env.LOG_FORMAT === "pretty" ? "pretty" : "json"
+let logPii = process.env.LOG_PII === "true"
+let sink = createSink(process.env.LOG_SINK)
+
+function createSink(spec) {
+  if (typeof spec === "function") return spec
+  if (!spec || spec === "stdout") return (entry, line) => process.stdout.write(`${line}\n`)
+  if (spec === "stderr") return (entry, line) => process.stderr.write(`${line}\n`)
+
+  if (spec.startsWith("file:")) {
+    const stream = fs.createWriteStream(spec.slice("file:".length), { flags: "a" })
+    return (entry, line) => stream.write(`${line}\n`)
+  }
+
+  throw new Error(`Unknown LOG_SINK "${spec}": use stdout, stderr or file:<path>`)
+}
+
+function newCorrelationId() {
+  return crypto.randomBytes(8).toString("hex")
+}
+
+// Run fn with a correlation ID (a new one if none is given) that every log entry made inside it carries
+function withCorrelation(correlationId, fn) {
+  return context.run({ correlationId: correlationId || newCorrelationId() }, fn)
+}
+
+function getCorrelationId() {
+  return context.getStore()?.correlationId || null
+}
+
+function scrubString(value) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value)
+}
+
+function pseudonymize(value) {
+  return `[pii:${crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 8)}]`
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: scrubString(String(error.message)),
+    code: error.code,
+    subcode: error.subcode,
+    category: error.category,
+    status: error.status,
+    fbtraceId: error.fbtraceId,
+    stack: error.stack ? scrubString(error.stack) : undefined,
+  }
+}
+
+// Copy of a value that is safe to log: credentials removed, personal data pseudonymized
+function redact(value, key = "", depth = 0) {
+  const name = key.toLowerCase()
+
+  if (value === undefined || value === null) return value
+  if (SECRET_FIELDS.has(name)) return "[REDACTED]"
+  if (!logPii && PII_FIELDS.has(name) && typeof value !== "object") return pseudonymize(value)
+
+  if (value instanceof Error) return serializeError(value)
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === "string") return scrubString(value)
+  if (typeof value !== "object") return value
+  if (depth >= MAX_DEPTH) return "[Truncated]"
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1))
+
+  const result = {}
+  for (const [field, item] of Object.entries(value)) {
+    result[field] = redact(item, field, depth + 1)
+  }
+  return result
+}
+
+function formatPretty(entry) {
+  const { time, level: entryLevel, msg, correlationId, ...fields } = entry
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ""
+  return `${time} ${entryLevel.toUpperCase().padEnd(5)} ${correlationId ? `[${correlationId}] ` : ""}${msg}${extra}`
+}
+
+function write(entryLevel, bound, msg, fields) {
+  if (LEVELS[entryLevel] < level) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: entryLevel,
+    msg: scrubString(String(msg)),
+    correlationId: getCorrelationId() || undefined,
+    ...redact({ ...bound, ...fields }),
+  }
+
+  try {
+    sink(entry, format === "pretty" ? formatPretty(entry) : JSON.stringify(entry))
+  } catch (error) {
+    process.stderr.write(`Log sink failed: ${error.message}\n`)
+  }
+}
+
+// A logger whose entries all carry `bound`, e.g. createLogger({ module: "queue" })
+function createLogger(bound = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bound, msg, fields),
+    info: (msg, fields) => write("info", bound, msg, fields),
+    warn: (msg, fields) => write("warn", bound, msg, fields),
+    error: (msg, fields) => write("error", bound, msg, fields),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  }
+}
+
+// Change where entries go: stdout, stderr, file:<path>, or a function called with (entry, line)
+function setLogSink(spec) {
+  sink = createSink(spec)
+}
+
+function setLogLevel(name) {
+  if (LEVELS[name] === undefined) {
+    throw new Error(`Unknown log level "${name}": use ${Object.keys(LEVELS).join(", ")}`)
+  }
+  level = LEVELS[name]
+}
+
+function setLogFormat(name) {
+  format = name === "pretty" ? "pretty" : "json"
+}
+
+module.exports = {
+  LEVELS,
+  logger: createLogger(),
+  createLogger,
+  withCorrelation,
+  getCorrelationId,
+  newCorrelationId,
+  redact,
+  setLogSink,
+  setLogLevel,
+  setLogFormat,
+}
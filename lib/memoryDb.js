@@ -0,0 +1,989 @@
+const { ObjectId } = require("mongodb")
+
+// In-memory stand-in for a MongoDB Db handle, for unit tests and local development without a database.
+// It implements the part of the driver API this server uses, with the same result shapes as driver 5
+// (findOneAndUpdate resolves to { value }, duplicate keys throw errors with code 11000):
+//   - insertOne, insertMany, findOne, find (sort, skip, limit, project, toArray, for await), countDocuments,
+//     updateOne, updateMany, findOneAndUpdate (including pipeline updates), deleteOne, deleteMany, aggregate
+//   - query operators $eq $ne $in $nin $gt $gte $lt $lte $exists $type $regex $all $size $elemMatch $not
+//     $and $or $nor $expr, and update operators $set $unset $inc $min $max $setOnInsert $push $addToSet $pull
+//   - aggregation stages $match $group $sort $skip $limit $project $set $addFields $unwind $lookup $count
+//   - unique (and partial unique) indexes; other indexes are accepted and ignored
+// Anything else throws, so a query the memory backend can't answer fails loudly instead of matching wrongly.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype
+}
+
+function isMissing(value) {
+  return value === undefined || value === null
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => key[0] === "$")
+}
+
+// Documents are copied going in and coming out, so callers can't change stored data by mutating results
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone)
+  if (value instanceof Date) return new Date(value.getTime())
+  if (isPlainObject(value)) {
+    const copy = {}
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) copy[key] = clone(item)
+    }
+    return copy
+  }
+  return value
+}
+
+// BSON comparison order, enough for the types stored here
+function typeRank(value) {
+  if (value === undefined || value === null) return 0
+  if (typeof value === "number") return 1
+  if (typeof value === "string") return 2
+  if (value instanceof ObjectId) return 5
+  if (Array.isArray(value)) return 4
+  if (typeof value === "boolean") return 6
+  if (value instanceof Date) return 7
+  if (value instanceof RegExp) return 9
+  return 3
+}
+
+function compareValues(a, b) {
+  const rankA = typeRank(a)
+  const rankB = typeRank(b)
+  if (rankA !== rankB) return rankA - rankB
+
+  switch (rankA) {
+    case 0:
+      return 0
+    case 1:
+      return a - b
+    case 2:
+      return a < b ? -1 : a > b ? 1 : 0
+    case 5:
+      return compareValues(a.toHexString(), b.toHexString())
+    case 6:
+      return Number(a) - Number(b)
+    case 7:
+      return a.getTime() - b.getTime()
+    case 4:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i])
+        if (result !== 0) return result
+      }
+      return a.length - b.length
+    default:
+      return compareValues(JSON.stringify(a), JSON.stringify(b))
+  }
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b)
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every((key) => valuesEqual(a[key], b[key]))
+  }
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0
+}
+
+// Every value a dotted path reaches. Paths go through arrays the way MongoDB's do ("attempts.status").
+function resolvePath(value, parts) {
+  if (parts.length === 0) return [value]
+
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) return resolvePath(value[Number(parts[0])], parts.slice(1))
+    return value.flatMap((item) => resolvePath(item, parts))
+  }
+  if (!isPlainObject(value)) return [undefined]
+
+  return resolvePath(value[parts[0]], parts.slice(1))
+}
+
+// The single value at a path, as seen by aggregation expressions
+function getPath(doc, path) {
+  let value = doc
+  for (const part of path.split(".")) {
+    if (Array.isArray(value) && !/^\d+$/.test(part)) {
+      value = value.map((item) => (isPlainObject(item) ? item[part] : undefined)).filter((item) => item !== undefined)
+      continue
+    }
+    if (value === null || typeof value !== "object") return undefined
+    value = value[part]
+  }
+  return value
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split(".")
+  let target = doc
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || typeof target[part] !== "object") target[part] = {}
+    target = target[part]
+  }
+  target[parts[parts.length - 1]] = value
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split(".")
+  let target = doc
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || typeof target[part] !== "object") return
+    target = target[part]
+  }
+  delete target[parts[parts.length - 1]]
+}
+
+function duplicateKeyError(collectionName, index, key) {
+  const error = new Error(
+    `E11000 duplicate key error collection: memory.${collectionName} index: ${index.name} dup key: ${JSON.stringify(key)}`,
+  )
+  error.name = "MongoServerError"
+  error.code = 11000
+  error.keyPattern = index.key
+  error.keyValue = key
+  return error
+}
+
+function unsupported(what) {
+  return new Error(`${what} is not supported by the in-memory database`)
+}
+
+// ---- Queries ----
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string"
+    case "number":
+    case "double":
+    case "int":
+    case "long":
+      return typeof value === "number"
+    case "bool":
+      return typeof value === "boolean"
+    case "date":
+      return value instanceof Date
+    case "array":
+      return Array.isArray(value)
+    case "object":
+      return isPlainObject(value)
+    case "null":
+      return value === null
+    case "objectId":
+      return value instanceof ObjectId
+    default:
+      throw unsupported(`$type "${type}"`)
+  }
+}
+
+// Candidates plus, for arrays, their elements: { tags: "vip" } matches a contact tagged ["vip", "lead"]
+function expandArrays(candidates) {
+  return candidates.flatMap((candidate) => (Array.isArray(candidate) ? [candidate, ...candidate] : [candidate]))
+}
+
+function matchesEquality(candidates, expected) {
+  if (expected === null) {
+    return candidates.some(isMissing)
+  }
+  if (expected instanceof RegExp) {
+    return expandArrays(candidates).some((candidate) => typeof candidate === "string" && expected.test(candidate))
+  }
+  return expandArrays(candidates).some((candidate) => valuesEqual(candidate, expected))
+}
+
+function matchesComparison(candidates, expected, test) {
+  return expandArrays(candidates).some(
+    (candidate) =>
+      !isMissing(candidate) && typeRank(candidate) === typeRank(expected) && test(compareValues(candidate, expected)),
+  )
+}
+
+function matchesOperators(candidates, operators, doc) {
+  for (const [operator, operand] of Object.entries(operators)) {
+    switch (operator) {
+      case "$eq":
+        if (!matchesEquality(candidates, operand)) return false
+        break
+      case "$ne":
+        if (matchesEquality(candidates, operand)) return false
+        break
+      case "$in":
+        if (!operand.some((value) => matchesEquality(candidates, value))) return false
+        break
+      case "$nin":
+        if (operand.some((value) => matchesEquality(candidates, value))) return false
+        break
+      case "$gt":
+        if (!matchesComparison(candidates, operand, (result) => result > 0)) return false
+        break
+      case "$gte":
+        if (!matchesComparison(candidates, operand, (result) => result >= 0)) return false
+        break
+      case "$lt":
+        if (!matchesComparison(candidates, operand, (result) => result < 0)) return false
+        break
+      case "$lte":
+        if (!matchesComparison(candidates, operand, (result) => result <= 0)) return false
+        break
+      case "$exists":
+        if (candidates.some((candidate) => candidate !== undefined) !== Boolean(operand)) return false
+        break
+      case "$type":
+        if (!candidates.some((candidate) => candidate !== undefined && matchesType(candidate, operand))) return false
+        break
+      case "$regex": {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || "")
+        if (!matchesEquality(candidates, regex)) return false
+        break
+      }
+      case "$options":
+        break
+      case "$all":
+        if (
+          !candidates.some(
+            (candidate) => Array.isArray(candidate) && operand.every((value) => matchesEquality([candidate], value)),
+          )
+        ) {
+          return false
+        }
+        break
+      case "$size":
+        if (!candidates.some((candidate) => Array.isArray(candidate) && candidate.length === operand)) return false
+        break
+      case "$elemMatch":
+        if (
+          !candidates.some(
+            (candidate) =>
+              Array.isArray(candidate) &&
+              candidate.some((item) =>
+                isOperatorObject(operand) ? matchesOperators([item], operand, doc) : matchesFilter(item, operand),
+              ),
+          )
+        ) {
+          return false
+        }
+        break
+      case "$not":
+        if (matchesCondition(candidates, operand, doc)) return false
+        break
+      default:
+        throw unsupported(`Query operator ${operator}`)
+    }
+  }
+  return true
+}
+
+function matchesCondition(candidates, condition, doc) {
+  if (isOperatorObject(condition)) return matchesOperators(candidates, condition, doc)
+  return matchesEquality(candidates, condition)
+}
+
+function matchesFilter(doc, filter = {}) {
+  for (const [key, condition] of Object.entries(filter)) {
+    switch (key) {
+      case "$and":
+        if (!condition.every((part) => matchesFilter(doc, part))) return false
+        break
+      case "$or":
+        if (!condition.some((part) => matchesFilter(doc, part))) return false
+        break
+      case "$nor":
+        if (condition.some((part) => matchesFilter(doc, part))) return false
+        break
+      case "$expr":
+        if (!evaluate(condition, doc)) return false
+        break
+      default:
+        if (key[0] === "$") throw unsupported(`Query operator ${key}`)
+        if (!isPlainObject(doc)) return false
+        if (!matchesCondition(resolvePath(doc, key.split(".")), condition, doc)) return false
+    }
+  }
+  return true
+}
+
+// ---- Aggregation expressions ----
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0")
+}
+
+function dateToString(date, format) {
+  if (!(date instanceof Date)) return null
+
+  return format.replace(/%([YmdHMSLj%])/g, (match, code) => {
+    switch (code) {
+      case "Y":
+        return String(date.getUTCFullYear())
+      case "m":
+        return pad(date.getUTCMonth() + 1)
+      case "d":
+        return pad(date.getUTCDate())
+      case "H":
+        return pad(date.getUTCHours())
+      case "M":
+        return pad(date.getUTCMinutes())
+      case "S":
+        return pad(date.getUTCSeconds())
+      case "L":
+        return pad(date.getUTCMilliseconds(), 3)
+      case "j":
+        return pad(Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1, 3)
+      default:
+        return "%"
+    }
+  })
+}
+
+function add(values) {
+  const date = values.find((value) => value instanceof Date)
+  const total = values.reduce((sum, value) => sum + (value instanceof Date ? value.getTime() : Number(value || 0)), 0)
+  return date ? new Date(total) : total
+}
+
+function subtract(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime()
+  if (a instanceof Date) return new Date(a.getTime() - b)
+  return a - b
+}
+
+function evaluate(expression, doc) {
+  if (typeof expression === "string" && expression[0] === "$") {
+    if (expression === "$$ROOT") return doc
+    return getPath(doc, expression.slice(1))
+  }
+  if (Array.isArray(expression)) return expression.map((item) => evaluate(item, doc))
+  if (!isPlainObject(expression)) return expression
+
+  const keys = Object.keys(expression)
+  if (keys.length !== 1 || keys[0][0] !== "$") {
+    return Object.fromEntries(keys.map((key) => [key, evaluate(expression[key], doc)]))
+  }
+
+  const operator = keys[0]
+  const operand = expression[operator]
+  if (operator === "$literal") return operand
+
+  const args = Array.isArray(operand) ? operand.map((item) => evaluate(item, doc)) : null
+
+  switch (operator) {
+    case "$add":
+      return add(args)
+    case "$subtract":
+      return subtract(args[0], args[1])
+    case "$multiply":
+      return args.reduce((product, value) => product * value, 1)
+    case "$divide":
+      return args[0] / args[1]
+    case "$min":
+      return (args || [evaluate(operand, doc)])
+        .flat()
+        .reduce((min, value) => (min === undefined || compareValues(value, min) < 0 ? value : min), undefined)
+    case "$max":
+      return (args || [evaluate(operand, doc)])
+        .flat()
+        .reduce((max, value) => (max === undefined || compareValues(value, max) > 0 ? value : max), undefined)
+    case "$ifNull":
+      return args.find((value) => !isMissing(value)) ?? args[args.length - 1]
+    case "$cond": {
+      const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else]
+      return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc)
+    }
+    case "$eq":
+      return valuesEqual(args[0], args[1]) || (isMissing(args[0]) && isMissing(args[1]))
+    case "$ne":
+      return !(valuesEqual(args[0], args[1]) || (isMissing(args[0]) && isMissing(args[1])))
+    case "$gt":
+      return compareValues(args[0], args[1]) > 0
+    case "$gte":
+      return compareValues(args[0], args[1]) >= 0
+    case "$lt":
+      return compareValues(args[0], args[1]) < 0
+    case "$lte":
+      return compareValues(args[0], args[1]) <= 0
+    case "$and":
+      return args.every(Boolean)
+    case "$or":
+      return args.some(Boolean)
+    case "$not":
+      return !(args ? args[0] : evaluate(operand, doc))
+    case "$in":
+      return args[1].some((value) => valuesEqual(value, args[0]))
+    case "$size":
+      return (args ? args[0] : evaluate(operand, doc)).length
+    case "$dateToString":
+      return dateToString(evaluate(operand.date, doc), operand.format || "%Y-%m-%dT%H:%M:%S.%LZ")
+    case "$toString": {
+      const value = args ? args[0] : evaluate(operand, doc)
+      return value instanceof Date ? value.toISOString() : isMissing(value) ? null : String(value)
+    }
+    default:
+      throw unsupported(`Expression operator ${operator}`)
+  }
+}
+
+// ---- Updates ----
+
+function applyPipelineUpdate(doc, pipeline) {
+  let current = doc
+  for (const stage of pipeline) {
+    const [name, spec] = Object.entries(stage)[0]
+    switch (name) {
+      case "$set":
+      case "$addFields": {
+        const next = clone(current)
+        for (const [path, expression] of Object.entries(spec)) {
+          setPath(next, path, clone(evaluate(expression, current)))
+        }
+        current = next
+        break
+      }
+      case "$unset":
+        current = clone(current)
+        for (const path of [].concat(spec)) unsetPath(current, path)
+        break
+      default:
+        throw unsupported(`Update pipeline stage ${name}`)
+    }
+  }
+  return current
+}
+
+function eachValues(value) {
+  return isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value]
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) return applyPipelineUpdate(doc, update)
+
+  const next = clone(doc)
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(next, path)
+
+      switch (operator) {
+        case "$set":
+          setPath(next, path, clone(value))
+          break
+        case "$setOnInsert":
+          if (inserting) setPath(next, path, clone(value))
+          break
+        case "$unset":
+          unsetPath(next, path)
+          break
+        case "$inc":
+          setPath(next, path, (current || 0) + value)
+          break
+        case "$min":
+          if (current === undefined || compareValues(value, current) < 0) setPath(next, path, clone(value))
+          break
+        case "$max":
+          if (current === undefined || compareValues(value, current) > 0) setPath(next, path, clone(value))
+          break
+        case "$push": {
+          let items = [...(current || []), ...eachValues(value).map(clone)]
+          if (isPlainObject(value) && typeof value.$slice === "number") {
+            items = value.$slice < 0 ? items.slice(value.$slice) : items.slice(0, value.$slice)
+          }
+          setPath(next, path, items)
+          break
+        }
+        case "$addToSet": {
+          const items = [...(current || [])]
+          for (const item of eachValues(value)) {
+            if (!items.some((existing) => valuesEqual(existing, item))) items.push(clone(item))
+          }
+          setPath(next, path, items)
+          break
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPath(
+              next,
+              path,
+              current.filter((item) =>
+                isPlainObject(value) && !isOperatorObject(value)
+                  ? !matchesFilter(item, value)
+                  : !matchesCondition([item], value, item),
+              ),
+            )
+          }
+          break
+        default:
+          throw unsupported(`Update operator ${operator}`)
+      }
+    }
+  }
+
+  return next
+}
+
+// The document an upsert starts from: the equality conditions of the filter
+function upsertBase(filter) {
+  const doc = {}
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key[0] === "$") {
+      if (key === "$and") condition.forEach((part) => Object.assign(doc, upsertBase(part)))
+      continue
+    }
+    if (isOperatorObject(condition)) {
+      if ("$eq" in condition) setPath(doc, key, clone(condition.$eq))
+      continue
+    }
+    setPath(doc, key, clone(condition))
+  }
+  return doc
+}
+
+// ---- Cursors ----
+
+function sortDocuments(docs, sort) {
+  const fields = Object.entries(sort || {})
+  if (fields.length === 0) return docs
+
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of fields) {
+      const result = compareValues(getPath(a, path), getPath(b, path))
+      if (result !== 0) return direction < 0 ? -result : result
+    }
+    return 0
+  })
+}
+
+function project(doc, projection) {
+  const fields = Object.entries(projection || {}).filter(([key]) => key !== "_id")
+  if (fields.length === 0) {
+    if (projection?._id === 0 || projection?._id === false) {
+      const { _id, ...rest } = doc
+      return rest
+    }
+    return doc
+  }
+
+  const including = fields.some(([, value]) => value)
+  let result
+  if (including) {
+    result = {}
+    for (const [path] of fields) {
+      const value = getPath(doc, path)
+      if (value !== undefined) setPath(result, path, value)
+    }
+    if (projection._id !== 0 && projection._id !== false) result._id = doc._id
+  } else {
+    result = clone(doc)
+    for (const [path] of fields) unsetPath(result, path)
+    if (projection._id === 0 || projection._id === false) delete result._id
+  }
+  return result
+}
+
+// A cursor over documents computed when it is first read, so sort/skip/limit can still be chained
+function createCursor(load) {
+  const options = { sort: null, skip: 0, limit: 0, projection: null }
+
+  async function read() {
+    let docs = sortDocuments(await load(), options.sort)
+    if (options.skip) docs = docs.slice(options.skip)
+    if (options.limit) docs = docs.slice(0, options.limit)
+    return docs.map((doc) => clone(project(doc, options.projection)))
+  }
+
+  const cursor = {
+    sort(sort) {
+      options.sort = sort
+      return cursor
+    },
+    skip(count) {
+      options.skip = count
+      return cursor
+    },
+    limit(count) {
+      options.limit = count
+      return cursor
+    },
+    project(projection) {
+      options.projection = projection
+      return cursor
+    },
+    toArray: read,
+    async *[Symbol.asyncIterator]() {
+      yield* await read()
+    },
+  }
+  return cursor
+}
+
+// ---- Aggregation ----
+
+function groupKey(value) {
+  return JSON.stringify(value === undefined ? null : value, (key, item) =>
+    item instanceof ObjectId ? `ObjectId(${item.toHexString()})` : item,
+  )
+}
+
+function group(docs, spec) {
+  const groups = new Map()
+
+  for (const doc of docs) {
+    const id = evaluate(spec._id, doc) ?? null
+    const key = groupKey(id)
+    if (!groups.has(key)) groups.set(key, { _id: id, docs: [] })
+    groups.get(key).docs.push(doc)
+  }
+
+  return [...groups.values()].map(({ _id, docs: members }) => {
+    const result = { _id }
+
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === "_id") continue
+
+      const [operator, expression] = Object.entries(accumulator)[0]
+      const values = members.map((doc) => evaluate(expression, doc))
+      const present = values.filter((value) => !isMissing(value))
+
+      switch (operator) {
+        case "$sum":
+          result[field] = values.reduce((sum, value) => sum + (typeof value === "number" ? value : 0), 0)
+          break
+        case "$avg":
+          result[field] = present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null
+          break
+        case "$min":
+          result[field] = present.reduce(
+            (min, value) => (min === null || compareValues(value, min) < 0 ? value : min),
+            null,
+          )
+          break
+        case "$max":
+          result[field] = present.reduce(
+            (max, value) => (max === null || compareValues(value, max) > 0 ? value : max),
+            null,
+          )
+          break
+        case "$first":
+          result[field] = values[0] ?? null
+          break
+        case "$last":
+          result[field] = values[values.length - 1] ?? null
+          break
+        case "$push":
+          result[field] = values
+          break
+        case "$addToSet":
+          result[field] = values.filter(
+            (value, index) => values.findIndex((other) => valuesEqual(other, value)) === index,
+          )
+          break
+        default:
+          throw unsupported(`Group accumulator ${operator}`)
+      }
+    }
+
+    return result
+  })
+}
+
+async function runPipeline(docs, pipeline, getCollection) {
+  let current = docs
+
+  for (const stage of pipeline) {
+    const [name, spec] = Object.entries(stage)[0]
+
+    switch (name) {
+      case "$match":
+        current = current.filter((doc) => matchesFilter(doc, spec))
+        break
+      case "$group":
+        current = group(current, spec)
+        break
+      case "$sort":
+        current = sortDocuments(current, spec)
+        break
+      case "$skip":
+        current = current.slice(spec)
+        break
+      case "$limit":
+        current = current.slice(0, spec)
+        break
+      case "$project":
+        current = current.map((doc) => project(doc, spec))
+        break
+      case "$set":
+      case "$addFields":
+      case "$unset":
+        current = current.map((doc) => applyPipelineUpdate(doc, [stage]))
+        break
+      case "$unwind": {
+        const path = (typeof spec === "string" ? spec : spec.path).slice(1)
+        const keepEmpty = typeof spec === "object" && spec.preserveNullAndEmptyArrays
+        current = current.flatMap((doc) => {
+          const value = getPath(doc, path)
+          if (Array.isArray(value) && value.length > 0) {
+            return value.map((item) => {
+              const copy = clone(doc)
+              setPath(copy, path, item)
+              return copy
+            })
+          }
+          if (Array.isArray(value) || isMissing(value)) return keepEmpty ? [doc] : []
+          return [doc]
+        })
+        break
+      }
+      case "$lookup": {
+        if (!spec.localField) throw unsupported("$lookup with a pipeline")
+        const foreign = getCollection(spec.from).documents()
+        current = current.map((doc) => ({
+          ...doc,
+          [spec.as]: foreign.filter((other) =>
+            matchesEquality(resolvePath(other, spec.foreignField.split(".")), getPath(doc, spec.localField) ?? null),
+          ),
+        }))
+        break
+      }
+      case "$count":
+        current = current.length ? [{ [spec]: current.length }] : []
+        break
+      default:
+        throw unsupported(`Aggregation stage ${name}`)
+    }
+  }
+
+  return current
+}
+
+// ---- Collections ----
+
+function indexName(key) {
+  return Object.entries(key)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join("_")
+}
+
+function createCollection(name, getCollection) {
+  const docs = []
+  const uniqueIndexes = [{ name: "_id_", key: { _id: 1 } }]
+
+  // Throw a duplicate key error if storing `doc` (replacing `replacing`) would break a unique index
+  function checkUnique(doc, replacing = null, indexes = uniqueIndexes) {
+    for (const index of indexes) {
+      if (index.partialFilterExpression && !matchesFilter(doc, index.partialFilterExpression)) continue
+
+      const fields = Object.keys(index.key)
+      const key = Object.fromEntries(fields.map((field) => [field, getPath(doc, field) ?? null]))
+      const clash = docs.find(
+        (other) =>
+          other !== replacing &&
+          (!index.partialFilterExpression || matchesFilter(other, index.partialFilterExpression)) &&
+          fields.every((field) => valuesEqual(getPath(other, field) ?? null, key[field])),
+      )
+      if (clash) throw duplicateKeyError(name, index, key)
+    }
+  }
+
+  function insert(doc) {
+    const stored = clone(doc)
+    if (stored._id === undefined) stored._id = new ObjectId()
+    checkUnique(stored)
+    docs.push(stored)
+    // Like the driver, inserting sets the generated _id on the caller's document
+    if (doc._id === undefined) doc._id = stored._id
+    return stored._id
+  }
+
+  function replace(doc, next) {
+    if (!valuesEqual(doc._id, next._id)) {
+      throw new Error(`Performing an update on the path '_id' would modify the immutable field '_id'`)
+    }
+    checkUnique(next, doc)
+    docs[docs.indexOf(doc)] = next
+    return next
+  }
+
+  function findMatches(filter, options = {}) {
+    return sortDocuments(
+      docs.filter((doc) => matchesFilter(doc, filter)),
+      options.sort,
+    )
+  }
+
+  // Update the first (or every) matching document, upserting if asked. Returns what the driver reports plus the
+  // documents before and after the update.
+  function update(filter, changes, { upsert = false, multi = false, sort } = {}) {
+    const matches = findMatches(filter, { sort })
+    const targets = multi ? matches : matches.slice(0, 1)
+
+    if (targets.length === 0) {
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }
+
+      let created = applyUpdate(upsertBase(filter), changes, { inserting: true })
+      if (created._id === undefined) created = { _id: new ObjectId(), ...created }
+      insert(created)
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: created._id,
+        before: null,
+        after: created,
+      }
+    }
+
+    let modifiedCount = 0
+    let before = null
+    let after = null
+    for (const doc of targets) {
+      const next = applyUpdate(doc, changes)
+      if (!valuesEqual(doc, next)) {
+        replace(doc, next)
+        modifiedCount++
+      }
+      before = before || doc
+      after = after || next
+    }
+    return { matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null, before, after }
+  }
+
+  function writeResult({ matchedCount, modifiedCount, upsertedCount, upsertedId }) {
+    return { acknowledged: true, matchedCount, modifiedCount, upsertedCount, upsertedId }
+  }
+
+  return {
+    collectionName: name,
+
+    // Stored documents, for $lookup from other collections
+    documents() {
+      return docs
+    },
+
+    async createIndex(key, options = {}) {
+      const index = {
+        name: options.name || indexName(key),
+        key,
+        partialFilterExpression: options.partialFilterExpression,
+      }
+      if (options.unique && !uniqueIndexes.some((existing) => existing.name === index.name)) {
+        for (const doc of docs) checkUnique(doc, doc, [index])
+        uniqueIndexes.push(index)
+      }
+      return index.name
+    },
+
+    async insertOne(doc) {
+      return { acknowledged: true, insertedId: insert(doc) }
+    },
+
+    async insertMany(newDocs, { ordered = true } = {}) {
+      const insertedIds = {}
+      const writeErrors = []
+
+      newDocs.forEach((doc, index) => {
+        if (ordered && writeErrors.length) return
+        try {
+          insertedIds[index] = insert(doc)
+        } catch (error) {
+          writeErrors.push({ index, code: error.code, errmsg: error.message })
+        }
+      })
+
+      if (writeErrors.length) {
+        const error = new Error(writeErrors[0].errmsg)
+        error.name = "MongoBulkWriteError"
+        error.code = writeErrors[0].code
+        error.writeErrors = writeErrors
+        error.insertedCount = Object.keys(insertedIds).length
+        throw error
+      }
+      return { acknowledged: true, insertedCount: newDocs.length, insertedIds }
+    },
+
+    async findOne(filter = {}, options = {}) {
+      const [doc] = findMatches(filter, options)
+      return doc ? clone(project(doc, options.projection)) : null
+    },
+
+    find(filter = {}, options = {}) {
+      const cursor = createCursor(async () => findMatches(filter))
+      if (options.sort) cursor.sort(options.sort)
+      if (options.skip) cursor.skip(options.skip)
+      if (options.limit) cursor.limit(options.limit)
+      if (options.projection) cursor.project(options.projection)
+      return cursor
+    },
+
+    async countDocuments(filter = {}) {
+      return findMatches(filter).length
+    },
+
+    async estimatedDocumentCount() {
+      return docs.length
+    },
+
+    async updateOne(filter, changes, options = {}) {
+      return writeResult(update(filter, changes, options))
+    },
+
+    async updateMany(filter, changes, options = {}) {
+      return writeResult(update(filter, changes, { ...options, multi: true }))
+    },
+
+    async findOneAndUpdate(filter, changes, options = {}) {
+      const result = update(filter, changes, options)
+      const doc = options.returnDocument === "after" ? result.after : result.before
+      return { ok: 1, value: doc ? clone(project(doc, options.projection)) : null }
+    },
+
+    async deleteOne(filter = {}) {
+      const [doc] = findMatches(filter)
+      if (doc) docs.splice(docs.indexOf(doc), 1)
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 }
+    },
+
+    async deleteMany(filter = {}) {
+      const matches = findMatches(filter)
+      for (const doc of matches) docs.splice(docs.indexOf(doc), 1)
+      return { acknowledged: true, deletedCount: matches.length }
+    },
+
+    aggregate(pipeline = []) {
+      return createCursor(() => runPipeline(docs, pipeline, getCollection))
+    },
+  }
+}
+
+function createMemoryDb(databaseName = "memory") {
+  const collections = new Map()
+
+  function collection(name) {
+    if (!collections.has(name)) collections.set(name, createCollection(name, collection))
+    return collections.get(name)
+  }
+
+  return {
+    databaseName,
+    collection,
+
+    // Only ping is understood, so connection checks behave like they do against a server
+    async command(command) {
+      if (command.ping) return { ok: 1 }
+      throw unsupported(`Command ${Object.keys(command)[0]}`)
+    },
+
+    async dropDatabase() {
+      collections.clear()
+      return true
+    },
+  }
+}
+
+module.exports = {
+  createMemoryDb,
+}
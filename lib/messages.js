@@ -0,0 +1,202 @@
+const RICH_MESSAGE_TYPES = ["text", "quick_replies", "buttons", "generic", "media"]
+const MEDIA_TYPES = ["image", "video", "audio", "file"]
+const BUTTON_TYPES = ["postback", "web_url"]
+
+const MAX_QUICK_REPLIES = 13
+const MAX_BUTTONS = 3
+const MAX_ELEMENTS = 10
+const MAX_TITLE_LENGTH = 20
+const MAX_ELEMENT_TITLE_LENGTH = 80
+const MAX_TEMPLATE_TEXT_LENGTH = 640
+
+// Postback and quick reply payload: the automation that routes the click back to processButtonClick, plus the
+// button's own payload when it has one. lib/webhook.js parsePostbackPayload unwraps it.
+function getPostbackPayload(automation, payload) {
+  return JSON.stringify(payload ? { automationId: automation._id, payload } : { automationId: automation._id })
+}
+
+function buildButton(automation, button) {
+  if (button.type === "web_url") {
+    return { type: "web_url", title: button.title, url: button.url }
+  }
+
+  return { type: "postback", title: button.title, payload: getPostbackPayload(automation, button.payload) }
+}
+
+function buildElement(automation, element) {
+  const result = { title: element.title }
+
+  if (element.subtitle) result.subtitle = element.subtitle
+  if (element.imageUrl) result.image_url = element.imageUrl
+  if (element.defaultUrl) result.default_action = { type: "web_url", url: element.defaultUrl }
+  if (element.buttons?.length) result.buttons = element.buttons.map((button) => buildButton(automation, button))
+
+  return result
+}
+
+// Build the Send API message bodies for an automation, in send order. text is the rendered automation text.
+function buildMessages(automation, text, richMessage = automation.richMessage) {
+  if (!richMessage || !richMessage.type || richMessage.type === "text") {
+    return [{ text }]
+  }
+
+  switch (richMessage.type) {
+    case "quick_replies":
+      return [
+        {
+          text,
+          quick_replies: richMessage.quickReplies.map((reply) => ({
+            content_type: "text",
+            title: reply.title,
+            payload: getPostbackPayload(automation, reply.payload),
+          })),
+        },
+      ]
+    case "buttons":
+      if (text.length > MAX_TEMPLATE_TEXT_LENGTH) {
+        throw new Error(`Button template text is ${text.length} characters, the limit is ${MAX_TEMPLATE_TEXT_LENGTH}`)
+      }
+
+      return [
+        {
+          attachment: {
+            type: "template",
+            payload: {
+              template_type: "button",
+              text,
+              buttons: richMessage.buttons.map((button) => buildButton(automation, button)),
+            },
+          },
+        },
+      ]
+    case "generic":
+      return [
+        ...(text ? [{ text }] : []),
+        {
+          attachment: {
+            type: "template",
+            payload: {
+              template_type: "generic",
+              elements: richMessage.elements.map((element) => buildElement(automation, element)),
+            },
+          },
+        },
+      ]
+    case "media":
+      return [
+        ...(text ? [{ text }] : []),
+        {
+          attachment: {
+            type: richMessage.media.type,
+            payload: { url: richMessage.media.url },
+          },
+        },
+      ]
+    default:
+      throw new Error(`Unknown rich message type: ${richMessage.type}`)
+  }
+}
+
+function isHttpsUrl(url) {
+  try {
+    return new URL(url).protocol === "https:"
+  } catch (error) {
+    return false
+  }
+}
+
+function validateButtons(buttons, path, errors) {
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+    errors.push(`${path} must contain between 1 and ${MAX_BUTTONS} buttons`)
+    return
+  }
+
+  buttons.forEach((button, index) => {
+    const type = button.type || "postback"
+
+    if (!BUTTON_TYPES.includes(type)) {
+      errors.push(`${path}[${index}].type must be one of: ${BUTTON_TYPES.join(", ")}`)
+    }
+    if (!button.title || button.title.length > MAX_TITLE_LENGTH) {
+      errors.push(`${path}[${index}].title is required and must be at most ${MAX_TITLE_LENGTH} characters`)
+    }
+    if (type === "web_url" && !isHttpsUrl(button.url)) {
+      errors.push(`${path}[${index}].url must be an https URL`)
+    }
+  })
+}
+
+// Validate a rich message definition, returning a list of error messages
+function validateRichMessage(richMessage) {
+  const errors = []
+
+  if (richMessage === undefined || richMessage === null) {
+    return errors
+  }
+
+  if (typeof richMessage !== "object" || !RICH_MESSAGE_TYPES.includes(richMessage.type)) {
+    return [`richMessage.type must be one of: ${RICH_MESSAGE_TYPES.join(", ")}`]
+  }
+
+  switch (richMessage.type) {
+    case "quick_replies": {
+      const replies = richMessage.quickReplies
+      if (!Array.isArray(replies) || replies.length === 0 || replies.length > MAX_QUICK_REPLIES) {
+        errors.push(`richMessage.quickReplies must contain between 1 and ${MAX_QUICK_REPLIES} replies`)
+        break
+      }
+      replies.forEach((reply, index) => {
+        if (!reply.title || reply.title.length > MAX_TITLE_LENGTH) {
+          errors.push(
+            `richMessage.quickReplies[${index}].title is required and must be at most ${MAX_TITLE_LENGTH} characters`,
+          )
+        }
+      })
+      break
+    }
+    case "buttons":
+      validateButtons(richMessage.buttons, "richMessage.buttons", errors)
+      break
+    case "generic": {
+      const elements = richMessage.elements
+      if (!Array.isArray(elements) || elements.length === 0 || elements.length > MAX_ELEMENTS) {
+        errors.push(`richMessage.elements must contain between 1 and ${MAX_ELEMENTS} elements`)
+        break
+      }
+      elements.forEach((element, index) => {
+        if (!element.title || element.title.length > MAX_ELEMENT_TITLE_LENGTH) {
+          errors.push(
+            `richMessage.elements[${index}].title is required and must be at most ${MAX_ELEMENT_TITLE_LENGTH} characters`,
+          )
+        }
+        if (element.imageUrl && !isHttpsUrl(element.imageUrl)) {
+          errors.push(`richMessage.elements[${index}].imageUrl must be an https URL`)
+        }
+        if (element.defaultUrl && !isHttpsUrl(element.defaultUrl)) {
+          errors.push(`richMessage.elements[${index}].defaultUrl must be an https URL`)
+        }
+        if (element.buttons !== undefined) {
+          validateButtons(element.buttons, `richMessage.elements[${index}].buttons`, errors)
+        }
+      })
+      break
+    }
+    case "media":
+      if (!richMessage.media || !MEDIA_TYPES.includes(richMessage.media.type)) {
+        errors.push(`richMessage.media.type must be one of: ${MEDIA_TYPES.join(", ")}`)
+      }
+      if (!isHttpsUrl(richMessage.media?.url)) {
+        errors.push("richMessage.media.url must be an https URL")
+      }
+      break
+  }
+
+  return errors
+}
+
+module.exports = {
+  RICH_MESSAGE_TYPES,
+  getPostbackPayload,
+  buildMessages,
+  validateRichMessage,
+}
@@ -0,0 +1,84 @@
+const { logger } = require("./logger")
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Businesses may reply freely for 24 hours after the user's last message
+const STANDARD_WINDOW_MS = 24 * HOUR_MS
+// Human agents may answer for 7 days with the HUMAN_AGENT tag
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * HOUR_MS
+// A single private reply may be sent to a comment for 7 days
+const PRIVATE_REPLY_WINDOW_MS = 7 * 24 * HOUR_MS
+
+const SEND_MODES = {
+  RESPONSE: "response",
+  PRIVATE_REPLY: "private_reply",
+  HUMAN_AGENT: "human_agent",
+}
+
+const REFUSAL_REASONS = {
+  NO_INBOUND: "no_inbound_interaction",
+  OUTSIDE_WINDOW: "outside_messaging_window",
+}
+
+function isWithin(date, windowMs, now) {
+  return Boolean(date) && now.getTime() - new Date(date).getTime() <= windowMs
+}
+
+// Decide whether a message may be sent now and in which mode:
+// - response: the contact wrote to us (or tapped a button) in the last 24 hours
+// - private_reply: answering a comment we haven't privately replied to yet, within 7 days
+// - human_agent: a human answering within 7 days of the contact's last message
+function chooseSendMode({ lastInboundAt, comment, privateReplyUsed = false, humanAgent = false, now = new Date() }) {
+  if (isWithin(lastInboundAt, STANDARD_WINDOW_MS, now)) {
+    return { allowed: true, mode: SEND_MODES.RESPONSE }
+  }
+
+  if (comment && !privateReplyUsed && isWithin(comment.createdAt || now, PRIVATE_REPLY_WINDOW_MS, now)) {
+    return { allowed: true, mode: SEND_MODES.PRIVATE_REPLY }
+  }
+
+  if (humanAgent && isWithin(lastInboundAt, HUMAN_AGENT_WINDOW_MS, now)) {
+    return { allowed: true, mode: SEND_MODES.HUMAN_AGENT }
+  }
+
+  return {
+    allowed: false,
+    reason: lastInboundAt ? REFUSAL_REASONS.OUTSIDE_WINDOW : REFUSAL_REASONS.NO_INBOUND,
+  }
+}
+
+// Build the Send API bodies for a list of messages in the chosen mode
+function buildSendPayloads(mode, { recipientId, commentId }, messages) {
+  switch (mode) {
+    case SEND_MODES.PRIVATE_REPLY:
+      // Instagram accepts exactly one private reply per comment. Rich messages put their lead-in text first
+      // and the content (template or attachment) last, so the last part is the one that goes out.
+      if (messages.length > 1) {
+        logger.info("Private reply can only carry one message, dropping the lead-in", {
+          commentId,
+          dropped: messages.length - 1,
+        })
+      }
+      return [{ recipient: { comment_id: commentId }, message: messages[messages.length - 1] }]
+    case SEND_MODES.HUMAN_AGENT:
+      return messages.map((message) => ({
+        recipient: { id: recipientId },
+        messaging_type: "MESSAGE_TAG",
+        tag: "HUMAN_AGENT",
+        message,
+      }))
+    case SEND_MODES.RESPONSE:
+    default:
+      return messages.map((message) => ({ recipient: { id: recipientId }, messaging_type: "RESPONSE", message }))
+  }
+}
+
+module.exports = {
+  STANDARD_WINDOW_MS,
+  HUMAN_AGENT_WINDOW_MS,
+  PRIVATE_REPLY_WINDOW_MS,
+  SEND_MODES,
+  REFUSAL_REASONS,
+  chooseSendMode,
+  buildSendPayloads,
+}
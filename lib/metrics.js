@@ -0,0 +1,307 @@
+const { logger } = require("./logger")
+
+// Prometheus metrics, served in the text exposition format by GET /metrics. Counters and histograms are updated
+// where things happen; gauges for state kept in MongoDB (backlogs, queue depth) are read when /metrics is scraped.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8"
+
+// Seconds. Graph calls and MongoDB commands both fall between a few milliseconds and the 10s request timeout.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf"
+  if (value === -Infinity) return "-Inf"
+  return String(value)
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`)
+  if (extra) pairs.push(extra)
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : ""
+}
+
+// Label values in labelNames order, so each combination maps to one series
+function labelValues(metric, labels = {}) {
+  for (const name of Object.keys(labels)) {
+    if (!metric.labelNames.includes(name)) {
+      throw new Error(`Unknown label "${name}" for metric ${metric.name}`)
+    }
+  }
+  return metric.labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? "" : labels[name]))
+}
+
+function header(metric, type) {
+  return `# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}\n# TYPE ${metric.name} ${type}\n`
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map()
+  const metric = { name, help, labelNames }
+
+  return {
+    ...metric,
+    inc(labels, value = 1) {
+      const values = labelValues(metric, labels)
+      const key = JSON.stringify(values)
+      series.set(key, { values, value: (series.get(key)?.value || 0) + value })
+    },
+    render() {
+      let text = header(metric, "counter")
+      for (const { values, value } of series.values()) {
+        text += `${name}${formatLabels(labelNames, values)} ${formatValue(value)}\n`
+      }
+      return text
+    },
+    reset: () => series.clear(),
+  }
+}
+
+function createGauge({ name, help, labelNames = [] }) {
+  const series = new Map()
+  const metric = { name, help, labelNames }
+
+  function set(labels, value) {
+    const values = labelValues(metric, labels)
+    series.set(JSON.stringify(values), { values, value })
+  }
+
+  return {
+    ...metric,
+    set,
+    inc(labels, value = 1) {
+      const values = labelValues(metric, labels)
+      set(labels, (series.get(JSON.stringify(values))?.value || 0) + value)
+    },
+    dec(labels, value = 1) {
+      const values = labelValues(metric, labels)
+      set(labels, (series.get(JSON.stringify(values))?.value || 0) - value)
+    },
+    render() {
+      let text = header(metric, "gauge")
+      for (const { values, value } of series.values()) {
+        text += `${name}${formatLabels(labelNames, values)} ${formatValue(value)}\n`
+      }
+      return text
+    },
+    reset: () => series.clear(),
+  }
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map()
+  const metric = { name, help, labelNames }
+  const bounds = [...buckets].sort((a, b) => a - b)
+
+  function observe(labels, value) {
+    const values = labelValues(metric, labels)
+    const key = JSON.stringify(values)
+    let entry = series.get(key)
+
+    if (!entry) {
+      entry = { values, counts: bounds.map(() => 0), sum: 0, count: 0 }
+      series.set(key, entry)
+    }
+
+    bounds.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++
+    })
+    entry.sum += value
+    entry.count++
+  }
+
+  return {
+    ...metric,
+    observe,
+    // Returns a function that records the seconds elapsed since startTimer, with extra labels known only at the end
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint()
+      return (endLabels = {}) => observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9)
+    },
+    render() {
+      let text = header(metric, "histogram")
+      for (const { values, counts, sum, count } of series.values()) {
+        bounds.forEach((bound, i) => {
+          text += `${name}_bucket${formatLabels(labelNames, values, `le="${formatValue(bound)}"`)} ${counts[i]}\n`
+        })
+        text += `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}\n`
+        text += `${name}_sum${formatLabels(labelNames, values)} ${formatValue(sum)}\n`
+        text += `${name}_count${formatLabels(labelNames, values)} ${count}\n`
+      }
+      return text
+    },
+    reset: () => series.clear(),
+  }
+}
+
+// A set of metrics rendered together. Collectors run before each render to refresh gauges.
+function createRegistry() {
+  const metrics = new Map()
+  const collectors = []
+
+  function register(metric) {
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`)
+    }
+    metrics.set(metric.name, metric)
+    return metric
+  }
+
+  return {
+    counter: (options) => register(createCounter(options)),
+    gauge: (options) => register(createGauge(options)),
+    histogram: (options) => register(createHistogram(options)),
+
+    onCollect(collector) {
+      collectors.push(collector)
+    },
+
+    async render() {
+      // A failing collector leaves its gauges at their last values rather than failing the scrape
+      for (const collector of collectors) {
+        try {
+          await collector()
+        } catch (error) {
+          logger.warn("Metrics collector failed", { error })
+        }
+      }
+      return [...metrics.values()].map((metric) => metric.render()).join("\n")
+    },
+
+    reset() {
+      for (const metric of metrics.values()) metric.reset()
+    },
+  }
+}
+
+const registry = createRegistry()
+
+const metrics = {
+  eventsReceived: registry.counter({
+    name: "instaautodm_events_received_total",
+    help: "Events received, by type and source (webhook or api). Duplicates are counted here and in events_duplicate.",
+    labelNames: ["type", "source"],
+  }),
+  eventsDuplicate: registry.counter({
+    name: "instaautodm_events_duplicate_total",
+    help: "Events dropped because the same Instagram event was received before",
+    labelNames: ["type", "source"],
+  }),
+  automationsMatched: registry.counter({
+    name: "instaautodm_automations_matched_total",
+    help: "Automation triggers that matched a comment or message",
+    labelNames: ["account", "source"],
+  }),
+  directMessages: registry.counter({
+    name: "instaautodm_direct_messages_total",
+    help: "DMs by outcome (sent, failed, or skipped outside the messaging window) per Instagram account",
+    labelNames: ["account", "status"],
+  }),
+  commentReplies: registry.counter({
+    name: "instaautodm_comment_replies_total",
+    help: "Public replies to comments by outcome per Instagram account",
+    labelNames: ["account", "status"],
+  }),
+  graphRequestDuration: registry.histogram({
+    name: "instaautodm_graph_request_duration_seconds",
+    help: "Graph API request latency per attempt. status is the HTTP status, or network when there was no response.",
+    labelNames: ["method", "endpoint", "status"],
+  }),
+  graphErrors: registry.counter({
+    name: "instaautodm_graph_errors_total",
+    help: "Failed Graph API attempts by Graph error code and category",
+    labelNames: ["endpoint", "code", "category"],
+  }),
+  backlog: registry.gauge({
+    name: "instaautodm_backlog_size",
+    help: "Received messages and comments waiting to be processed",
+    labelNames: ["collection"],
+  }),
+  backlogOldestAge: registry.gauge({
+    name: "instaautodm_backlog_oldest_age_seconds",
+    help: "Age of the oldest unprocessed item in each backlog, 0 when it is empty",
+    labelNames: ["collection"],
+  }),
+  jobs: registry.gauge({
+    name: "instaautodm_jobs",
+    help: "Jobs in the queue by status",
+    labelNames: ["status"],
+  }),
+  mongoCommandDuration: registry.histogram({
+    name: "instaautodm_mongodb_command_duration_seconds",
+    help: "MongoDB command latency by command and outcome",
+    labelNames: ["command", "status"],
+  }),
+  residentMemory: registry.gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+  }),
+  heapUsed: registry.gauge({
+    name: "nodejs_heap_used_bytes",
+    help: "V8 heap in use in bytes",
+  }),
+  uptime: registry.gauge({
+    name: "process_uptime_seconds",
+    help: "Seconds since the process started",
+  }),
+}
+
+registry.onCollect(() => {
+  const memory = process.memoryUsage()
+  metrics.residentMemory.set({}, memory.rss)
+  metrics.heapUsed.set({}, memory.heapUsed)
+  metrics.uptime.set({}, process.uptime())
+})
+
+// Collections holding received events until they are processed, with the field that says when they arrived
+const BACKLOGS = {
+  incomingMessages: "timestamp",
+  pendingComments: "createdAt",
+}
+
+// Size of each backlog and the age in seconds of its oldest item
+async function getBacklog(db) {
+  const backlog = {}
+
+  for (const [collection, field] of Object.entries(BACKLOGS)) {
+    const filter = { processed: false }
+    const size = await db.collection(collection).countDocuments(filter)
+    const [oldest] = size
+      ? await db
+          .collection(collection)
+          .find(filter)
+          .sort({ [field]: 1 })
+          .limit(1)
+          .toArray()
+      : []
+
+    backlog[collection] = {
+      size,
+      oldestAgeSeconds: oldest?.[field] ? Math.max((Date.now() - new Date(oldest[field]).getTime()) / 1000, 0) : 0,
+    }
+  }
+
+  return backlog
+}
+
+// Time every command a MongoClient runs. The client must be created with monitorCommands: true.
+function instrumentMongoClient(client) {
+  const record = (status) => (event) =>
+    metrics.mongoCommandDuration.observe({ command: event.commandName, status }, event.duration / 1000)
+
+  client.on("commandSucceeded", record("succeeded"))
+  client.on("commandFailed", record("failed"))
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  metrics,
+  getBacklog,
+  instrumentMongoClient,
+}
@@ -0,0 +1,266 @@
+const crypto = require("crypto")
+const fetch = require("node-fetch")
+const { ObjectId } = require("mongodb")
+const { enqueueJob } = require("./queue")
+const { logger } = require("./logger")
+const { STREAM_EVENTS, subscribe } = require("./events")
+
+const ENDPOINTS_COLLECTION = "webhookEndpoints"
+const DELIVERIES_COLLECTION = "webhookDeliveries"
+
+const DELIVERY_JOB = "webhook_delivery"
+// pending → retrying → succeeded or failed, cancelled when the endpoint is gone
+const DELIVERY_STATUSES = ["pending", "retrying", "succeeded", "failed", "cancelled"]
+const TEST_EVENT = "webhook.test"
+
+// Every stream event can be forwarded; an endpoint with no event filter receives all of them
+const WEBHOOK_EVENTS = Object.values(STREAM_EVENTS)
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8)
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000)
+// Endpoints are switched off after this many failed attempts in a row
+const DISABLE_AFTER_FAILURES = Number(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || 25)
+const MAX_LOGGED_RESPONSE = 1000
+
+async function ensureWebhookIndexes(db) {
+  await db.collection(ENDPOINTS_COLLECTION).createIndex({ instagramAccountId: 1, active: 1 })
+  await db.collection(DELIVERIES_COLLECTION).createIndex({ endpointId: 1, createdAt: -1 })
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex")
+}
+
+// Signature receivers check: HMAC-SHA256 over "<timestamp>.<body>" with the endpoint secret
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`
+}
+
+// Validate an endpoint definition from the API, returning a list of error messages
+function validateEndpoint(input, { partial = false } = {}) {
+  const errors = []
+
+  if (!partial || input.url !== undefined) {
+    let url
+    try {
+      url = new URL(input.url)
+    } catch (error) {
+      url = null
+    }
+    // Plain http is only accepted for local testing
+    if (!url || !(url.protocol === "https:" || (url.protocol === "http:" && url.hostname === "localhost"))) {
+      errors.push("url must be an https URL")
+    }
+  }
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events)) {
+      errors.push("events must be an array")
+    } else {
+      for (const event of input.events) {
+        if (!WEBHOOK_EVENTS.includes(event)) {
+          errors.push(`Unknown event: ${event}. Known events: ${WEBHOOK_EVENTS.join(", ")}`)
+        }
+      }
+    }
+  }
+
+  if (input.active !== undefined && typeof input.active !== "boolean") {
+    errors.push("active must be a boolean")
+  }
+
+  return errors
+}
+
+// Endpoint as returned by the API: the secret is only shown when it is created or rotated
+function describeEndpoint(endpoint) {
+  const { secret, ...rest } = endpoint
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null }
+}
+
+// Queue a delivery of an event to one endpoint
+async function enqueueDelivery(db, endpoint, event) {
+  const deliveryId = new ObjectId().toString()
+  const delivery = {
+    _id: deliveryId,
+    endpointId: endpoint._id,
+    instagramAccountId: endpoint.instagramAccountId,
+    eventId: event.id,
+    type: event.type,
+    payload: {
+      // Stable across retries so receivers can deduplicate
+      id: deliveryId,
+      type: event.type,
+      createdAt: event.timestamp,
+      userId: event.userId,
+      instagramAccountId: event.instagramAccountId,
+      data: event.data,
+    },
+    status: "pending",
+    attempts: [],
+    createdAt: new Date(),
+  }
+
+  await db.collection(DELIVERIES_COLLECTION).insertOne(delivery)
+  await enqueueJob(db, DELIVERY_JOB, { deliveryId: delivery._id }, { maxAttempts: MAX_ATTEMPTS })
+
+  return delivery
+}
+
+// Fan an event out to the account's active endpoints that subscribed to it
+async function dispatchEvent(db, event) {
+  if (!event.instagramAccountId) {
+    return 0
+  }
+
+  const endpoints = await db
+    .collection(ENDPOINTS_COLLECTION)
+    .find({
+      instagramAccountId: event.instagramAccountId,
+      active: true,
+      $or: [{ events: { $size: 0 } }, { events: event.type }],
+    })
+    .toArray()
+
+  for (const endpoint of endpoints) {
+    await enqueueDelivery(db, endpoint, event)
+  }
+
+  return endpoints.length
+}
+
+// Forward every published event to outbound webhooks. Returns an unsubscribe function.
+function startWebhookDispatcher(getDb) {
+  return subscribe({}, (event) => {
+    const db = getDb()
+    if (!db) return
+
+    dispatchEvent(db, event).catch((error) => {
+      logger.error("Error dispatching event to webhooks", { eventType: event.type, error })
+    })
+  })
+}
+
+async function recordFailure(db, endpoint) {
+  const result = await db
+    .collection(ENDPOINTS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: endpoint._id },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastFailureAt: new Date() } },
+      { returnDocument: "after" },
+    )
+
+  const updated = result.value
+  if (updated?.active && updated.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    await db.collection(ENDPOINTS_COLLECTION).updateOne(
+      { _id: endpoint._id },
+      {
+        $set: {
+          active: false,
+          disabledAt: new Date(),
+          disabledReason: `${updated.consecutiveFailures} consecutive failed deliveries`,
+        },
+      },
+    )
+    logger.warn("Disabled webhook endpoint after repeated failures", {
+      endpointId: endpoint._id,
+      url: endpoint.url,
+      consecutiveFailures: updated.consecutiveFailures,
+    })
+  }
+}
+
+// Job handler: POST one delivery. Failures are returned so the job queue retries them with backoff.
+async function deliverWebhook(db, { deliveryId }, job) {
+  const delivery = await db.collection(DELIVERIES_COLLECTION).findOne({ _id: deliveryId })
+  const endpoint = delivery ? await db.collection(ENDPOINTS_COLLECTION).findOne({ _id: delivery.endpointId }) : null
+
+  if (!delivery || !endpoint || (!endpoint.active && delivery.type !== TEST_EVENT)) {
+    if (delivery) {
+      await db
+        .collection(DELIVERIES_COLLECTION)
+        .updateOne({ _id: deliveryId }, { $set: { status: "cancelled", completedAt: new Date() } })
+    }
+    return { success: true, message: `Webhook delivery ${deliveryId} no longer applies` }
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const startedAt = Date.now()
+  const attempt = { at: new Date() }
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "InstagramAutomationServer-Webhooks/1.0",
+        "X-Webhook-Id": delivery._id,
+        "X-Webhook-Event": delivery.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(endpoint.secret, timestamp, body),
+      },
+      body,
+      timeout: TIMEOUT_MS,
+      redirect: "manual",
+    })
+
+    attempt.statusCode = response.status
+    attempt.response = (await response.text().catch(() => "")).slice(0, MAX_LOGGED_RESPONSE)
+    attempt.ok = response.ok
+  } catch (error) {
+    attempt.error = String(error)
+    attempt.ok = false
+  }
+
+  attempt.durationMs = Date.now() - startedAt
+
+  if (attempt.ok) {
+    await db
+      .collection(DELIVERIES_COLLECTION)
+      .updateOne(
+        { _id: deliveryId },
+        { $set: { status: "succeeded", completedAt: new Date() }, $push: { attempts: attempt } },
+      )
+    await db
+      .collection(ENDPOINTS_COLLECTION)
+      .updateOne({ _id: endpoint._id }, { $set: { consecutiveFailures: 0, lastSuccessAt: new Date() } })
+
+    return { success: true, statusCode: attempt.statusCode }
+  }
+
+  // 4xx (other than 408/429) means the receiver rejected the payload; sending it again won't help
+  const retryable = !attempt.statusCode || attempt.statusCode >= 500 || [408, 429].includes(attempt.statusCode)
+  const finalAttempt = !retryable || !job || job.attempts >= job.maxAttempts
+
+  await db
+    .collection(DELIVERIES_COLLECTION)
+    .updateOne(
+      { _id: deliveryId },
+      { $set: { status: finalAttempt ? "failed" : "retrying" }, $push: { attempts: attempt } },
+    )
+  await recordFailure(db, endpoint)
+
+  return {
+    success: false,
+    message: `Webhook ${endpoint.url} responded ${attempt.statusCode || attempt.error}`,
+    retryable,
+  }
+}
+
+module.exports = {
+  ENDPOINTS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  DELIVERY_JOB,
+  DELIVERY_STATUSES,
+  TEST_EVENT,
+  WEBHOOK_EVENTS,
+  ensureWebhookIndexes,
+  generateSecret,
+  signPayload,
+  validateEndpoint,
+  describeEndpoint,
+  enqueueDelivery,
+  startWebhookDispatcher,
+  deliverWebhook,
+}
@@ -0,0 +1,283 @@
+const os = require("os")
+const { ObjectId } = require("mongodb")
+const { logger, getCorrelationId, withCorrelation } = require("./logger")
+
+const JOBS_COLLECTION = "jobs"
+const DEAD_LETTER_COLLECTION = "deadLetterJobs"
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 5 * 60 * 1000
+const DEFAULT_BACKOFF_BASE_MS = 5000
+const DEFAULT_BACKOFF_MAX_MS = 30 * 60 * 1000
+const DEFAULT_POLL_INTERVAL_MS = 1000
+// Completed jobs are kept this long for inspection, then removed by a TTL index
+const COMPLETED_JOB_TTL_SECONDS = Number(process.env.COMPLETED_JOB_RETENTION_HOURS || 24) * 60 * 60
+
+// Create the indexes the queue relies on for claiming jobs
+async function ensureQueueIndexes(db) {
+  await db.collection(JOBS_COLLECTION).createIndex({ status: 1, runAt: 1 })
+  await db.collection(JOBS_COLLECTION).createIndex({ status: 1, lockedUntil: 1 })
+  // Only completed jobs have completedAt, so pending and failed ones never expire
+  await db
+    .collection(JOBS_COLLECTION)
+    .createIndex({ completedAt: 1 }, { expireAfterSeconds: COMPLETED_JOB_TTL_SECONDS })
+  await db.collection(DEAD_LETTER_COLLECTION).createIndex({ failedAt: -1 })
+}
+
+// Add a job to the queue
+async function enqueueJob(db, type, data, options = {}) {
+  const now = new Date()
+
+  const job = {
+    _id: new ObjectId().toString(),
+    type,
+    data,
+    status: "pending",
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    runAt: options.runAt || now,
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: null,
+    // The worker runs the job under this ID, so its logs line up with the request that queued it
+    correlationId: options.correlationId || getCorrelationId(),
+    createdAt: now,
+    updatedAt: now,
+  }
+
+  await db.collection(JOBS_COLLECTION).insertOne(job)
+
+  return job
+}
+
+// Lease the next runnable job. Jobs whose lease expired (worker crashed) are picked up again.
+async function claimJob(db, workerId, options = {}) {
+  const now = new Date()
+  const visibilityTimeoutMs = options.visibilityTimeoutMs || DEFAULT_VISIBILITY_TIMEOUT_MS
+
+  const result = await db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "processing", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + visibilityTimeoutMs),
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" },
+  )
+
+  return result.value
+}
+
+// Mark a leased job as done
+async function completeJob(db, job, result) {
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: "completed",
+        result,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: new Date(),
+      },
+    },
+  )
+}
+
+// Put a job back to sleep until deferUntil without counting the attempt (e.g. rate limited)
+async function deferJob(db, job, deferUntil) {
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: "pending",
+        runAt: new Date(deferUntil),
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: new Date(),
+      },
+      $inc: { attempts: -1, deferrals: 1 },
+    },
+  )
+
+  logger.info("Job deferred", { jobId: job._id, jobType: job.type, deferUntil: new Date(deferUntil) })
+}
+
+// Exponential backoff delay for the given attempt number
+function getBackoffDelay(attempts, options = {}) {
+  const base = options.backoffBaseMs || DEFAULT_BACKOFF_BASE_MS
+  const max = options.backoffMaxMs || DEFAULT_BACKOFF_MAX_MS
+
+  return Math.min(base * Math.pow(2, Math.max(attempts - 1, 0)), max)
+}
+
+// Reschedule a failed job, or move it to the dead-letter collection once it is out of attempts
+async function failJob(db, job, error, options = {}) {
+  const now = new Date()
+
+  if (job.attempts >= job.maxAttempts || options.permanent) {
+    await db.collection(DEAD_LETTER_COLLECTION).insertOne({
+      ...job,
+      status: "dead",
+      lastError: String(error),
+      failedAt: now,
+      lockedBy: null,
+      lockedUntil: null,
+      updatedAt: now,
+    })
+
+    // Another worker took the job over after this one's lease ran out; it decides what happens to the job
+    const removed = await db.collection(JOBS_COLLECTION).deleteOne({ _id: job._id, lockedBy: job.lockedBy })
+    if (removed.deletedCount === 0) {
+      await db.collection(DEAD_LETTER_COLLECTION).deleteOne({ _id: job._id })
+      logger.warn("Job lease lost before it could be dead-lettered", { jobId: job._id, jobType: job.type })
+      return { deadLettered: false, leaseLost: true }
+    }
+
+    logger.error("Job moved to dead-letter queue", { jobId: job._id, jobType: job.type, attempts: job.attempts })
+    return { deadLettered: true }
+  }
+
+  const runAt = new Date(now.getTime() + getBackoffDelay(job.attempts, options))
+
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: "pending",
+        runAt,
+        lastError: String(error),
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: now,
+      },
+    },
+  )
+
+  logger.info("Job will retry", { jobId: job._id, jobType: job.type, runAt, attempts: job.attempts })
+  return { deadLettered: false, runAt }
+}
+
+// Count jobs by status, used for monitoring
+async function getQueueStats(db) {
+  const counts = await db
+    .collection(JOBS_COLLECTION)
+    .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+    .toArray()
+
+  const stats = { pending: 0, processing: 0, completed: 0 }
+  for (const { _id, count } of counts) {
+    stats[_id] = count
+  }
+  stats.dead = await db.collection(DEAD_LETTER_COLLECTION).countDocuments()
+
+  return stats
+}
+
+// Seconds the oldest runnable job has been waiting since its runAt, 0 when none is due
+async function getQueueLag(db) {
+  const [oldest] = await db
+    .collection(JOBS_COLLECTION)
+    .find({ status: "pending", runAt: { $lte: new Date() } })
+    .sort({ runAt: 1 })
+    .limit(1)
+    .toArray()
+
+  return oldest ? Math.max((Date.now() - new Date(oldest.runAt).getTime()) / 1000, 0) : 0
+}
+
+// Create a worker that drains the queue with the given handlers ({ [type]: async (data, job) => result })
+function createWorker({ getDb, handlers, concurrency = 1, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, ...options }) {
+  const workerId = `${os.hostname()}-${process.pid}-${new ObjectId().toString()}`
+  let running = false
+  const loops = []
+
+  async function runJob(db, job) {
+    const handler = handlers[job.type]
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`)
+      }
+
+      const result = await handler(job.data, job)
+
+      if (result && result.success === false) {
+        const error = new Error(result.message || `Job ${job._id} failed`)
+        // Handlers flag failures that another attempt can't fix
+        error.permanent = result.retryable === false
+        throw error
+      }
+
+      if (result && result.deferUntil) {
+        await deferJob(db, job, result.deferUntil)
+        return result
+      }
+
+      await completeJob(db, job, result)
+      return result
+    } catch (error) {
+      logger.error("Error running job", { jobId: job._id, jobType: job.type, error })
+      await failJob(db, job, error, { ...options, permanent: error.permanent })
+    }
+  }
+
+  async function loop() {
+    while (running) {
+      try {
+        const db = getDb()
+        const job = db ? await claimJob(db, workerId, options) : null
+
+        if (!job) {
+          await new Promise((resolve) => setTimeout(resolve, pollIntervalMs))
+          continue
+        }
+
+        await withCorrelation(job.correlationId || job._id, () => runJob(db, job))
+      } catch (error) {
+        logger.error("Error in job worker loop", { error })
+        await new Promise((resolve) => setTimeout(resolve, pollIntervalMs))
+      }
+    }
+  }
+
+  return {
+    workerId,
+    start() {
+      if (running) return
+      running = true
+      for (let i = 0; i < concurrency; i++) {
+        loops.push(loop())
+      }
+      logger.info("Job worker started", { workerId, concurrency })
+    },
+    async stop() {
+      running = false
+      await Promise.all(loops.splice(0))
+      logger.info("Job worker stopped", { workerId })
+    },
+  }
+}
+
+module.exports = {
+  ensureQueueIndexes,
+  enqueueJob,
+  claimJob,
+  completeJob,
+  deferJob,
+  failJob,
+  getBackoffDelay,
+  getQueueStats,
+  getQueueLag,
+  createWorker,
+}
@@ -0,0 +1,158 @@
+const RATE_LIMITS_COLLECTION = "rateLimits"
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Instagram allows roughly 200 automated DMs per account per hour
+const DEFAULT_ACCOUNT_PER_HOUR = Number(process.env.ACCOUNT_DM_LIMIT_PER_HOUR || 200)
+const DEFAULT_ACCOUNT_PER_DAY = Number(process.env.ACCOUNT_DM_LIMIT_PER_DAY || 2000)
+const DEFAULT_AUTOMATION_PER_HOUR = 10
+
+// Thrown (or returned) when a send has to wait for capacity
+class RateLimitError extends Error {
+  constructor(message, { retryAfterMs, bucket } = {}) {
+    super(message)
+    this.name = "RateLimitError"
+    this.retryAfterMs = retryAfterMs
+    this.deferUntil = new Date(Date.now() + retryAfterMs)
+    this.bucket = bucket
+  }
+}
+
+// The buckets a DM from this account (and automation) has to fit in
+function getSendBuckets(account, automation) {
+  const limits = account.rateLimits || {}
+  const buckets = [
+    {
+      key: `account:${account._id}:hour`,
+      capacity: limits.perHour || DEFAULT_ACCOUNT_PER_HOUR,
+      windowMs: HOUR_MS,
+    },
+    {
+      key: `account:${account._id}:day`,
+      capacity: limits.perDay || DEFAULT_ACCOUNT_PER_DAY,
+      windowMs: DAY_MS,
+    },
+  ]
+
+  if (automation) {
+    buckets.push({
+      key: `automation:${automation._id}:hour`,
+      capacity: automation.rateLimit || DEFAULT_AUTOMATION_PER_HOUR,
+      windowMs: HOUR_MS,
+    })
+  }
+
+  if (process.env.GLOBAL_DM_LIMIT_PER_HOUR) {
+    buckets.push({ key: "global:hour", capacity: Number(process.env.GLOBAL_DM_LIMIT_PER_HOUR), windowMs: HOUR_MS })
+  }
+
+  return buckets
+}
+
+// Refill a bucket for the time since its last update and take `cost` tokens if there are enough.
+// The whole read-refill-take runs as one atomic pipeline update, so concurrent senders can't overdraw it.
+async function takeTokens(db, bucket, cost, retried = false) {
+  const now = new Date()
+  const refillPerMs = bucket.capacity / bucket.windowMs
+
+  let result
+  try {
+    result = await db.collection(RATE_LIMITS_COLLECTION).findOneAndUpdate(
+      { _id: bucket.key },
+      [
+        {
+          $set: {
+            capacity: bucket.capacity,
+            windowMs: bucket.windowMs,
+            tokens: {
+              $min: [
+                bucket.capacity,
+                {
+                  $add: [
+                    { $ifNull: ["$tokens", bucket.capacity] },
+                    { $multiply: [{ $subtract: [now, { $ifNull: ["$updatedAt", now] }] }, refillPerMs] },
+                  ],
+                },
+              ],
+            },
+            updatedAt: now,
+          },
+        },
+        { $set: { granted: { $gte: ["$tokens", cost] } } },
+        { $set: { tokens: { $cond: ["$granted", { $subtract: ["$tokens", cost] }, "$tokens"] } } },
+      ],
+      { upsert: true, returnDocument: "after" },
+    )
+  } catch (error) {
+    // Two first-time upserts of the same bucket race on the _id; the loser just tries again
+    if (error.code === 11000 && !retried) {
+      return takeTokens(db, bucket, cost, true)
+    }
+    throw error
+  }
+
+  const doc = result.value
+
+  if (doc.granted) {
+    return { granted: true }
+  }
+
+  return { granted: false, retryAfterMs: Math.ceil((cost - doc.tokens) / refillPerMs) }
+}
+
+// Give tokens back, e.g. when a later bucket refused or the send never happened
+async function returnTokens(db, bucket, cost) {
+  await db
+    .collection(RATE_LIMITS_COLLECTION)
+    .updateOne({ _id: bucket.key }, [{ $set: { tokens: { $min: [bucket.capacity, { $add: ["$tokens", cost] }] } } }])
+}
+
+// Reserve capacity in every bucket, or none of them
+async function reserve(db, buckets, cost = 1) {
+  const taken = []
+
+  for (const bucket of buckets) {
+    const result = await takeTokens(db, bucket, cost)
+
+    if (!result.granted) {
+      await Promise.all(taken.map((takenBucket) => returnTokens(db, takenBucket, cost)))
+      return { granted: false, retryAfterMs: result.retryAfterMs, bucket: bucket.key }
+    }
+
+    taken.push(bucket)
+  }
+
+  return { granted: true }
+}
+
+// Give a reservation back when the send didn't go out
+async function release(db, buckets, cost = 1) {
+  await Promise.all(buckets.map((bucket) => returnTokens(db, bucket, cost)))
+}
+
+// Current fill level of each bucket, for monitoring
+async function getBucketLevels(db, buckets) {
+  const docs = await db
+    .collection(RATE_LIMITS_COLLECTION)
+    .find({ _id: { $in: buckets.map((bucket) => bucket.key) } })
+    .toArray()
+
+  return buckets.map((bucket) => {
+    const doc = docs.find((item) => item._id === bucket.key)
+    const elapsed = doc ? Date.now() - new Date(doc.updatedAt).getTime() : 0
+    const tokens = doc
+      ? Math.min(bucket.capacity, doc.tokens + (elapsed * bucket.capacity) / bucket.windowMs)
+      : bucket.capacity
+
+    return { key: bucket.key, capacity: bucket.capacity, windowMs: bucket.windowMs, available: Math.floor(tokens) }
+  })
+}
+
+module.exports = {
+  RateLimitError,
+  getSendBuckets,
+  reserve,
+  release,
+  getBucketLevels,
+}
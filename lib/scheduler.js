@@ -0,0 +1,249 @@
+const os = require("os")
+const { ObjectId } = require("mongodb")
+const { parseCron, getNextRun } = require("./cron")
+const { logger, withCorrelation } = require("./logger")
+
+const JOBS_COLLECTION = "scheduledJobs"
+const RUNS_COLLECTION = "scheduledJobRuns"
+
+const DEFAULT_TICK_MS = Number(process.env.SCHEDULER_TICK_MS || 1000)
+// A run holding its lock longer than this is assumed dead and the job may run elsewhere
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000
+const RUN_HISTORY_DAYS = Number(process.env.SCHEDULER_RUN_HISTORY_DAYS || 7)
+const MAX_LOGGED_ERROR = 2000
+
+async function ensureSchedulerIndexes(db) {
+  await db.collection(RUNS_COLLECTION).createIndex({ job: 1, startedAt: -1 })
+  await db.collection(RUNS_COLLECTION).createIndex({ startedAt: 1 })
+}
+
+// Job state as shown to admins: definition merged with what is stored in Mongo
+function describeJob(definition, state) {
+  return {
+    name: definition.name,
+    description: definition.description || "",
+    schedule: definition.schedule,
+    paused: Boolean(state?.paused),
+    running: Boolean(state?.lockedUntil && state.lockedUntil > new Date()),
+    lockedBy: state?.lockedUntil > new Date() ? state.lockedBy : null,
+    nextRunAt: state?.nextRunAt || null,
+    lastRunAt: state?.lastRunAt || null,
+    lastStatus: state?.lastStatus || null,
+    lastSuccessAt: state?.lastSuccessAt || null,
+    lastDurationMs: state?.lastDurationMs ?? null,
+    lastError: state?.lastError || null,
+  }
+}
+
+// In-process scheduler for recurring jobs: [{ name, schedule, description, handler, lockTtlMs }].
+// Every instance runs the same scheduler; a lock per job in Mongo makes sure each occurrence runs only once,
+// on whichever instance gets there first. Handlers receive { db, trigger } and may return a result to log.
+function createScheduler({ getDb, jobs, tickMs = DEFAULT_TICK_MS, instanceId }) {
+  const owner = instanceId || `${os.hostname()}:${process.pid}:${new ObjectId().toString()}`
+  const definitions = new Map()
+  const nextRuns = new Map()
+
+  for (const job of jobs) {
+    definitions.set(job.name, { ...job, cron: parseCron(job.schedule) })
+  }
+
+  let timer = null
+  let stopped = true
+
+  // Create the job documents on first start and pick up schedule changes from code
+  async function syncJobs(db) {
+    for (const definition of definitions.values()) {
+      const state = await db.collection(JOBS_COLLECTION).findOne({ _id: definition.name })
+      const update = { schedule: definition.schedule, description: definition.description || "" }
+
+      if (!state || state.schedule !== definition.schedule || !state.nextRunAt) {
+        update.nextRunAt = getNextRun(definition.cron)
+      }
+
+      await db
+        .collection(JOBS_COLLECTION)
+        .updateOne({ _id: definition.name }, { $set: update, $setOnInsert: { paused: false } }, { upsert: true })
+
+      nextRuns.set(definition.name, update.nextRunAt || state.nextRunAt)
+    }
+  }
+
+  // Take the job's lock. Scheduled runs also have to be due, which stops two instances running one occurrence.
+  async function acquireLock(db, definition, { manual }) {
+    const now = new Date()
+    const filter = {
+      _id: definition.name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    }
+    const update = {
+      lockedBy: owner,
+      lockedUntil: new Date(now.getTime() + (definition.lockTtlMs || DEFAULT_LOCK_TTL_MS)),
+    }
+
+    if (!manual) {
+      filter.paused = { $ne: true }
+      filter.nextRunAt = { $lte: now }
+      update.nextRunAt = getNextRun(definition.cron, now)
+    }
+
+    const result = await db
+      .collection(JOBS_COLLECTION)
+      .findOneAndUpdate(filter, { $set: update }, { returnDocument: "after" })
+    return result.value
+  }
+
+  async function execute(db, definition, trigger) {
+    const run = {
+      _id: new ObjectId().toString(),
+      job: definition.name,
+      trigger,
+      instance: owner,
+      status: "running",
+      startedAt: new Date(),
+    }
+    await db.collection(RUNS_COLLECTION).insertOne(run)
+
+    try {
+      // Everything the run logs carries the run's ID, the same ID GET /api/admin/jobs/:name/runs lists
+      run.result = (await withCorrelation(run._id, () => definition.handler({ db, trigger }))) ?? null
+      run.status = "succeeded"
+    } catch (error) {
+      logger.error("Scheduled job failed", { job: definition.name, runId: run._id, error })
+      run.status = "failed"
+      run.error = String(error.stack || error).slice(0, MAX_LOGGED_ERROR)
+    }
+
+    run.finishedAt = new Date()
+    run.durationMs = run.finishedAt - run.startedAt
+
+    await db.collection(RUNS_COLLECTION).updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: run.status,
+          result: run.result,
+          error: run.error,
+          finishedAt: run.finishedAt,
+          durationMs: run.durationMs,
+        },
+      },
+    )
+    await db.collection(JOBS_COLLECTION).updateOne(
+      { _id: definition.name, lockedBy: owner },
+      {
+        $set: {
+          lockedUntil: null,
+          lastRunAt: run.startedAt,
+          lastStatus: run.status,
+          lastDurationMs: run.durationMs,
+          lastError: run.error || null,
+          ...(run.status === "succeeded" ? { lastSuccessAt: run.finishedAt } : {}),
+        },
+      },
+    )
+    await db.collection(RUNS_COLLECTION).deleteMany({
+      job: definition.name,
+      startedAt: { $lt: new Date(Date.now() - RUN_HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+    })
+
+    return run
+  }
+
+  async function runIfDue(db, definition) {
+    const now = new Date()
+    if (nextRuns.get(definition.name) > now) return
+
+    const state = await acquireLock(db, definition, { manual: false })
+
+    if (!state) {
+      // Paused, still running, or another instance took this occurrence: check again when the stored one is due
+      const current = await db.collection(JOBS_COLLECTION).findOne({ _id: definition.name })
+      const next = current?.nextRunAt > now ? current.nextRunAt : getNextRun(definition.cron, now)
+      nextRuns.set(definition.name, next)
+      return
+    }
+
+    nextRuns.set(definition.name, state.nextRunAt)
+    await execute(db, definition, "schedule")
+  }
+
+  function tick() {
+    const db = getDb()
+    if (!db || stopped) return
+
+    for (const definition of definitions.values()) {
+      if (definition.running) continue
+
+      definition.running = true
+      runIfDue(db, definition)
+        .catch((error) => logger.error("Error scheduling job", { job: definition.name, error }))
+        .finally(() => {
+          definition.running = false
+        })
+    }
+  }
+
+  return {
+    async start() {
+      const db = getDb()
+      await ensureSchedulerIndexes(db)
+      await syncJobs(db)
+
+      stopped = false
+      timer = setInterval(tick, tickMs)
+      logger.info("Scheduler started", { jobs: definitions.size, instance: owner })
+    },
+
+    // Stop scheduling and wait for runs in progress to finish
+    async stop() {
+      stopped = true
+      if (timer) clearInterval(timer)
+
+      while ([...definitions.values()].some((definition) => definition.running)) {
+        await new Promise((resolve) => setTimeout(resolve, 100))
+      }
+      logger.info("Scheduler stopped")
+    },
+
+    has(name) {
+      return definitions.has(name)
+    },
+
+    async list() {
+      const states = await getDb().collection(JOBS_COLLECTION).find({}).toArray()
+      const byName = new Map(states.map((state) => [state._id, state]))
+      return [...definitions.values()].map((definition) => describeJob(definition, byName.get(definition.name)))
+    },
+
+    async getRuns(name, limit = 20) {
+      return getDb().collection(RUNS_COLLECTION).find({ job: name }).sort({ startedAt: -1 }).limit(limit).toArray()
+    },
+
+    // Run a job now, paused or not. Returns null if it is already running somewhere.
+    async trigger(name) {
+      const db = getDb()
+      const definition = definitions.get(name)
+      if (!(await acquireLock(db, definition, { manual: true }))) return null
+
+      definition.running = true
+      try {
+        return await execute(db, definition, "manual")
+      } finally {
+        definition.running = false
+      }
+    },
+
+    // Pausing applies to every instance, since they all read the flag from Mongo
+    async setPaused(name, paused) {
+      await getDb()
+        .collection(JOBS_COLLECTION)
+        .updateOne({ _id: name }, { $set: { paused, pausedAt: paused ? new Date() : null } })
+    },
+  }
+}
+
+module.exports = {
+  JOBS_COLLECTION,
+  RUNS_COLLECTION,
+  createScheduler,
+}
@@ -0,0 +1,135 @@
+const { FIELD_NAME_PATTERN, normalizeTag } = require("./contacts")
+
+const FIELD_OPERATORS = ["exists", "missing", "equals", "contains"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
+// equals/contains values go straight into the Mongo filter, so objects (operators) aren't allowed
+function isScalar(value) {
+  return ["string", "number", "boolean"].includes(typeof value)
+}
+
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime())
+}
+
+// Validate a segment definition, returning a list of error messages. A segment looks like:
+// {
+//   tags: { all: ["vip"], any: ["lead", "customer"], none: ["unsubscribed"] },
+//   fields: [{ name: "email", op: "exists" }, { name: "city", op: "equals", value: "Berlin" }],
+//   lastInteraction: { withinDays: 7 } or { after: "2024-01-01", before: "2024-02-01" },
+//   source: { automationId: "...", postId: "..." },
+// }
+function validateSegment(segment) {
+  if (!isPlainObject(segment)) {
+    return ["segment must be an object"]
+  }
+
+  const errors = []
+
+  if (segment.tags !== undefined) {
+    for (const key of Object.keys(segment.tags || {})) {
+      const tags = segment.tags[key]
+      if (!["all", "any", "none"].includes(key)) {
+        errors.push(`Unknown tags filter: ${key}`)
+      } else if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+        errors.push(`tags.${key} must be an array of strings`)
+      }
+    }
+  }
+
+  if (segment.fields !== undefined) {
+    if (!Array.isArray(segment.fields)) {
+      errors.push("fields must be an array of conditions")
+    } else {
+      segment.fields.forEach((condition, index) => {
+        if (!FIELD_NAME_PATTERN.test(condition?.name || "")) {
+          errors.push(`fields[${index}].name is not a valid field name`)
+        }
+        if (!FIELD_OPERATORS.includes(condition?.op)) {
+          errors.push(`fields[${index}].op must be one of: ${FIELD_OPERATORS.join(", ")}`)
+        } else if (["equals", "contains"].includes(condition.op) && !isScalar(condition.value)) {
+          errors.push(`fields[${index}].value must be a string, number or boolean for ${condition.op}`)
+        }
+      })
+    }
+  }
+
+  const lastInteraction = segment.lastInteraction
+  if (lastInteraction !== undefined && !isPlainObject(lastInteraction)) {
+    errors.push("lastInteraction must be an object")
+  } else if (lastInteraction !== undefined) {
+    if (lastInteraction.withinDays !== undefined && !(lastInteraction.withinDays > 0)) {
+      errors.push("lastInteraction.withinDays must be a positive number")
+    }
+    for (const key of ["after", "before"]) {
+      if (lastInteraction[key] !== undefined && !isValidDate(lastInteraction[key])) {
+        errors.push(`lastInteraction.${key} must be an ISO date`)
+      }
+    }
+  }
+
+  if (segment.source !== undefined) {
+    for (const key of Object.keys(segment.source || {})) {
+      if (!["automationId", "postId"].includes(key)) {
+        errors.push(`Unknown source filter: ${key}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+// Build the contacts query for a segment of an account's contacts
+function buildSegmentFilter(instagramAccountId, segment = {}) {
+  const conditions = [{ instagramAccountId }]
+
+  const tags = segment.tags || {}
+  if (tags.all?.length) conditions.push({ tags: { $all: tags.all.map(normalizeTag) } })
+  if (tags.any?.length) conditions.push({ tags: { $in: tags.any.map(normalizeTag) } })
+  if (tags.none?.length) conditions.push({ tags: { $nin: tags.none.map(normalizeTag) } })
+
+  for (const condition of segment.fields || []) {
+    const path = `fields.${condition.name}`
+    switch (condition.op) {
+      case "exists":
+        conditions.push({ [path]: { $exists: true } })
+        break
+      case "missing":
+        conditions.push({ [path]: { $exists: false } })
+        break
+      case "equals":
+        conditions.push({ [path]: condition.value })
+        break
+      case "contains":
+        conditions.push({ [path]: { $regex: escapeRegExp(String(condition.value)), $options: "i" } })
+        break
+    }
+  }
+
+  const lastInteraction = segment.lastInteraction || {}
+  const inboundRange = {}
+  if (lastInteraction.withinDays) inboundRange.$gte = new Date(Date.now() - lastInteraction.withinDays * DAY_MS)
+  if (lastInteraction.after) inboundRange.$gte = new Date(lastInteraction.after)
+  if (lastInteraction.before) inboundRange.$lt = new Date(lastInteraction.before)
+  if (Object.keys(inboundRange).length) conditions.push({ lastInboundAt: inboundRange })
+
+  if (segment.source?.automationId) conditions.push({ "acquisition.automationId": segment.source.automationId })
+  if (segment.source?.postId) conditions.push({ "acquisition.postId": segment.source.postId })
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions }
+}
+
+module.exports = {
+  FIELD_OPERATORS,
+  validateSegment,
+  buildSegmentFilter,
+}
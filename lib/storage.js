@@ -0,0 +1,207 @@
+const {
+  recordEvent,
+  attachJob,
+  forgetEvent,
+  claimEvent,
+  completeEvent,
+  releaseEvent,
+  EVENTS_COLLECTION,
+} = require("./idempotency")
+const { getCorrelationId } = require("./logger")
+
+// Repositories for the data the automation pipeline works with (processComment, processMessage,
+// processButtonClick and the helpers they share). They take any Db handle: the MongoDB database in production,
+// or an in-memory one from lib/memoryDb.js, which lets the pipeline run in unit tests and local development
+// without a database. Pick the backend with STORAGE_BACKEND=mongodb|memory.
+const STORAGE_BACKENDS = ["mongodb", "memory"]
+
+// Stored rows carry the correlation ID of the event that wrote them, to find them from the logs and back
+function stamp(doc) {
+  return { ...doc, correlationId: getCorrelationId() }
+}
+
+function createAccountRepository(db) {
+  const accounts = () => db.collection("instagramAccounts")
+
+  return {
+    findById: (id) => accounts().findOne({ _id: id }),
+    list: () => accounts().find({}).toArray(),
+
+    // The account a webhook was sent to. Older subscriptions address the Facebook page instead.
+    async findByRecipientId(recipientId) {
+      return (
+        (await accounts().findOne({ instagramId: recipientId })) || (await accounts().findOne({ pageId: recipientId }))
+      )
+    },
+  }
+}
+
+function createPostRepository(db) {
+  const posts = () => db.collection("posts")
+
+  return {
+    findByMediaId: (mediaId) => posts().findOne({ instagramId: mediaId }),
+    insert: (post) => posts().insertOne(stamp(post)),
+  }
+}
+
+function createCommentRepository(db) {
+  const comments = () => db.collection("comments")
+  const replies = () => db.collection("commentReplies")
+
+  return {
+    async isProcessed(commentId) {
+      return Boolean(await comments().findOne({ commentId, processed: true }))
+    },
+
+    // Store a comment unless it is there already, as one upsert so two deliveries can't both insert it.
+    // Returns the comment as it was before, or null if this call stored it.
+    async insertIfMissing(commentId, fields) {
+      const result = await comments().findOneAndUpdate(
+        { commentId },
+        { $setOnInsert: stamp(fields) },
+        { upsert: true, returnDocument: "before" },
+      )
+      return result.value
+    },
+
+    markProcessed: (commentId) =>
+      comments().updateMany({ commentId }, { $set: { processed: true, processedAt: new Date() } }),
+
+    findReply: (commentId) => replies().findOne({ commentId }),
+    insertReply: (reply) => replies().insertOne(stamp(reply)),
+  }
+}
+
+function createAutomationRepository(db) {
+  const automations = () => db.collection("automations")
+
+  return {
+    findById: (id) => automations().findOne({ _id: id }),
+    findActiveById: (id) => automations().findOne({ _id: id, active: true }),
+
+    // Active automations on an account that apply to a post: the ones for that post and the ones for every post
+    findActiveForPost: (instagramAccountId, postId) =>
+      automations()
+        .find({
+          $or: [{ postId }, { postId: { $exists: false } }, { postId: null }],
+          instagramAccountId,
+          active: true,
+        })
+        .toArray(),
+
+    findActiveMessageAutomations: (instagramAccountId) =>
+      automations().find({ instagramAccountId, type: "message", active: true }).toArray(),
+
+    recordSend: (id) =>
+      automations().updateOne({ _id: id }, { $inc: { totalDMsSent: 1 }, $set: { lastTriggered: new Date() } }),
+  }
+}
+
+function createContactRepository(db) {
+  const contacts = () => db.collection("contacts")
+
+  return {
+    findById: (id) => contacts().findOne({ _id: id }),
+    findBySender: (instagramAccountId, senderId) => contacts().findOne({ instagramAccountId, senderId }),
+    insert: (contact) => contacts().insertOne(stamp(contact)),
+    // `update` is a MongoDB update document ({ $set, $unset, ... }); the memory backend understands the same ones
+    update: (id, update) => contacts().updateOne({ _id: id }, update),
+  }
+}
+
+// Inbox messages, and the incomingMessages rows that track processing of received ones
+function createMessageRepository(db) {
+  const messages = () => db.collection("messages")
+  const incoming = () => db.collection("incomingMessages")
+
+  return {
+    insert: (message) => messages().insertOne(stamp(message)),
+
+    // Insert a message that an earlier attempt at the same event may have stored already
+    async insertOnce(message) {
+      try {
+        await messages().insertOne(stamp(message))
+      } catch (error) {
+        if (error.code !== 11000) throw error
+      }
+    },
+
+    // Take the incomingMessages row matching `key` until `claimedUntil`, creating it from `fields` if it doesn't
+    // exist. Returns null if the message was processed already or someone else holds it.
+    async claimIncoming(key, fields, claimedUntil) {
+      const now = new Date()
+      try {
+        const result = await incoming().findOneAndUpdate(
+          { ...key, processed: false, $or: [{ claimedUntil: null }, { claimedUntil: { $lt: now } }] },
+          { $set: { claimedUntil }, $setOnInsert: stamp(fields) },
+          { upsert: true, returnDocument: "after" },
+        )
+        return result.value
+      } catch (error) {
+        // The row exists but is processed or claimed, so the upsert collided with it
+        if (error.code === 11000) return null
+        throw error
+      }
+    },
+
+    // Give up a claim without processing, so the next attempt can take the message straight away
+    releaseIncoming: (id) => incoming().updateOne({ _id: id, processed: false }, { $set: { claimedUntil: null } }),
+
+    markIncomingProcessed: (id) =>
+      incoming().updateOne(
+        { _id: id },
+        { $set: { processed: true, processedAt: new Date() }, $unset: { claimedUntil: "" } },
+      ),
+  }
+}
+
+function createDirectMessageRepository(db) {
+  const directMessages = () => db.collection("directMessages")
+
+  return {
+    insert: (row) => directMessages().insertOne(stamp(row)),
+
+    // The private reply already sent for a comment; Instagram allows only one
+    findSentPrivateReply: (instagramAccountId, commentId, sendMode) =>
+      directMessages().findOne({ instagramAccountId, commentId, sendMode, status: "sent" }),
+
+    // A DM sent (or deliberately skipped) for a comment. Failed sends don't count, so a retry can send again.
+    findForComment: (recipientUsername, commentId) =>
+      directMessages().findOne({ recipientUsername, commentId, status: { $ne: "failed" } }),
+
+    findSentSince: (automationId, recipientId, since) =>
+      directMessages().findOne({ automationId, recipientId, status: "sent", sentAt: { $gte: since } }),
+  }
+}
+
+// Incoming events and their processing state (see lib/idempotency.js)
+function createEventRepository(db) {
+  return {
+    record: (type, data, source) => recordEvent(db, type, data, source),
+    attachJob: (event, job) => attachJob(db, event, job),
+    forget: (event) => forgetEvent(db, event),
+    claim: (job) => claimEvent(db, job),
+    complete: (event, result, error) => completeEvent(db, event, result, error),
+    release: (event, deferUntil) => releaseEvent(db, event, deferUntil),
+    deleteOlderThan: (date) => db.collection(EVENTS_COLLECTION).deleteMany({ timestamp: { $lt: date } }),
+  }
+}
+
+function createRepositories(db) {
+  return {
+    accounts: createAccountRepository(db),
+    posts: createPostRepository(db),
+    comments: createCommentRepository(db),
+    automations: createAutomationRepository(db),
+    contacts: createContactRepository(db),
+    messages: createMessageRepository(db),
+    directMessages: createDirectMessageRepository(db),
+    events: createEventRepository(db),
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createRepositories,
+}
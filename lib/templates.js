@@ -0,0 +1,214 @@
+const DEFAULT_BRANDING_MESSAGE = "⚡ Sent via ChatAutoDM — grow your DMs on autopilot"
+
+// Instagram rejects text messages longer than this
+const MAX_MESSAGE_LENGTH = 1000
+
+const KNOWN_VARIABLES = [
+  "username",
+  "displayName",
+  "firstName",
+  "contact.username",
+  "contact.displayName",
+  "contact.firstName",
+  "comment.id",
+  "comment.text",
+  "message.text",
+  "post.id",
+  "post.permalink",
+  "post.caption",
+  "account.username",
+  "automation.name",
+]
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^#/{}][^{}]*?)\s*\}\}/g
+const CONDITIONAL_PATTERN = /\{\{#(if|unless)\s+([\w.]+)\s*\}\}((?:(?!\{\{#(?:if|unless)\s)[\s\S])*?)\{\{\/\1\}\}/
+
+// Build the variables available to templates
+function buildTemplateContext({ contact, comment, message, post, account, automation } = {}) {
+  const username = contact?.username || comment?.from?.username || ""
+  const displayName = contact?.displayName || username
+  const firstName = displayName.split(/\s+/)[0] || ""
+
+  return {
+    username,
+    displayName,
+    firstName,
+    contact: { username, displayName, firstName },
+    comment: { id: comment?.id || "", text: comment?.text || "" },
+    message: { text: message?.text || "" },
+    post: { id: post?.instagramId || "", permalink: post?.permalink || "", caption: post?.caption || "" },
+    account: { username: account?.username || "" },
+    automation: { name: automation?.name || "" },
+  }
+}
+
+function resolvePath(context, path) {
+  const value = path.split(".").reduce((current, key) => (current == null ? undefined : current[key]), context)
+  return value === undefined || value === null ? "" : String(value)
+}
+
+// Unquote a literal fallback, or return null if the part is not quoted
+function parseLiteral(part) {
+  const literal = part.match(/^"(.*)"$/) || part.match(/^'(.*)'$/)
+  return literal ? literal[1] : null
+}
+
+// Variables in a placeholder expression that aren't known. Dotted fallbacks are variables; other unquoted
+// fallbacks are literals.
+function unknownVariables(expression) {
+  const [first, ...fallbacks] = expression.split("|").map((item) => item.trim())
+
+  return [first, ...fallbacks.filter((part) => part.includes(".") && parseLiteral(part) === null)].filter(
+    (part) => !KNOWN_VARIABLES.includes(part),
+  )
+}
+
+// Resolve "a | b | \"fallback\"" to the first non-empty value. Unquoted parts that are not
+// known variables are treated as literal fallbacks, so {{firstName | there}} works too.
+function resolveExpression(context, expression) {
+  for (const part of expression.split("|").map((item) => item.trim())) {
+    const literal = parseLiteral(part)
+    const value = literal !== null ? literal : KNOWN_VARIABLES.includes(part) ? resolvePath(context, part) : part
+
+    if (value !== "") {
+      return value
+    }
+  }
+  return ""
+}
+
+function renderConditionals(template, context) {
+  let result = template
+  let match
+
+  while ((match = result.match(CONDITIONAL_PATTERN))) {
+    const [block, kind, path, body] = match
+    const [whenTrue, whenFalse = ""] = body.split(/\{\{else\}\}/)
+    const truthy = resolvePath(context, path).trim() !== ""
+    const chosen = (kind === "if") === truthy ? whenTrue : whenFalse
+
+    result = result.slice(0, match.index) + chosen + result.slice(match.index + block.length)
+  }
+
+  return result
+}
+
+// Expand {option a|option b} spintax, innermost groups first. Only braces around a "|" are spintax, so text
+// like "Use code {SAVE10}" or ":-{" is left as written.
+function renderSpintax(template, random) {
+  let result = template
+  const pattern = /\{([^{}|]*\|[^{}]*)\}/
+
+  let match
+  while ((match = result.match(pattern))) {
+    const options = match[1].split("|")
+    const chosen = options[Math.floor(random() * options.length)] || ""
+    result = result.slice(0, match.index) + chosen + result.slice(match.index + match[0].length)
+  }
+
+  return result
+}
+
+// Check a template for syntax errors and unknown variables
+function validateTemplate(template) {
+  const errors = []
+
+  if (template === undefined || template === null) {
+    return errors
+  }
+
+  if (typeof template !== "string") {
+    return ["Template must be a string"]
+  }
+
+  const opens = (template.match(/\{\{#(if|unless)\s/g) || []).length
+  const closes = (template.match(/\{\{\/(if|unless)\}\}/g) || []).length
+  if (opens !== closes) {
+    errors.push("Unbalanced {{#if}} / {{/if}} blocks")
+  }
+
+  for (const [, path] of template.matchAll(/\{\{#(?:if|unless)\s+([\w.]+)\s*\}\}/g)) {
+    if (!KNOWN_VARIABLES.includes(path)) {
+      errors.push(`Unknown variable in condition: ${path}`)
+    }
+  }
+
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (expression === "else") continue
+
+    for (const part of unknownVariables(expression)) {
+      errors.push(`Unknown variable: ${part}`)
+    }
+  }
+
+  return errors
+}
+
+// Render a template against a context. Templates are validated when they're saved; placeholders with
+// variables we don't know (e.g. saved before validation existed) are left as written rather than failing the send.
+function renderTemplate(template, context = {}, options = {}) {
+  if (!template) {
+    return ""
+  }
+
+  const random = options.random || Math.random
+
+  // Protect placeholders so spintax can't touch them (or values substituted into them)
+  const placeholders = []
+  const protectedTemplate = renderConditionals(template, context).replace(PLACEHOLDER_PATTERN, (match, expression) => {
+    placeholders.push(unknownVariables(expression).length > 0 ? { literal: match } : { expression })
+    return `\u0000${placeholders.length - 1}\u0000`
+  })
+
+  return renderSpintax(protectedTemplate, random)
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => {
+      const placeholder = placeholders[Number(index)]
+      return placeholder.literal ?? resolveExpression(context, placeholder.expression)
+    })
+    .replace(/[ \t]+\n/g, "\n")
+    .trim()
+}
+
+// Render the full DM text for an automation, including the branding suffix
+function renderAutomationMessage(automation, context, defaultMessage) {
+  let text = renderTemplate(automation.message || defaultMessage, context)
+
+  if (automation.addBranding !== false) {
+    text += `\n\n${renderTemplate(automation.brandingMessage || DEFAULT_BRANDING_MESSAGE, context)}`
+  }
+
+  if (!text.trim()) {
+    throw new Error("Rendered message is empty")
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Rendered message is ${text.length} characters, the limit is ${MAX_MESSAGE_LENGTH}`)
+  }
+
+  return text
+}
+
+// Validate every templated field on an automation, returning { field: [errors] } for invalid ones
+function validateAutomationTemplates(automation) {
+  const result = {}
+
+  for (const field of ["message", "commentReply", "brandingMessage"]) {
+    const errors = validateTemplate(automation[field])
+    if (errors.length > 0) {
+      result[field] = errors
+    }
+  }
+
+  return result
+}
+
+module.exports = {
+  DEFAULT_BRANDING_MESSAGE,
+  MAX_MESSAGE_LENGTH,
+  KNOWN_VARIABLES,
+  buildTemplateContext,
+  validateTemplate,
+  renderTemplate,
+  renderAutomationMessage,
+  validateAutomationTemplates,
+}
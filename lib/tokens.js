@@ -0,0 +1,310 @@
+const crypto = require("crypto")
+const { isUsableToken, refreshInstagramToken, getUserProfile } = require("./graph")
+const { STREAM_EVENTS, publish } = require("./events")
+const { logger } = require("./logger")
+
+const TOKEN_STATUSES = {
+  VALID: "valid",
+  EXPIRING: "expiring",
+  NEEDS_REAUTH: "needs_reauth",
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Refresh long-lived tokens this long before they expire
+const REFRESH_WINDOW_MS = Number(process.env.TOKEN_REFRESH_WINDOW_DAYS || 7) * DAY_MS
+// Instagram refuses to refresh tokens younger than 24 hours
+const MIN_TOKEN_AGE_MS = DAY_MS
+
+// Short, non-reversible identifier so we can tell when a token was replaced without storing it twice
+function fingerprintToken(token) {
+  return token ? crypto.createHash("sha256").update(token).digest("hex").slice(0, 16) : null
+}
+
+// Instagram Login accounts carry a refreshable long-lived user token; Facebook Login accounts use page tokens
+function isInstagramLoginAccount(account) {
+  return account.tokenType === "instagram" || (!account.pageAccessToken && isUsableToken(account.accessToken))
+}
+
+// Pick the token used for Graph API calls on behalf of an account
+function getAccountToken(account) {
+  return account.pageAccessToken || account.accessToken
+}
+
+// Whether we should try to send anything as this account
+function canSendAs(account) {
+  return (
+    account.tokenStatus !== TOKEN_STATUSES.NEEDS_REAUTH &&
+    isUsableToken(account.accessToken) &&
+    isUsableToken(getAccountToken(account))
+  )
+}
+
+// Is this Graph error an invalid/expired token (OAuthException code 190)?
+function isTokenInvalidError(error) {
+  return error?.code === 190
+}
+
+// Flag an account whose token was rejected and pause its automations until it is reconnected
+async function markNeedsReauth(db, account, error) {
+  if (account.tokenStatus === TOKEN_STATUSES.NEEDS_REAUTH) {
+    return { changed: false }
+  }
+
+  const now = new Date()
+
+  await db.collection("instagramAccounts").updateOne(
+    { _id: account._id },
+    {
+      $set: {
+        tokenStatus: TOKEN_STATUSES.NEEDS_REAUTH,
+        tokenError: String(error),
+        tokenErrorCode: error?.code,
+        tokenErrorSubcode: error?.subcode,
+        tokenFailedFingerprint: fingerprintToken(getAccountToken(account)),
+        needsReauthSince: now,
+        updatedAt: now,
+      },
+    },
+  )
+
+  const paused = await db
+    .collection("automations")
+    .updateMany(
+      { instagramAccountId: account._id, active: true },
+      { $set: { active: false, pausedReason: TOKEN_STATUSES.NEEDS_REAUTH, pausedAt: now } },
+    )
+
+  account.tokenStatus = TOKEN_STATUSES.NEEDS_REAUTH
+
+  publish(
+    STREAM_EVENTS.ACCOUNT_NEEDS_REAUTH,
+    { userId: account.userId, instagramAccountId: account._id },
+    {
+      username: account.username,
+      error: String(error),
+      pausedAutomations: paused.modifiedCount,
+    },
+  )
+
+  logger.warn("Account needs re-authentication", {
+    instagramAccountId: account._id,
+    username: account.username,
+    pausedAutomations: paused.modifiedCount,
+    error,
+  })
+
+  return { changed: true, pausedAutomations: paused.modifiedCount }
+}
+
+// Record a Graph failure against an account, flagging it for re-auth when the token was rejected
+async function handleTokenError(db, account, error) {
+  if (isTokenInvalidError(error)) {
+    return markNeedsReauth(db, account, error)
+  }
+  return { changed: false }
+}
+
+// Clear the re-auth flag and resume the automations that were paused because of it
+async function restoreAccount(db, account) {
+  const now = new Date()
+
+  await db.collection("instagramAccounts").updateOne(
+    { _id: account._id },
+    {
+      $set: { tokenStatus: TOKEN_STATUSES.VALID, tokenCheckedAt: now, updatedAt: now },
+      $unset: {
+        tokenError: "",
+        tokenErrorCode: "",
+        tokenErrorSubcode: "",
+        tokenFailedFingerprint: "",
+        needsReauthSince: "",
+      },
+    },
+  )
+
+  const resumed = await db
+    .collection("automations")
+    .updateMany(
+      { instagramAccountId: account._id, pausedReason: TOKEN_STATUSES.NEEDS_REAUTH },
+      { $set: { active: true }, $unset: { pausedReason: "", pausedAt: "" } },
+    )
+
+  logger.info("Account re-authenticated", {
+    instagramAccountId: account._id,
+    username: account.username,
+    resumedAutomations: resumed.modifiedCount,
+  })
+
+  return { resumedAutomations: resumed.modifiedCount }
+}
+
+// Call the Graph API with the account's token to see whether it still works
+async function checkAccountToken(db, account) {
+  try {
+    await getUserProfile(getAccountToken(account), "me", "id,username", { retries: 1 })
+
+    if (account.tokenStatus === TOKEN_STATUSES.NEEDS_REAUTH) {
+      await restoreAccount(db, account)
+    } else {
+      await db
+        .collection("instagramAccounts")
+        .updateOne(
+          { _id: account._id },
+          { $set: { tokenCheckedAt: new Date(), tokenStatus: getExpiryStatus(account) } },
+        )
+    }
+
+    return { valid: true }
+  } catch (error) {
+    await handleTokenError(db, account, error)
+    return { valid: false, error: String(error), category: error.category }
+  }
+}
+
+function getExpiryStatus(account) {
+  if (account.tokenExpiresAt && new Date(account.tokenExpiresAt).getTime() - Date.now() < REFRESH_WINDOW_MS) {
+    return TOKEN_STATUSES.EXPIRING
+  }
+  return TOKEN_STATUSES.VALID
+}
+
+// Refresh a long-lived Instagram token and store the new expiry
+async function refreshAccountToken(db, account) {
+  try {
+    const data = await refreshInstagramToken(account.accessToken)
+    const now = new Date()
+    const expiresAt = data.expires_in ? new Date(now.getTime() + data.expires_in * 1000) : null
+
+    await db.collection("instagramAccounts").updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          accessToken: data.access_token || account.accessToken,
+          tokenType: "instagram",
+          tokenExpiresAt: expiresAt,
+          tokenRefreshedAt: now,
+          tokenCheckedAt: now,
+          tokenStatus: TOKEN_STATUSES.VALID,
+          updatedAt: now,
+        },
+        $unset: { tokenRefreshError: "" },
+      },
+    )
+
+    logger.info("Refreshed token", { instagramAccountId: account._id, username: account.username, expiresAt })
+    return { refreshed: true, expiresAt }
+  } catch (error) {
+    logger.error("Error refreshing token", { instagramAccountId: account._id, username: account.username, error })
+
+    await db
+      .collection("instagramAccounts")
+      .updateOne({ _id: account._id }, { $set: { tokenRefreshError: String(error), tokenCheckedAt: new Date() } })
+    await handleTokenError(db, account, error)
+
+    return { refreshed: false, error: String(error) }
+  }
+}
+
+// Scheduled sweep: refresh tokens close to expiry and re-check accounts whose token was replaced after a failure
+async function refreshExpiringTokens(db) {
+  const accounts = await db.collection("instagramAccounts").find({}).toArray()
+  const summary = { checked: accounts.length, refreshed: 0, failed: 0, restored: 0 }
+  const now = Date.now()
+
+  for (const account of accounts) {
+    if (account.tokenStatus === TOKEN_STATUSES.NEEDS_REAUTH) {
+      // The dashboard writes a new token when the user reconnects; verify it before resuming automations
+      if (fingerprintToken(getAccountToken(account)) !== account.tokenFailedFingerprint) {
+        const result = await checkAccountToken(db, account)
+        if (result.valid) summary.restored++
+      }
+      continue
+    }
+
+    if (!isInstagramLoginAccount(account)) {
+      continue
+    }
+
+    const expiresAt = account.tokenExpiresAt ? new Date(account.tokenExpiresAt).getTime() : null
+    const refreshedAt = new Date(account.tokenRefreshedAt || account.createdAt || 0).getTime()
+
+    const dueForRefresh = expiresAt === null || expiresAt - now < REFRESH_WINDOW_MS
+    const oldEnough = now - refreshedAt >= MIN_TOKEN_AGE_MS
+
+    if (dueForRefresh && oldEnough) {
+      const result = await refreshAccountToken(db, account)
+      if (result.refreshed) summary.refreshed++
+      else summary.failed++
+    }
+  }
+
+  if (summary.refreshed || summary.failed || summary.restored) {
+    logger.info("Token refresh", summary)
+  }
+
+  return summary
+}
+
+// valid, expiring or needs_reauth, from what is stored on the account
+function getTokenStatus(account) {
+  return canSendAs(account) ? getExpiryStatus(account) : TOKEN_STATUSES.NEEDS_REAUTH
+}
+
+// Health summary for one account, as exposed by the API
+async function getAccountHealth(db, account) {
+  const since = new Date(Date.now() - DAY_MS)
+
+  const [pausedAutomations, activeAutomations, sent24h, failed24h] = await Promise.all([
+    db.collection("automations").countDocuments({
+      instagramAccountId: account._id,
+      pausedReason: TOKEN_STATUSES.NEEDS_REAUTH,
+    }),
+    db.collection("automations").countDocuments({ instagramAccountId: account._id, active: true }),
+    db.collection("directMessages").countDocuments({
+      instagramAccountId: account._id,
+      status: "sent",
+      sentAt: { $gte: since },
+    }),
+    db.collection("directMessages").countDocuments({
+      instagramAccountId: account._id,
+      status: "failed",
+      sentAt: { $gte: since },
+    }),
+  ])
+
+  const expiresAt = account.tokenExpiresAt ? new Date(account.tokenExpiresAt) : null
+  const status = getTokenStatus(account)
+
+  return {
+    instagramAccountId: account._id,
+    username: account.username,
+    userId: account.userId,
+    status,
+    tokenType: isInstagramLoginAccount(account) ? "instagram" : "page",
+    tokenExpiresAt: expiresAt,
+    daysUntilExpiry: expiresAt ? Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS) : null,
+    tokenRefreshedAt: account.tokenRefreshedAt || null,
+    tokenCheckedAt: account.tokenCheckedAt || null,
+    lastError: account.tokenError || account.tokenRefreshError || null,
+    needsReauthSince: account.needsReauthSince || null,
+    activeAutomations,
+    pausedAutomations,
+    directMessages24h: { sent: sent24h, failed: failed24h },
+  }
+}
+
+module.exports = {
+  TOKEN_STATUSES,
+  getAccountToken,
+  canSendAs,
+  isTokenInvalidError,
+  markNeedsReauth,
+  handleTokenError,
+  restoreAccount,
+  checkAccountToken,
+  refreshAccountToken,
+  refreshExpiringTokens,
+  getTokenStatus,
+  getAccountHealth,
+}
@@ -0,0 +1,180 @@
+const MATCH_MODES = ["any", "contains", "exact", "whole_word", "starts_with", "regex"]
+
+// Emoji, pictographs and the joiners/variation selectors that glue them together
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0E\uFE0F\u20E3]/gu
+
+// Lowercase, strip accents and emoji, and collapse whitespace
+function normalizeText(text, options = {}) {
+  let result = String(text || "")
+
+  if (!options.caseSensitive) {
+    result = result.toLowerCase()
+  }
+
+  result = result.normalize("NFD").replace(/\p{M}/gu, "").replace(EMOJI_PATTERN, " ").replace(/\s+/g, " ").trim()
+
+  return result
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return []
+  return (Array.isArray(value) ? value : [value]).filter((item) => typeof item === "string" && item.trim() !== "")
+}
+
+// Build a trigger spec from an automation, falling back to the legacy triggerKeyword field
+function getTriggerSpec(automation) {
+  if (automation.trigger && typeof automation.trigger === "object") {
+    return {
+      mode: automation.trigger.mode || "contains",
+      keywords: toList(automation.trigger.keywords),
+      match: automation.trigger.match === "all" ? "all" : "any",
+      excludeKeywords: toList(automation.trigger.excludeKeywords),
+      excludeMode: automation.trigger.excludeMode || "whole_word",
+      caseSensitive: automation.trigger.caseSensitive === true,
+      normalize: automation.trigger.normalize !== false,
+    }
+  }
+
+  const keyword = automation.triggerKeyword
+
+  return {
+    mode: !keyword || keyword.toLowerCase() === "any" ? "any" : "contains",
+    keywords: toList(keyword),
+    match: "any",
+    excludeKeywords: [],
+    excludeMode: "whole_word",
+    caseSensitive: false,
+    normalize: true,
+  }
+}
+
+// Short human-readable description used in logs
+function describeTrigger(automation) {
+  const spec = getTriggerSpec(automation)
+
+  if (spec.mode === "any") return "any"
+
+  let description = `${spec.mode}:${spec.keywords.join(spec.match === "all" ? " & " : " | ")}`
+  if (spec.excludeKeywords.length > 0) {
+    description += ` !${spec.excludeKeywords.join(" !")}`
+  }
+  return description
+}
+
+function prepare(text, spec) {
+  if (spec.normalize) {
+    return normalizeText(text, spec)
+  }
+  return spec.caseSensitive ? String(text || "") : String(text || "").toLowerCase()
+}
+
+// Test a single keyword against already prepared text
+function matchKeyword(text, keyword, mode, spec) {
+  if (mode === "regex") {
+    try {
+      return new RegExp(keyword, spec.caseSensitive ? "u" : "iu").test(text)
+    } catch (error) {
+      return false
+    }
+  }
+
+  const needle = prepare(keyword, spec)
+
+  if (!needle) return false
+
+  switch (mode) {
+    case "exact":
+      return text === needle
+    case "starts_with":
+      return text.startsWith(needle)
+    case "whole_word":
+      return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(needle)}($|[^\\p{L}\\p{N}_])`, "u").test(text)
+    case "contains":
+    default:
+      return text.includes(needle)
+  }
+}
+
+// Check whether a comment or message text fires an automation
+function matchTrigger(automation, text) {
+  const spec = getTriggerSpec(automation)
+  const prepared = prepare(text, spec)
+  const source = spec.mode === "regex" && !spec.normalize ? String(text || "") : prepared
+
+  const excluded = spec.excludeKeywords.find((keyword) => matchKeyword(prepared, keyword, spec.excludeMode, spec))
+  if (excluded) {
+    return { matched: false, reason: "excluded_keyword", keyword: excluded }
+  }
+
+  if (spec.mode === "any") {
+    return { matched: true, reason: "any" }
+  }
+
+  if (!prepared && spec.mode !== "regex") {
+    return { matched: false, reason: "empty_text" }
+  }
+
+  const hits = spec.keywords.filter((keyword) => matchKeyword(source, keyword, spec.mode, spec))
+  const matched = spec.match === "all" ? hits.length === spec.keywords.length && hits.length > 0 : hits.length > 0
+
+  return matched ? { matched: true, reason: "keyword", keyword: hits[0] } : { matched: false, reason: "no_keyword" }
+}
+
+// Validate a trigger spec, returning a list of error messages
+function validateTriggerSpec(trigger) {
+  const errors = []
+
+  if (!trigger || typeof trigger !== "object") {
+    return ["trigger must be an object"]
+  }
+
+  const mode = trigger.mode || "contains"
+  if (!MATCH_MODES.includes(mode)) {
+    errors.push(`trigger.mode must be one of: ${MATCH_MODES.join(", ")}`)
+  }
+
+  if (trigger.match !== undefined && !["any", "all"].includes(trigger.match)) {
+    errors.push('trigger.match must be "any" or "all"')
+  }
+
+  if (trigger.excludeMode !== undefined && !MATCH_MODES.includes(trigger.excludeMode)) {
+    errors.push(`trigger.excludeMode must be one of: ${MATCH_MODES.join(", ")}`)
+  }
+
+  for (const field of ["keywords", "excludeKeywords"]) {
+    const value = trigger[field]
+    if (value !== undefined && !Array.isArray(value) && typeof value !== "string") {
+      errors.push(`trigger.${field} must be a string or an array of strings`)
+    }
+  }
+
+  const keywords = toList(trigger.keywords)
+  if (mode !== "any" && keywords.length === 0) {
+    errors.push("trigger.keywords must contain at least one keyword")
+  }
+
+  if (mode === "regex") {
+    for (const keyword of keywords) {
+      try {
+        new RegExp(keyword, "u")
+      } catch (error) {
+        errors.push(`Invalid regex "${keyword}": ${error.message}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+module.exports = {
+  MATCH_MODES,
+  normalizeText,
+  getTriggerSpec,
+  describeTrigger,
+  matchTrigger,
+  validateTriggerSpec,
+}
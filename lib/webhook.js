@@ -0,0 +1,160 @@
+const crypto = require("crypto")
+
+// Verify the X-Hub-Signature-256 header Meta sends with every webhook delivery
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false
+  }
+
+  const [algorithm, signature] = signatureHeader.split("=")
+
+  if (algorithm !== "sha256" || !signature) {
+    return false
+  }
+
+  const expected = crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")
+
+  const expectedBuffer = Buffer.from(expected, "hex")
+  const signatureBuffer = Buffer.from(signature, "hex")
+
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+}
+
+// Unwrap a postback or quick reply payload into { automationId, payload }, where payload is the button's own
+// payload (see getPostbackPayload in lib/messages.js). Buttons sent before payloads were wrapped carry
+// "AUTOMATION_<id>" / "automation:<id>" strings, which have no payload of their own.
+function parsePostbackPayload(payload) {
+  if (!payload || typeof payload !== "string") {
+    return {}
+  }
+
+  try {
+    const parsed = JSON.parse(payload)
+    if (parsed && typeof parsed === "object") {
+      return { automationId: parsed.automationId, payload: parsed.payload }
+    }
+  } catch (error) {
+    // Not JSON, fall through to the string formats
+  }
+
+  const match = payload.match(/^automation[_:](.+)$/i)
+  if (match) {
+    return { automationId: match[1] }
+  }
+
+  return {}
+}
+
+// Translate a comment change into the shape processComment expects
+function translateChange(change) {
+  if (change.field !== "comments" || !change.value) {
+    return null
+  }
+
+  const value = change.value
+
+  return {
+    type: "comment",
+    data: {
+      id: value.id,
+      text: value.text || "",
+      media_id: value.media?.id || value.media_id,
+      parent_id: value.parent_id,
+      from: {
+        id: value.from?.id,
+        username: value.from?.username,
+      },
+    },
+  }
+}
+
+// Translate a messaging event (message, echo or postback)
+function translateMessaging(event) {
+  if (event.postback) {
+    const payload = parsePostbackPayload(event.postback.payload)
+
+    if (!payload.automationId) {
+      return null
+    }
+
+    return {
+      type: "button_click",
+      data: {
+        automationId: payload.automationId,
+        senderId: event.sender?.id,
+        recipientId: event.recipient?.id,
+        payload: payload.payload,
+        rawPayload: event.postback.payload,
+        title: event.postback.title,
+        mid: event.postback.mid,
+        timestamp: event.timestamp,
+      },
+    }
+  }
+
+  // Quick replies carrying an automation payload behave like button clicks
+  const quickReply = parsePostbackPayload(event.message?.quick_reply?.payload)
+  if (quickReply.automationId && !event.message.is_echo) {
+    return {
+      type: "button_click",
+      data: {
+        automationId: quickReply.automationId,
+        senderId: event.sender?.id,
+        recipientId: event.recipient?.id,
+        payload: quickReply.payload,
+        rawPayload: event.message.quick_reply.payload,
+        title: event.message.text,
+        mid: event.message.mid,
+        timestamp: event.timestamp,
+      },
+    }
+  }
+
+  if (event.message) {
+    return {
+      type: "message",
+      data: {
+        sender: event.sender,
+        recipient: event.recipient,
+        message: event.message,
+        timestamp: event.timestamp,
+        mid: event.message.mid,
+      },
+    }
+  }
+
+  return null
+}
+
+// Turn a webhook body into a list of { type, data } events understood by the processors
+function translateWebhookPayload(body) {
+  const events = []
+
+  if (!body || !Array.isArray(body.entry)) {
+    return events
+  }
+
+  for (const entry of body.entry) {
+    for (const change of entry.changes || []) {
+      const event = translateChange(change)
+      if (event) events.push(event)
+    }
+
+    for (const messaging of entry.messaging || []) {
+      const event = translateMessaging(messaging)
+      if (event) events.push(event)
+    }
+  }
+
+  return events
+}
+
+module.exports = {
+  verifySignature,
+  parsePostbackPayload,
+  translateWebhookPayload,
+}
@@ -3,7 +3,109 @@ const express = require("express")
 const bodyParser = require("body-parser")
 const { MongoClient, ObjectId } = require("mongodb")
 const cors = require("cors")
-const fetch = require("node-fetch")
+const { verifySignature, translateWebhookPayload } = require("./lib/webhook")
+const { ensureQueueIndexes, enqueueJob, createWorker, getQueueStats } = require("./lib/queue")
+const { matchTrigger, describeTrigger } = require("./lib/triggers")
+const { MAX_MESSAGE_LENGTH, buildTemplateContext, renderTemplate, renderAutomationMessage } = require("./lib/templates")
+const {
+  ERROR_CATEGORIES,
+  isUsableToken,
+  sendMessage,
+  replyToComment,
+  getUserProfile,
+  getMedia,
+  getPageInstagramAccount,
+  setGraphBaseUrl,
+} = require("./lib/graph")
+const { createGraphSimulator } = require("./lib/graphSimulator")
+const { buildMessages } = require("./lib/messages")
+const { isInFlow, startFlow, handleFlowInput, resumeFlow } = require("./lib/flows")
+const {
+  getAccountToken,
+  canSendAs,
+  handleTokenError,
+  checkAccountToken,
+  refreshAccountToken,
+  refreshExpiringTokens,
+  getAccountHealth,
+} = require("./lib/tokens")
+const { RateLimitError, getSendBuckets, reserve, release } = require("./lib/rateLimiter")
+const { SEND_MODES, chooseSendMode, buildSendPayloads } = require("./lib/messagingWindow")
+const { AUTOMATION_TYPES, validateAutomation, pickEditableFields, dryRunAutomations } = require("./lib/automations")
+const { STREAM_EVENTS, publish, subscribe, getEventsSince } = require("./lib/events")
+const {
+  ensureAnalyticsIndexes,
+  recordTriggerLog,
+  parseReportQuery,
+  getAutomationReport,
+  sumReportRows,
+  reportToCsv,
+} = require("./lib/analytics")
+const {
+  ENDPOINTS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  DELIVERY_JOB,
+  DELIVERY_STATUSES,
+  TEST_EVENT,
+  ensureWebhookIndexes,
+  generateSecret,
+  validateEndpoint,
+  describeEndpoint,
+  enqueueDelivery,
+  startWebhookDispatcher,
+  deliverWebhook,
+} = require("./lib/outboundWebhooks")
+const {
+  ensureContactIndexes,
+  validateTags,
+  validateFields,
+  updateContactTags,
+  setContactFields,
+  recordAcquisition,
+} = require("./lib/contacts")
+const { validateSegment, buildSegmentFilter } = require("./lib/segments")
+const {
+  CAMPAIGNS_COLLECTION,
+  RECIPIENTS_COLLECTION,
+  CAMPAIGN_BATCH_JOB,
+  RECIPIENT_STATUSES,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_BATCH_INTERVAL_SECONDS,
+  MAX_RECIPIENT_ATTEMPTS,
+  ensureCampaignIndexes,
+  validateCampaign,
+  pickCampaignFields,
+  renderCampaignMessage,
+  scheduleCampaignBatch,
+  claimCampaignBatch,
+  isBatchCurrent,
+  materializeRecipients,
+  claimNextRecipient,
+  expireStaleRecipients,
+  requeueRecipient,
+  recordRecipientResult,
+  getCampaignReport,
+} = require("./lib/campaigns")
+const { CLAIM_LEASE_MS, ensureIdempotencyIndexes } = require("./lib/idempotency")
+const { createScheduler } = require("./lib/scheduler")
+const {
+  API_KEYS_COLLECTION,
+  API_KEY_SCOPES,
+  SCOPES,
+  ensureApiKeyIndexes,
+  keysMatch,
+  validateApiKey,
+  describeApiKey,
+  createApiKey,
+  findApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} = require("./lib/apiKeys")
+const { STORAGE_BACKENDS, createRepositories } = require("./lib/storage")
+const { createMemoryDb } = require("./lib/memoryDb")
+const { logger, withCorrelation, getCorrelationId, newCorrelationId } = require("./lib/logger")
+const { CONTENT_TYPE, registry, metrics, getBacklog, instrumentMongoClient } = require("./lib/metrics")
+const { hasWritableServer, getHealthReport, summarizeHealthReport } = require("./lib/health")
 
 // Initialize Express app
 const app = express()
@@ -11,36 +113,114 @@ const PORT = process.env.PORT || 3001
 
 // Middleware
 app.use(cors())
-app.use(bodyParser.json({ limit: "10mb" }))
+app.use(
+  bodyParser.json({
+    limit: "10mb",
+    // Keep the raw body around so webhook signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    },
+  }),
+)
+// Every request runs under a correlation ID, the caller's X-Correlation-Id when it sends a usable one. Logs, queued
+// jobs and the documents written while handling the request carry it (see lib/logger.js).
+app.use((req, res, next) => {
+  const requested = req.headers["x-correlation-id"]
+  const correlationId = /^[\w.:-]{1,64}$/.test(requested || "") ? requested : newCorrelationId()
+
+  res.setHeader("X-Correlation-Id", correlationId)
+  withCorrelation(correlationId, next)
+})
+
+// Paths that answer without the database: the health probes, and /metrics so an outage still shows up in monitoring
+const DATABASE_INDEPENDENT_PATHS = new Set(["/health", "/health/live", "/health/ready", "/metrics"])
+
+// Until the database is connected, and while no server can take writes, fail requests with 503 right away instead
+// of crashing on an undefined db or waiting out the server selection timeout
+app.use((req, res, next) => {
+  if (isDatabaseReady() || DATABASE_INDEPENDENT_PATHS.has(req.path)) {
+    return next()
+  }
+
+  res.set("Retry-After", "5")
+  res.status(503).json({ error: "Database not ready" })
+})
 
 // MongoDB connection with improved options
 const MONGODB_URI = process.env.MONGODB_URI
+// "memory" runs without MongoDB (see lib/memoryDb.js); nothing is persisted across restarts
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "mongodb"
 let client
 let db
-
-// Keep-alive mechanism
-let keepAliveInterval
-let healthCheckInterval
+// Follows the MongoDB topology: false while no server can take writes, even though db is set
+let databaseWritable = true
+// Repositories over db used by the automation pipeline (lib/storage.js)
+let storage
+
+// Recurring maintenance jobs (see scheduledJobs below)
+let scheduler
+
+// Background job worker
+let jobWorker
+// Forwards stream events to outbound webhooks
+let stopWebhookDispatcher
+
+const EVENT_TYPES = ["comment", "message", "button_click"]
+
+// Point the server at a database handle, MongoDB's or an in-memory one, and create the indexes it relies on.
+// Tests call this with createMemoryDb() instead of starting the server.
+async function useStorage(database) {
+  db = database
+  storage = createRepositories(db)
+
+  await ensureQueueIndexes(db)
+  await ensureIdempotencyIndexes(db)
+  await ensureAnalyticsIndexes(db)
+  await ensureWebhookIndexes(db)
+  await ensureContactIndexes(db)
+  await ensureCampaignIndexes(db)
+  await ensureApiKeyIndexes(db)
+}
 
 // Connect to MongoDB with improved options
 async function connectToMongoDB() {
+  if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(", ")}`)
+  }
+
   try {
-    client = new MongoClient(MONGODB_URI, {
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 45000,
-      serverSelectionTimeoutMS: 60000,
-      maxPoolSize: 10,
-      minPoolSize: 5,
-      maxIdleTimeMS: 120000,
-    })
-    await client.connect()
-    db = client.db("instaautodm")
-    console.log("Connected to MongoDB")
+    if (STORAGE_BACKEND === "memory") {
+      await useStorage(createMemoryDb("instaautodm"))
+      logger.warn("Using the in-memory database; data is lost when the server stops")
+    } else {
+      client = new MongoClient(MONGODB_URI, {
+        connectTimeoutMS: 30000,
+        socketTimeoutMS: 45000,
+        serverSelectionTimeoutMS: 60000,
+        maxPoolSize: 10,
+        minPoolSize: 5,
+        maxIdleTimeMS: 120000,
+        // Command events feed the MongoDB latency histogram on /metrics
+        monitorCommands: true,
+      })
+      instrumentMongoClient(client)
+      client.on("topologyDescriptionChanged", ({ newDescription }) => {
+        const writable = hasWritableServer(newDescription)
+        if (writable !== databaseWritable) {
+          logger[writable ? "info" : "warn"](writable ? "MongoDB is writable again" : "MongoDB has no writable server")
+        }
+        databaseWritable = writable
+      })
+      await client.connect()
+      logger.info("Connected to MongoDB")
+
+      await useStorage(client.db("instaautodm"))
+    }
 
     // Run basic cleanup on startup
     await runBasicCleanup()
   } catch (error) {
-    console.error("Error connecting to MongoDB:", error)
+    logger.error("Error connecting to MongoDB", { error })
     // Attempt to reconnect after a delay
     setTimeout(connectToMongoDB, 5000)
   }
@@ -49,7 +229,7 @@ async function connectToMongoDB() {
 // Basic cleanup function
 async function runBasicCleanup() {
   try {
-    console.log("Running basic cleanup...")
+    logger.info("Running basic cleanup...")
 
     // Clean up old pending messages (older than 24 hours)
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000)
@@ -70,15 +250,15 @@ async function runBasicCleanup() {
     )
 
     if (oldMessages.modifiedCount > 0) {
-      console.log(`Cleaned up ${oldMessages.modifiedCount} old pending messages`)
+      logger.info("Cleaned up old pending messages", { count: oldMessages.modifiedCount })
     }
 
     // Fix Instagram account IDs that are set to "unknown"
     await fixInstagramAccountIds()
 
-    console.log("Basic cleanup completed")
+    logger.info("Basic cleanup completed")
   } catch (error) {
-    console.error("Error in basic cleanup:", error)
+    logger.error("Error in basic cleanup", { error })
   }
 }
 
@@ -89,43 +269,566 @@ async function fixInstagramAccountIds() {
 
     for (const account of accounts) {
       if (!account.instagramId || account.instagramId === "unknown") {
-        console.log(`Fixing Instagram ID for account: ${account.username}`)
+        logger.info("Fixing Instagram ID for account", { instagramAccountId: account._id, username: account.username })
 
         // Try to get the correct Instagram ID from Facebook API
         if (account.pageAccessToken && account.pageId) {
           try {
-            const response = await fetch(
-              `https://graph.facebook.com/v18.0/${account.pageId}?fields=instagram_business_account&access_token=${account.pageAccessToken}`,
-            )
+            const businessAccount = await getPageInstagramAccount(account.pageAccessToken, account.pageId)
 
-            if (response.ok) {
-              const data = await response.json()
-              if (data.instagram_business_account?.id) {
-                await db.collection("instagramAccounts").updateOne(
-                  { _id: account._id },
-                  {
-                    $set: {
-                      instagramId: data.instagram_business_account.id,
-                      updatedAt: new Date(),
-                    },
+            if (businessAccount?.id) {
+              await db.collection("instagramAccounts").updateOne(
+                { _id: account._id },
+                {
+                  $set: {
+                    instagramId: businessAccount.id,
+                    updatedAt: new Date(),
                   },
-                )
-                console.log(`Updated Instagram ID for ${account.username}: ${data.instagram_business_account.id}`)
-              }
+                },
+              )
+              logger.info("Updated Instagram ID for account", {
+                instagramAccountId: account._id,
+                instagramId: businessAccount.id,
+              })
             }
           } catch (error) {
-            console.error(`Error fixing Instagram ID for ${account.username}:`, error)
+            logger.error("Error fixing Instagram ID for account", { instagramAccountId: account._id, error })
           }
         }
       }
     }
   } catch (error) {
-    console.error("Error fixing Instagram account IDs:", error)
+    logger.error("Error fixing Instagram account IDs", { error })
+  }
+}
+
+// Send message bodies to a recipient one after another, addressed the way the send mode requires
+async function sendMessages(token, instagramId, mode, target, messages) {
+  for (const payload of buildSendPayloads(mode, target, messages)) {
+    await sendMessage(token, instagramId, payload)
+  }
+}
+
+// Work out whether we may message a contact right now, and how (see lib/messagingWindow.js)
+async function resolveSendMode(instagramAccount, contact, { comment, humanAgent = false } = {}) {
+  let privateReplyUsed = false
+
+  if (comment?.id) {
+    privateReplyUsed = Boolean(
+      await storage.directMessages.findSentPrivateReply(instagramAccount._id, comment.id, SEND_MODES.PRIVATE_REPLY),
+    )
+  }
+
+  return chooseSendMode({ lastInboundAt: contact?.lastInboundAt, comment, privateReplyUsed, humanAgent })
+}
+
+const DM_STREAM_EVENTS = {
+  sent: STREAM_EVENTS.DM_SENT,
+  failed: STREAM_EVENTS.DM_FAILED,
+  skipped: STREAM_EVENTS.DM_SKIPPED,
+}
+
+// Stream event scope for things that happen on an account
+function accountScope(instagramAccount) {
+  return { userId: instagramAccount.userId, instagramAccountId: instagramAccount._id }
+}
+
+// Store a directMessages row and tell dashboard clients about it
+async function recordDirectMessage(row) {
+  await storage.directMessages.insert(row)
+  metrics.directMessages.inc({ account: row.instagramAccountId, status: row.status })
+  publish(DM_STREAM_EVENTS[row.status], row, row)
+}
+
+// Record a DM we refused to send because it falls outside the messaging window
+async function recordSkippedSend(record, reason) {
+  await recordDirectMessage({
+    _id: new ObjectId().toString(),
+    ...record,
+    status: "skipped",
+    skipReason: reason,
+    sentAt: new Date(),
+  })
+  logger.info("Not messaging recipient", { recipientId: record.recipientId, reason })
+}
+
+// Reserve sending capacity for an account (and automation), or throw a RateLimitError saying when to retry
+async function reserveSendCapacity(instagramAccount, automation) {
+  const buckets = getSendBuckets(instagramAccount, automation)
+  const reservation = await reserve(db, buckets)
+
+  if (!reservation.granted) {
+    throw new RateLimitError(
+      `Rate limit reached for ${reservation.bucket}, retry in ${Math.ceil(reservation.retryAfterMs / 1000)}s`,
+      reservation,
+    )
+  }
+
+  return buckets
+}
+
+// Is a failed Graph send worth another attempt? Only when Graph answered with a throttling or server error; a send
+// that got no answer may have been delivered (see graphRequest).
+function isRetryableSendError(error) {
+  return error?.category === ERROR_CATEGORIES.RETRYABLE && error.status !== undefined
+}
+
+// Error fields stored on failed directMessages / commentReplies rows
+function describeSendError(error) {
+  return {
+    error: String(error),
+    errorCode: error.code,
+    errorSubcode: error.subcode,
+    errorCategory: error.category || ERROR_CATEGORIES.PERMANENT,
+    fbtraceId: error.fbtraceId,
+  }
+}
+
+// Find the contact for an Instagram user, creating it if they haven't messaged us yet
+async function findOrCreateContact(instagramAccount, user) {
+  const contact = await storage.contacts.findBySender(instagramAccount._id, user.id)
+
+  if (contact) {
+    return contact
+  }
+
+  const username = user.username || "unknown"
+  const newContact = {
+    _id: new ObjectId().toString(),
+    userId: instagramAccount.userId,
+    instagramAccountId: instagramAccount._id,
+    senderId: user.id,
+    username: username.toLowerCase(),
+    displayName: username,
+    lastMessage: "",
+    lastMessageTime: new Date(),
+    unread: false,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  }
+
+  await storage.contacts.insert(newContact)
+  publish(STREAM_EVENTS.CONTACT_CREATED, newContact, newContact)
+  logger.info("Created new contact", { contactId: newContact._id, senderId: user.id, username })
+
+  return newContact
+}
+
+// Tag a contact an automation reached and remember it as their source if they don't have one yet
+// Runs after the DM went out, so failures are logged rather than failing the send.
+async function applyAutomationToContact(contact, automation, { postId, source }) {
+  try {
+    if (automation.tags?.length) {
+      await updateContactTags(db, contact._id, { add: automation.tags })
+    }
+    await recordAcquisition(db, contact._id, { automationId: automation._id, postId, source })
+  } catch (error) {
+    logger.error("Error tagging contact", { contactId: contact._id, automationId: automation._id, error })
+  }
+}
+
+// Build the context the flow engine needs to run an automation's flow for a contact
+function createFlowContext(instagramAccount, automation, contact, { comment, post, input } = {}) {
+  return {
+    db,
+    contacts: storage.contacts,
+    automation,
+    contact,
+    input,
+    send: (step, state) => sendFlowStep(instagramAccount, automation, contact, step, state, { comment, post }),
+  }
+}
+
+// Send a flow step's message and record it like any other automated DM
+async function sendFlowStep(instagramAccount, automation, contact, step, state, { comment, post } = {}) {
+  const templateContext = buildTemplateContext({ contact, comment, post, account: instagramAccount, automation })
+  const text = step.message ? renderAutomationMessage({ ...automation, message: step.message }, templateContext) : ""
+
+  const record = {
+    automationId: automation._id,
+    userId: instagramAccount.userId,
+    instagramAccountId: instagramAccount._id,
+    recipientUsername: contact.username,
+    recipientId: contact.senderId,
+    commentId: comment?.id,
+    postId: post?._id,
+    message: text,
+    messageType: step.richMessage?.type || "text",
+    flowRunId: state.runId,
+    flowStepId: step.id,
+    isAutomated: true,
+  }
+
+  const sendMode = await resolveSendMode(instagramAccount, contact, { comment })
+  if (!sendMode.allowed) {
+    await recordSkippedSend(record, sendMode.reason)
+    throw new Error(`Cannot message ${contact.username}: ${sendMode.reason}`)
+  }
+  record.sendMode = sendMode.mode
+
+  // Throws a RateLimitError over the limit; the flow engine retries the step later
+  const reservedBuckets = await reserveSendCapacity(instagramAccount, automation)
+
+  try {
+    await sendMessages(
+      getAccountToken(instagramAccount),
+      instagramAccount.instagramId,
+      sendMode.mode,
+      { recipientId: contact.senderId, commentId: comment?.id },
+      buildMessages(automation, text, step.richMessage),
+    )
+  } catch (error) {
+    await release(db, reservedBuckets)
+    await recordDirectMessage({
+      _id: new ObjectId().toString(),
+      ...record,
+      status: "failed",
+      ...describeSendError(error),
+      sentAt: new Date(),
+    })
+    await handleTokenError(db, instagramAccount, error)
+    throw error
+  }
+
+  const messageId = new ObjectId().toString()
+
+  await recordDirectMessage({ _id: messageId, ...record, status: "sent", sentAt: new Date() })
+
+  await storage.messages.insert({
+    _id: messageId,
+    contactId: contact._id,
+    instagramAccountId: instagramAccount._id,
+    fromMe: true,
+    message: text,
+    timestamp: new Date(),
+    isAutomated: true,
+  })
+
+  await storage.automations.recordSend(automation._id)
+}
+
+// Continue a flow after a delay or reply timeout (queued by the flow engine)
+async function runFlowResumeJob(data) {
+  const contact = await storage.contacts.findById(data.contactId)
+
+  if (!contact?.flowState) {
+    return { success: true, message: `Contact ${data.contactId} has no flow to resume`, resumed: false }
+  }
+
+  const automation = await storage.automations.findActiveById(contact.flowState.automationId)
+  const instagramAccount = automation ? await storage.accounts.findById(automation.instagramAccountId) : null
+
+  if (!automation?.flow || !instagramAccount) {
+    return { success: true, message: `Flow automation for contact ${contact._id} is no longer active`, resumed: false }
+  }
+
+  return {
+    success: true,
+    ...(await resumeFlow(createFlowContext(instagramAccount, automation, contact), data)),
+  }
+}
+
+// Pause or resume automations for one contact. Pausing (a human taking over) also ends any flow they're in.
+async function setContactAutomationsPaused(contact, paused, reason = "human_takeover") {
+  const update = paused
+    ? { $set: { automationsPaused: true, automationsPausedReason: reason, automationsPausedAt: new Date() } }
+    : { $set: { automationsPaused: false }, $unset: { automationsPausedReason: "", automationsPausedAt: "" } }
+
+  if (paused && isInFlow(contact)) {
+    update.$set["flowState.status"] = "cancelled"
+    update.$set["flowState.completedAt"] = new Date()
+  }
+
+  update.$set.updatedAt = new Date()
+  await storage.contacts.update(contact._id, update)
+
+  logger.info(`Automations ${paused ? "paused" : "resumed"} for contact`, { contactId: contact._id })
+}
+
+// Send a message typed by a human in the inbox. Returns { status, body } for the route to send back.
+async function sendManualReply(instagramAccount, contact, text) {
+  if (!canSendAs(instagramAccount)) {
+    return { status: 409, body: { error: `Account ${instagramAccount.username} needs re-authentication` } }
+  }
+
+  // Humans may still answer with the HUMAN_AGENT tag for a while after the 24-hour window closes
+  const sendMode = await resolveSendMode(instagramAccount, contact, { humanAgent: true })
+  if (!sendMode.allowed) {
+    return { status: 409, body: { error: "Outside the messaging window", reason: sendMode.reason } }
+  }
+
+  const record = {
+    userId: instagramAccount.userId,
+    instagramAccountId: instagramAccount._id,
+    recipientUsername: contact.username,
+    recipientId: contact.senderId,
+    message: text,
+    messageType: "text",
+    sendMode: sendMode.mode,
+    isAutomated: false,
+  }
+
+  let reservedBuckets
+  try {
+    reservedBuckets = await reserveSendCapacity(instagramAccount)
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) throw error
+    return { status: 429, body: { error: error.message, retryAfter: Math.ceil(error.retryAfterMs / 1000) } }
+  }
+
+  try {
+    await sendMessages(
+      getAccountToken(instagramAccount),
+      instagramAccount.instagramId,
+      sendMode.mode,
+      { recipientId: contact.senderId },
+      [{ text }],
+    )
+  } catch (error) {
+    logger.error("Error sending manual reply", { contactId: contact._id, error })
+
+    await release(db, reservedBuckets)
+    await recordDirectMessage({
+      _id: new ObjectId().toString(),
+      ...record,
+      status: "failed",
+      ...describeSendError(error),
+      sentAt: new Date(),
+    })
+    await handleTokenError(db, instagramAccount, error)
+
+    return { status: 502, body: { error: "Failed to send message", ...describeSendError(error) } }
+  }
+
+  const messageId = new ObjectId().toString()
+  const now = new Date()
+
+  await recordDirectMessage({ _id: messageId, ...record, status: "sent", sentAt: now })
+
+  const message = {
+    _id: messageId,
+    contactId: contact._id,
+    instagramAccountId: instagramAccount._id,
+    fromMe: true,
+    message: text,
+    timestamp: now,
+    isAutomated: false,
+    sendMode: sendMode.mode,
+  }
+  await storage.messages.insert(message)
+
+  await storage.contacts.update(contact._id, { $set: { lastMessage: text, lastMessageTime: now, updatedAt: now } })
+
+  return { status: 201, body: { success: true, message } }
+}
+
+// Send a campaign message to one recipient and record the outcome. Returns { deferUntil } when sending
+// has to wait (rate limits, Graph throttling) and { stop } when the account can't send at all any more.
+async function sendCampaignMessage(instagramAccount, campaign, recipient) {
+  const contact = await storage.contacts.findById(recipient.contactId)
+
+  if (!contact) {
+    await recordRecipientResult(db, recipient, { status: "skipped", skipReason: "contact_deleted" })
+    return {}
+  }
+
+  // Someone is handling this conversation by hand
+  if (contact.automationsPaused) {
+    await recordRecipientResult(db, recipient, { status: "skipped", skipReason: "automations_paused" })
+    return {}
+  }
+
+  let text
+  let messages
+  try {
+    text = renderCampaignMessage(campaign, buildTemplateContext({ contact, account: instagramAccount }))
+    messages = buildMessages(campaign, text)
+  } catch (error) {
+    await recordRecipientResult(db, recipient, { status: "failed", error: String(error) })
+    return {}
+  }
+
+  const record = {
+    campaignId: campaign._id,
+    userId: instagramAccount.userId,
+    instagramAccountId: instagramAccount._id,
+    recipientUsername: contact.username,
+    recipientId: contact.senderId,
+    message: text,
+    messageType: campaign.richMessage?.type || "text",
+    isAutomated: true,
+  }
+
+  // Campaigns start conversations, so only people who wrote to us in the last 24 hours can be reached
+  const sendMode = await resolveSendMode(instagramAccount, contact)
+  if (!sendMode.allowed) {
+    await recordSkippedSend(record, sendMode.reason)
+    await recordRecipientResult(db, recipient, { status: "skipped", skipReason: sendMode.reason })
+    return {}
+  }
+
+  let reservedBuckets
+  try {
+    reservedBuckets = await reserveSendCapacity(instagramAccount)
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) throw error
+
+    await requeueRecipient(db, recipient)
+    return { deferUntil: error.deferUntil }
+  }
+
+  try {
+    await sendMessages(
+      getAccountToken(instagramAccount),
+      instagramAccount.instagramId,
+      sendMode.mode,
+      { recipientId: contact.senderId },
+      messages,
+    )
+  } catch (error) {
+    logger.error("Error sending campaign message", { campaignId: campaign._id, contactId: contact._id, error })
+    await release(db, reservedBuckets)
+
+    if (error.category === ERROR_CATEGORIES.RETRYABLE && recipient.attempts < MAX_RECIPIENT_ATTEMPTS) {
+      await requeueRecipient(db, recipient)
+      return { deferUntil: new Date(Date.now() + 60 * 1000) }
+    }
+
+    await recordDirectMessage({
+      _id: new ObjectId().toString(),
+      ...record,
+      sendMode: sendMode.mode,
+      status: "failed",
+      ...describeSendError(error),
+      sentAt: new Date(),
+    })
+    await recordRecipientResult(db, recipient, { status: "failed", ...describeSendError(error) })
+    await handleTokenError(db, instagramAccount, error)
+
+    return { stop: error.category === ERROR_CATEGORIES.TOKEN_EXPIRED }
+  }
+
+  const messageId = new ObjectId().toString()
+  const now = new Date()
+
+  await recordDirectMessage({ _id: messageId, ...record, sendMode: sendMode.mode, status: "sent", sentAt: now })
+  await storage.messages.insert({
+    _id: messageId,
+    contactId: contact._id,
+    instagramAccountId: instagramAccount._id,
+    fromMe: true,
+    message: text,
+    timestamp: now,
+    isAutomated: true,
+    campaignId: campaign._id,
+  })
+  await recordRecipientResult(db, recipient, { status: "sent", sentAt: now, messageId })
+
+  return {}
+}
+
+// Pause a running campaign on the server's initiative, e.g. when the account lost its token
+async function pauseCampaign(campaign, reason) {
+  await db
+    .collection(CAMPAIGNS_COLLECTION)
+    .updateOne(
+      { _id: campaign._id },
+      { $set: { status: "paused", pausedReason: reason, pausedAt: new Date(), updatedAt: new Date() } },
+    )
+  logger.info("Paused campaign", { campaignId: campaign._id, reason })
+}
+
+// Job handler: send one batch of a campaign, then queue the next one or finish the campaign.
+// The first batch snapshots the segment into recipients.
+async function runCampaignBatch(data) {
+  let campaign = await claimCampaignBatch(db, data)
+
+  if (!campaign) {
+    return { success: true, message: "Campaign batch no longer applies" }
+  }
+
+  const instagramAccount = await storage.accounts.findById(campaign.instagramAccountId)
+
+  if (!instagramAccount || !canSendAs(instagramAccount)) {
+    await pauseCampaign(campaign, instagramAccount ? "account_needs_reauth" : "account_not_found")
+    return { success: true, message: `Campaign ${campaign._id} paused, account can't send` }
+  }
+
+  if (campaign.status === "scheduled") {
+    const totalRecipients = await materializeRecipients(db, campaign)
+    const result = await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .findOneAndUpdate(
+        { _id: campaign._id, status: "scheduled" },
+        { $set: { status: "running", startedAt: new Date(), totalRecipients, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+
+    // Paused or cancelled while the recipients were being collected
+    if (!result.value) {
+      return { success: true, message: `Campaign ${campaign._id} stopped before it started` }
+    }
+
+    campaign = result.value
+    logger.info("Campaign started", { campaignId: campaign._id, totalRecipients })
+  }
+
+  // Recipients a crashed batch left mid-send
+  await expireStaleRecipients(db, campaign._id)
+
+  let processed = 0
+
+  while (processed < (campaign.batchSize || DEFAULT_BATCH_SIZE)) {
+    // Pick up a pause or cancel that arrives mid-batch
+    if (!(await isBatchCurrent(db, campaign))) {
+      return { success: true, processed, message: `Campaign ${campaign._id} stopped` }
+    }
+
+    const recipient = await claimNextRecipient(db, campaign._id)
+    if (!recipient) break
+
+    const result = await sendCampaignMessage(instagramAccount, campaign, recipient)
+
+    if (result.stop) {
+      await pauseCampaign(campaign, "account_needs_reauth")
+      return { success: true, processed, message: `Campaign ${campaign._id} paused, account can't send` }
+    }
+
+    if (result.deferUntil) {
+      await scheduleCampaignBatch(db, campaign._id, result.deferUntil)
+      logger.info("Campaign waiting", { campaignId: campaign._id, deferUntil: result.deferUntil })
+      return { success: true, processed, deferredUntil: result.deferUntil }
+    }
+
+    processed++
+  }
+
+  // A claim that hasn't expired yet keeps the campaign open until it either finishes or is swept up
+  await expireStaleRecipients(db, campaign._id)
+  const remaining = await db
+    .collection(RECIPIENTS_COLLECTION)
+    .countDocuments({ campaignId: campaign._id, status: { $in: ["pending", "sending"] } })
+
+  if (remaining > 0) {
+    const intervalSeconds = campaign.batchIntervalSeconds ?? DEFAULT_BATCH_INTERVAL_SECONDS
+    await scheduleCampaignBatch(db, campaign._id, new Date(Date.now() + intervalSeconds * 1000))
+    return { success: true, processed, remaining }
   }
+
+  await db
+    .collection(CAMPAIGNS_COLLECTION)
+    .updateOne(
+      { _id: campaign._id, status: "running" },
+      { $set: { status: "completed", completedAt: new Date(), updatedAt: new Date() }, $unset: { nextBatchAt: "" } },
+    )
+  logger.info("Campaign completed", { campaignId: campaign._id })
+
+  return { success: true, processed, completed: true }
 }
 
-// Authentication middleware
-function authenticateRequest(req, res, next) {
+// Authentication middleware. Accepts the per-user API keys stored in Mongo (lib/apiKeys.js), and the
+// RENDER_SERVER_API_KEY master key used by the main app, which has every scope and isn't bound to a user.
+async function authenticateRequest(req, res, next) {
   const authHeader = req.headers.authorization
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -134,11 +837,52 @@ function authenticateRequest(req, res, next) {
 
   const token = authHeader.split(" ")[1]
 
-  if (token !== process.env.RENDER_SERVER_API_KEY) {
-    return res.status(403).json({ error: "Forbidden" })
+  try {
+    if (process.env.RENDER_SERVER_API_KEY && keysMatch(token, process.env.RENDER_SERVER_API_KEY)) {
+      req.apiKey = { _id: "master", name: "master", userId: null, scopes: SCOPES }
+      return next()
+    }
+
+    // Paths that skip the database check (/metrics) still need it to look up keys other than the master key
+    if (!isDatabaseReady()) {
+      return res.status(503).json({ error: "Database not ready" })
+    }
+
+    const apiKey = await findApiKey(db, token)
+
+    if (!apiKey) {
+      return res.status(403).json({ error: "Forbidden" })
+    }
+
+    req.apiKey = apiKey
+    next()
+  } catch (error) {
+    logger.error("Error authenticating request", { error })
+    res.status(500).json({ error: String(error) })
   }
+}
 
-  next()
+// Authenticate the request and only let it through if its API key has the scope. The admin scope includes
+// every other one.
+function requireScope(scope) {
+  return [
+    authenticateRequest,
+    (req, res, next) => {
+      const scopes = req.apiKey.scopes || []
+
+      if (!scopes.includes(scope) && !scopes.includes(API_KEY_SCOPES.ADMIN)) {
+        return res.status(403).json({ error: `API key is missing the ${scope} scope` })
+      }
+
+      next()
+    },
+  ]
+}
+
+// Query conditions limiting a request to its API key's user. Spread into every lookup of user-owned documents;
+// other users' documents then look like they don't exist.
+function tenantFilter(req) {
+  return req.apiKey?.userId ? { userId: req.apiKey.userId } : {}
 }
 
 // Routes
@@ -146,8 +890,12 @@ app.get("/", (req, res) => {
   res.send("Instagram Automation Server is running")
 })
 
-// Health check endpoint
-app.get("/health", (req, res) => {
+function isDatabaseReady() {
+  return Boolean(db) && databaseWritable
+}
+
+// Liveness: the process is up and serving requests. It says nothing about dependencies, see /health/ready.
+app.get(["/health", "/health/live"], (req, res) => {
   res.json({
     status: "ok",
     timestamp: new Date(),
@@ -156,12 +904,58 @@ app.get("/health", (req, res) => {
   })
 })
 
-// Enhanced keep alive endpoint
-app.get("/keep-alive", async (req, res) => {
+// Readiness: 503 while the database is unreachable, otherwise 200 with "ok" or "degraded" and the status of each
+// dependency check. Details are on /api/admin/health.
+app.get("/health/ready", async (req, res) => {
+  try {
+    const report = await getHealthReport({ db, scheduler })
+    res.status(report.status === "unavailable" ? 503 : 200).json(summarizeHealthReport(report))
+  } catch (error) {
+    logger.error("Error checking readiness", { error })
+    res.status(503).json({ status: "unavailable", error: String(error) })
+  }
+})
+
+// Full health report: per-account token status, Graph reachability, backlog ages and scheduled job runs
+app.get("/api/admin/health", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    res.json(await getHealthReport({ db, scheduler }))
+  } catch (error) {
+    logger.error("Error building health report", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Backlogs and queue depth live in the database, so they are read on each scrape
+registry.onCollect(async () => {
+  if (!isDatabaseReady()) return
+
+  const backlog = await getBacklog(db)
+  for (const [collection, { size, oldestAgeSeconds }] of Object.entries(backlog)) {
+    metrics.backlog.set({ collection }, size)
+    metrics.backlogOldestAge.set({ collection }, oldestAgeSeconds)
+  }
+
+  const queue = await getQueueStats(db)
+  for (const [status, count] of Object.entries(queue)) {
+    metrics.jobs.set({ status }, count)
+  }
+})
+
+// Prometheus scrape endpoint
+app.get("/metrics", requireScope(API_KEY_SCOPES.METRICS), async (req, res) => {
   try {
-    console.log("Keep alive ping received at", new Date().toISOString())
+    res.set("Content-Type", CONTENT_TYPE)
+    res.send(await registry.render())
+  } catch (error) {
+    logger.error("Error rendering metrics", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
 
-    // Perform some database activity to keep connections alive
+// Keep alive endpoint for external uptime pingers. Pending work is drained by the scheduler, not by pings.
+app.get("/keep-alive", async (req, res) => {
+  try {
     await db.collection("serverStatus").updateOne(
       { _id: "keep-alive" },
       {
@@ -175,24 +969,1315 @@ app.get("/keep-alive", async (req, res) => {
       { upsert: true },
     )
 
-    // Process any pending messages while we're at it
-    const pendingCount = await processPendingMessages()
-    const pendingComments = await processPendingComments()
-
     res.json({
       status: "alive",
       timestamp: new Date(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
-      pendingMessages: pendingCount,
-      pendingComments: pendingComments,
     })
   } catch (error) {
-    console.error("Error in keep-alive:", error)
+    logger.error("Error in keep-alive", { error })
     res.status(500).json({ error: "Keep alive failed" })
   }
 })
 
+// Token and sending health for every account (optionally filtered by ?userId=)
+app.get("/api/accounts/health", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const filter = { ...(req.query.userId ? { userId: req.query.userId } : {}), ...tenantFilter(req) }
+    const accounts = await db.collection("instagramAccounts").find(filter).toArray()
+
+    const health = await Promise.all(accounts.map((account) => getAccountHealth(db, account)))
+
+    res.json({ accounts: health })
+  } catch (error) {
+    logger.error("Error getting account health", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Token and sending health for one account
+app.get("/api/accounts/:id/health", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    res.json(await getAccountHealth(db, account))
+  } catch (error) {
+    logger.error("Error getting account health", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Verify an account's token now, e.g. right after the user reconnects it
+app.post("/api/accounts/:id/check-token", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const result = await checkAccountToken(db, account)
+    const updated = await db.collection("instagramAccounts").findOne({ _id: account._id })
+
+    res.json({ ...result, health: await getAccountHealth(db, updated) })
+  } catch (error) {
+    logger.error("Error checking account token", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Force a long-lived token refresh
+app.post("/api/accounts/:id/refresh-token", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const result = await refreshAccountToken(db, account)
+
+    res.status(result.refreshed ? 200 : 502).json(result)
+  } catch (error) {
+    logger.error("Error refreshing account token", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// List automations, filtered by ?userId=, ?instagramAccountId=, ?type= and ?active=
+app.get("/api/automations", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.userId) filter.userId = req.query.userId
+    Object.assign(filter, tenantFilter(req))
+    if (req.query.instagramAccountId) filter.instagramAccountId = req.query.instagramAccountId
+    if (req.query.type) filter.type = req.query.type
+    if (req.query.active !== undefined) filter.active = req.query.active === "true"
+
+    const automations = await db.collection("automations").find(filter).sort({ createdAt: -1 }).toArray()
+
+    res.json({ automations })
+  } catch (error) {
+    logger.error("Error listing automations", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Show which automations would fire for a sample comment or message, without sending anything.
+// Pass `automation` in the body to try an unsaved definition instead of the account's stored ones.
+app.post("/api/automations/dry-run", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const { instagramAccountId, type, text = "", username, postId, mediaId, includeInactive } = req.body
+
+    if (!AUTOMATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${AUTOMATION_TYPES.join(", ")}` })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: instagramAccountId, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const post =
+      type === "comment" && (postId || mediaId)
+        ? await db
+            .collection("posts")
+            .findOne({ instagramAccountId: account._id, ...(postId ? { _id: postId } : { instagramId: mediaId }) })
+        : null
+
+    let automations
+    if (req.body.automation) {
+      const candidate = { ...req.body.automation, type, instagramAccountId: account._id }
+      const errors = validateAutomation(candidate)
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid automation", details: errors })
+      }
+
+      automations = [{ _id: "dry-run", ...candidate }]
+    } else {
+      // Same candidates the live pipeline looks at
+      const filter = { instagramAccountId: account._id }
+      if (type === "message") {
+        filter.type = "message"
+      } else {
+        filter.$or = [{ postId: post?._id }, { postId: { $exists: false } }, { postId: null }]
+      }
+      if (!includeInactive) filter.active = true
+
+      automations = await db.collection("automations").find(filter).toArray()
+    }
+
+    res.json(dryRunAutomations(automations, { type, text, username, post, account }))
+  } catch (error) {
+    logger.error("Error running automation dry run", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.get("/api/automations/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const automation = await db.collection("automations").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!automation) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    res.json(automation)
+  } catch (error) {
+    logger.error("Error getting automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/automations", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const errors = validateAutomation(req.body)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid automation", details: errors })
+    }
+
+    const account = await db
+      .collection("instagramAccounts")
+      .findOne({ _id: req.body.instagramAccountId, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const automation = {
+      _id: new ObjectId().toString(),
+      ...pickEditableFields(req.body),
+      userId: account.userId,
+      active: req.body.active !== false,
+      totalDMsSent: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    }
+
+    await db.collection("automations").insertOne(automation)
+    logger.info("Created automation", { automationId: automation._id, instagramAccountId: account._id })
+
+    res.status(201).json(automation)
+  } catch (error) {
+    logger.error("Error creating automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.patch("/api/automations/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const existing = await db.collection("automations").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!existing) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    const errors = validateAutomation(req.body, existing)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid automation", details: errors })
+    }
+
+    await db
+      .collection("automations")
+      .updateOne({ _id: existing._id }, { $set: { ...pickEditableFields(req.body), updatedAt: new Date() } })
+
+    res.json(await db.collection("automations").findOne({ _id: existing._id }))
+  } catch (error) {
+    logger.error("Error updating automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.delete("/api/automations/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db.collection("automations").deleteOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    // Contacts still inside its flow are dropped when their next flow_resume job finds it gone
+    logger.info("Deleted automation", { automationId: req.params.id })
+    res.json({ success: true })
+  } catch (error) {
+    logger.error("Error deleting automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/automations/:id/activate", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const automation = await db.collection("automations").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!automation) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: automation.instagramAccountId })
+
+    // Automations paused for re-auth come back on their own once the account is reconnected
+    if (!account || !canSendAs(account)) {
+      return res.status(409).json({ error: "Account needs re-authentication before automations can run" })
+    }
+
+    await db
+      .collection("automations")
+      .updateOne(
+        { _id: automation._id },
+        { $set: { active: true, updatedAt: new Date() }, $unset: { pausedReason: "", pausedAt: "" } },
+      )
+
+    res.json(await db.collection("automations").findOne({ _id: automation._id }))
+  } catch (error) {
+    logger.error("Error activating automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/automations/:id/pause", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db
+      .collection("automations")
+      .findOneAndUpdate(
+        { _id: req.params.id, ...tenantFilter(req) },
+        { $set: { active: false, pausedReason: "manual", pausedAt: new Date(), updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+
+    if (!result.value) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    res.json(result.value)
+  } catch (error) {
+    logger.error("Error pausing automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Copy an automation, e.g. onto another post. Body fields override the copied ones; the copy starts paused.
+app.post("/api/automations/:id/duplicate", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const source = await db.collection("automations").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!source) {
+      return res.status(404).json({ error: "Automation not found" })
+    }
+
+    const overrides = req.body || {}
+    const fields = {
+      ...pickEditableFields(source),
+      name: `${source.name || "Automation"} (copy)`,
+      active: false,
+    }
+    const errors = validateAutomation(overrides, fields)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid automation", details: errors })
+    }
+
+    const automation = {
+      _id: new ObjectId().toString(),
+      ...fields,
+      ...pickEditableFields(overrides),
+      userId: source.userId,
+      duplicatedFrom: source._id,
+      totalDMsSent: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    }
+
+    await db.collection("automations").insertOne(automation)
+    logger.info("Duplicated automation", { sourceId: source._id, automationId: automation._id })
+
+    res.status(201).json(automation)
+  } catch (error) {
+    logger.error("Error duplicating automation", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Browsers' EventSource can't send headers, so the event stream also takes the API key as ?access_token=
+function allowQueryToken(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`
+  }
+  next()
+}
+
+// Server-Sent Events stream of what happens on an account (or all of a user's accounts).
+// Scope with ?userId= and/or ?instagramAccountId=, narrow with ?types=dm.sent,dm.failed
+app.get("/api/events", allowQueryToken, requireScope(API_KEY_SCOPES.INBOX), (req, res) => {
+  const filter = {
+    userId: req.apiKey.userId || req.query.userId,
+    instagramAccountId: req.query.instagramAccountId,
+    types: req.query.types ? String(req.query.types).split(",") : [],
+  }
+
+  if (!filter.userId && !filter.instagramAccountId) {
+    return res.status(400).json({ error: "userId or instagramAccountId is required" })
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+  res.write("retry: 5000\n\n")
+
+  const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+
+  // Catch a reconnecting client up on what it missed
+  const lastEventId = Number(req.headers["last-event-id"] || req.query.lastEventId)
+  if (lastEventId) {
+    getEventsSince(lastEventId, filter).forEach(send)
+  }
+
+  const unsubscribe = subscribe(filter, send)
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000)
+
+  req.on("close", () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+// Parse ?limit= and ?before= (an ISO date cursor) for paginated inbox listings
+function getPageParams(query) {
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 20, 1), 100)
+  const before = query.before ? new Date(query.before) : null
+
+  return { limit, before: before && !Number.isNaN(before.getTime()) ? before : null }
+}
+
+// Conversations for an account, most recent first, with unread counts. Filter with ?unread=true.
+app.get("/api/accounts/:id/conversations", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const { limit, before } = getPageParams(req.query)
+    const filter = { instagramAccountId: account._id }
+    if (req.query.unread === "true") filter.unread = true
+    if (before) filter.lastMessageTime = { $lt: before }
+
+    const contacts = await db.collection("contacts").find(filter).sort({ lastMessageTime: -1 }).limit(limit).toArray()
+
+    const [unreadCounts, unreadConversations] = await Promise.all([
+      db
+        .collection("messages")
+        .aggregate([
+          { $match: { contactId: { $in: contacts.map((contact) => contact._id) }, fromMe: false, read: false } },
+          { $group: { _id: "$contactId", count: { $sum: 1 } } },
+        ])
+        .toArray(),
+      db.collection("contacts").countDocuments({ instagramAccountId: account._id, unread: true }),
+    ])
+
+    const conversations = contacts.map((contact) => ({
+      contactId: contact._id,
+      username: contact.username,
+      displayName: contact.displayName,
+      lastMessage: contact.lastMessage,
+      lastMessageTime: contact.lastMessageTime,
+      lastInboundAt: contact.lastInboundAt || null,
+      unread: Boolean(contact.unread),
+      unreadCount: unreadCounts.find((item) => item._id === contact._id)?.count || 0,
+      automationsPaused: Boolean(contact.automationsPaused),
+      tags: contact.tags || [],
+    }))
+
+    res.json({
+      conversations,
+      unreadConversations,
+      nextCursor: contacts.length === limit ? contacts[contacts.length - 1].lastMessageTime : null,
+    })
+  } catch (error) {
+    logger.error("Error listing conversations", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Messages in one conversation, newest first
+app.get("/api/contacts/:id/messages", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    const { limit, before } = getPageParams(req.query)
+    const filter = { contactId: contact._id }
+    if (before) filter.timestamp = { $lt: before }
+
+    const messages = await db.collection("messages").find(filter).sort({ timestamp: -1 }).limit(limit).toArray()
+
+    res.json({
+      contact,
+      messages,
+      nextCursor: messages.length === limit ? messages[messages.length - 1].timestamp : null,
+    })
+  } catch (error) {
+    logger.error("Error getting messages", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/contacts/:id/read", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    const result = await db
+      .collection("messages")
+      .updateMany({ contactId: contact._id, fromMe: false, read: false }, { $set: { read: true, readAt: new Date() } })
+    await db.collection("contacts").updateOne({ _id: contact._id }, { $set: { unread: false, updatedAt: new Date() } })
+
+    res.json({ success: true, markedRead: result.modifiedCount })
+  } catch (error) {
+    logger.error("Error marking conversation read", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Reply to a contact by hand. Pass pauseAutomations: true to take the conversation over from the bots.
+app.post("/api/contacts/:id/reply", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : ""
+
+    if (!text || text.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `text is required and must be at most ${MAX_MESSAGE_LENGTH} characters` })
+    }
+
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: contact.instagramAccountId })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    if (req.body.pauseAutomations === true && !contact.automationsPaused) {
+      await setContactAutomationsPaused(contact, true)
+    }
+
+    const result = await sendManualReply(account, contact, text)
+
+    res.status(result.status).json(result.body)
+  } catch (error) {
+    logger.error("Error sending manual reply", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Pause ({ "paused": true }) or resume automations for a contact
+app.post("/api/contacts/:id/automations", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    if (typeof req.body.paused !== "boolean") {
+      return res.status(400).json({ error: "paused must be a boolean" })
+    }
+
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    await setContactAutomationsPaused(
+      contact,
+      req.body.paused,
+      typeof req.body.reason === "string" ? req.body.reason : undefined,
+    )
+
+    res.json(await db.collection("contacts").findOne({ _id: contact._id }))
+  } catch (error) {
+    logger.error("Error updating contact automations", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Funnel report per automation, post or day: ?groupBy=automation|post|day&from=&to= plus optional
+// userId, instagramAccountId, automationId and postId filters. Add ?format=csv for a spreadsheet export.
+app.get("/api/analytics/automations", requireScope(API_KEY_SCOPES.ANALYTICS), async (req, res) => {
+  try {
+    const query = parseReportQuery(req.query)
+
+    if (query.errors.length > 0) {
+      return res.status(400).json({ error: "Invalid report query", details: query.errors })
+    }
+
+    Object.assign(query.scope, tenantFilter(req))
+
+    const rows = await getAutomationReport(db, query)
+
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8")
+      res.set("Content-Disposition", `attachment; filename="automation-report-${query.groupBy}.csv"`)
+      return res.send(reportToCsv(rows))
+    }
+
+    res.json({ from: query.from, to: query.to, groupBy: query.groupBy, rows, totals: sumReportRows(rows) })
+  } catch (error) {
+    logger.error("Error building automation report", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Outbound webhook endpoints registered for an account
+app.get("/api/accounts/:id/webhooks", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const endpoints = await db
+      .collection(ENDPOINTS_COLLECTION)
+      .find({ instagramAccountId: req.params.id, ...tenantFilter(req) })
+      .sort({ createdAt: -1 })
+      .toArray()
+
+    res.json({ endpoints: endpoints.map(describeEndpoint) })
+  } catch (error) {
+    logger.error("Error listing webhook endpoints", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Register an endpoint: { url, events: [...] }. An empty events list subscribes to everything.
+// The signing secret is only returned here and on rotation.
+app.post("/api/accounts/:id/webhooks", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const errors = validateEndpoint(req.body)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid webhook endpoint", details: errors })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const endpoint = {
+      _id: new ObjectId().toString(),
+      userId: account.userId,
+      instagramAccountId: account._id,
+      url: req.body.url,
+      events: req.body.events || [],
+      description: typeof req.body.description === "string" ? req.body.description : "",
+      secret: generateSecret(),
+      active: req.body.active !== false,
+      consecutiveFailures: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    }
+
+    await db.collection(ENDPOINTS_COLLECTION).insertOne(endpoint)
+
+    res.status(201).json({ ...describeEndpoint(endpoint), secret: endpoint.secret })
+  } catch (error) {
+    logger.error("Error creating webhook endpoint", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Change url/events, or re-enable an endpoint that was disabled after repeated failures
+app.patch("/api/webhooks/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const errors = validateEndpoint(req.body, { partial: true })
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid webhook endpoint", details: errors })
+    }
+
+    const update = { $set: { updatedAt: new Date() } }
+    for (const field of ["url", "events", "active", "description"]) {
+      if (req.body[field] !== undefined) update.$set[field] = req.body[field]
+    }
+    if (req.body.active === true) {
+      update.$set.consecutiveFailures = 0
+      update.$unset = { disabledAt: "", disabledReason: "" }
+    }
+
+    const result = await db
+      .collection(ENDPOINTS_COLLECTION)
+      .findOneAndUpdate({ _id: req.params.id, ...tenantFilter(req) }, update, { returnDocument: "after" })
+
+    if (!result.value) {
+      return res.status(404).json({ error: "Webhook endpoint not found" })
+    }
+
+    res.json(describeEndpoint(result.value))
+  } catch (error) {
+    logger.error("Error updating webhook endpoint", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.delete("/api/webhooks/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db.collection(ENDPOINTS_COLLECTION).deleteOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Webhook endpoint not found" })
+    }
+
+    // Queued deliveries are cancelled when their job finds the endpoint gone
+    res.json({ success: true })
+  } catch (error) {
+    logger.error("Error deleting webhook endpoint", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/webhooks/:id/rotate-secret", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const secret = generateSecret()
+    const result = await db
+      .collection(ENDPOINTS_COLLECTION)
+      .findOneAndUpdate(
+        { _id: req.params.id, ...tenantFilter(req) },
+        { $set: { secret, secretRotatedAt: new Date(), updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+
+    if (!result.value) {
+      return res.status(404).json({ error: "Webhook endpoint not found" })
+    }
+
+    res.json({ ...describeEndpoint(result.value), secret })
+  } catch (error) {
+    logger.error("Error rotating webhook secret", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Send a test event to check the receiver and its signature verification
+app.post("/api/webhooks/:id/test", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const endpoint = await db.collection(ENDPOINTS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook endpoint not found" })
+    }
+
+    const delivery = await enqueueDelivery(db, endpoint, {
+      type: TEST_EVENT,
+      timestamp: new Date(),
+      userId: endpoint.userId,
+      instagramAccountId: endpoint.instagramAccountId,
+      data: { message: "Test delivery" },
+    })
+
+    res.status(202).json({ success: true, deliveryId: delivery._id })
+  } catch (error) {
+    logger.error("Error sending test webhook", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Delivery log for an endpoint, newest first. Filter with ?status=failed
+app.get("/api/webhooks/:id/deliveries", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}` })
+    }
+
+    const endpoint = await db.collection(ENDPOINTS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook endpoint not found" })
+    }
+
+    const { limit, before } = getPageParams(req.query)
+    const filter = { endpointId: endpoint._id }
+    if (req.query.status) filter.status = req.query.status
+    if (before) filter.createdAt = { $lt: before }
+
+    const deliveries = await db
+      .collection(DELIVERIES_COLLECTION)
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray()
+
+    res.json({
+      deliveries,
+      nextCursor: deliveries.length === limit ? deliveries[deliveries.length - 1].createdAt : null,
+    })
+  } catch (error) {
+    logger.error("Error listing webhook deliveries", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Add or remove tags: { add: [...], remove: [...] }
+app.post("/api/contacts/:id/tags", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body
+    const errors = [...validateTags(add, "add"), ...validateTags(remove, "remove")]
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid tags", details: errors })
+    }
+
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    await updateContactTags(db, contact._id, { add, remove })
+
+    res.json(await db.collection("contacts").findOne({ _id: contact._id }))
+  } catch (error) {
+    logger.error("Error updating contact tags", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Set custom fields: { fields: { email: "...", plan: "pro", oldField: null } }
+app.post("/api/contacts/:id/fields", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const errors = validateFields(req.body.fields)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid fields", details: errors })
+    }
+
+    const contact = await db.collection("contacts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!contact) {
+      return res.status(404).json({ error: "Contact not found" })
+    }
+
+    await setContactFields(db, contact._id, req.body.fields)
+
+    res.json(await db.collection("contacts").findOne({ _id: contact._id }))
+  } catch (error) {
+    logger.error("Error updating contact fields", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Contacts of an account matching a segment (see lib/segments.js). Page with ?limit= and the returned cursor.
+app.post("/api/accounts/:id/segments/query", requireScope(API_KEY_SCOPES.INBOX), async (req, res) => {
+  try {
+    const segment = req.body.segment || {}
+    const errors = validateSegment(segment)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid segment", details: errors })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(req.body.limit, 10) || 50, 1), 500)
+    const filter = buildSegmentFilter(account._id, segment)
+    const pageFilter = req.body.cursor ? { $and: [filter, { _id: { $gt: String(req.body.cursor) } }] } : filter
+
+    const [contacts, total] = await Promise.all([
+      db.collection("contacts").find(pageFilter).sort({ _id: 1 }).limit(limit).toArray(),
+      db.collection("contacts").countDocuments(filter),
+    ])
+
+    res.json({
+      total,
+      contacts,
+      nextCursor: contacts.length === limit ? contacts[contacts.length - 1]._id : null,
+    })
+  } catch (error) {
+    logger.error("Error querying segment", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Campaigns of an account, newest first. Filter with ?status=.
+app.get("/api/accounts/:id/campaigns", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const filter = { instagramAccountId: req.params.id, ...tenantFilter(req) }
+    if (req.query.status) filter.status = String(req.query.status)
+
+    const campaigns = await db.collection(CAMPAIGNS_COLLECTION).find(filter).sort({ createdAt: -1 }).toArray()
+
+    res.json({ campaigns })
+  } catch (error) {
+    logger.error("Error listing campaigns", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Create a draft campaign: { name, message, richMessage, segment, scheduledAt, batchSize, batchIntervalSeconds }
+app.post("/api/accounts/:id/campaigns", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const errors = validateCampaign(req.body)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid campaign", details: errors })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" })
+    }
+
+    const campaign = {
+      _id: new ObjectId().toString(),
+      userId: account.userId,
+      instagramAccountId: account._id,
+      batchSize: DEFAULT_BATCH_SIZE,
+      batchIntervalSeconds: DEFAULT_BATCH_INTERVAL_SECONDS,
+      ...pickCampaignFields(req.body),
+      status: "draft",
+      batchSeq: 0,
+      stats: {},
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).insertOne(campaign)
+
+    res.status(201).json(campaign)
+  } catch (error) {
+    logger.error("Error creating campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.get("/api/campaigns/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_READ), async (req, res) => {
+  try {
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    res.json(campaign)
+  } catch (error) {
+    logger.error("Error fetching campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Edit a campaign that hasn't started yet. Moving scheduledAt of a scheduled campaign reschedules it.
+app.patch("/api/campaigns/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    if (!["draft", "scheduled"].includes(campaign.status)) {
+      return res.status(409).json({ error: `A ${campaign.status} campaign can't be edited` })
+    }
+
+    const errors = validateCampaign(req.body, campaign)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid campaign", details: errors })
+    }
+
+    const fields = pickCampaignFields(req.body)
+    await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .updateOne({ _id: campaign._id, status: campaign.status }, { $set: { ...fields, updatedAt: new Date() } })
+
+    if (campaign.status === "scheduled" && fields.scheduledAt) {
+      await scheduleCampaignBatch(db, campaign._id, fields.scheduledAt)
+    }
+
+    res.json(await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: campaign._id }))
+  } catch (error) {
+    logger.error("Error updating campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Only drafts can be deleted; anything that may have sent messages is cancelled instead, to keep its report
+app.delete("/api/campaigns/:id", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .deleteOne({ _id: req.params.id, ...tenantFilter(req), status: "draft" })
+
+    if (result.deletedCount === 0) {
+      const exists = await db
+        .collection(CAMPAIGNS_COLLECTION)
+        .countDocuments({ _id: req.params.id, ...tenantFilter(req) })
+      return exists
+        ? res.status(409).json({ error: "Only draft campaigns can be deleted, cancel it instead" })
+        : res.status(404).json({ error: "Campaign not found" })
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    logger.error("Error deleting campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Schedule a draft for its scheduledAt (or now, if it has none)
+app.post("/api/campaigns/:id/schedule", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: campaign.instagramAccountId })
+
+    if (!account || !canSendAs(account)) {
+      return res.status(409).json({ error: "Account needs re-authentication before campaigns can be sent" })
+    }
+
+    const runAt = campaign.scheduledAt && campaign.scheduledAt > new Date() ? campaign.scheduledAt : new Date()
+    const result = await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .updateOne(
+        { _id: campaign._id, status: "draft" },
+        { $set: { status: "scheduled", scheduledAt: runAt, updatedAt: new Date() } },
+      )
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ error: "Only draft campaigns can be scheduled" })
+    }
+
+    res.json(await scheduleCampaignBatch(db, campaign._id, runAt))
+  } catch (error) {
+    logger.error("Error scheduling campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/campaigns/:id/pause", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .findOneAndUpdate(
+        { _id: req.params.id, ...tenantFilter(req), status: { $in: ["scheduled", "running"] } },
+        { $set: { status: "paused", pausedReason: "manual", pausedAt: new Date(), updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+
+    if (!result.value) {
+      return res.status(409).json({ error: "Only scheduled or running campaigns can be paused" })
+    }
+
+    res.json(result.value)
+  } catch (error) {
+    logger.error("Error pausing campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Resume a paused campaign where it left off. One that never started goes back to waiting for scheduledAt.
+app.post("/api/campaigns/:id/resume", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    const account = await db.collection("instagramAccounts").findOne({ _id: campaign.instagramAccountId })
+
+    if (!account || !canSendAs(account)) {
+      return res.status(409).json({ error: "Account needs re-authentication before campaigns can be sent" })
+    }
+
+    const status = campaign.startedAt ? "running" : "scheduled"
+    const result = await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id, status: "paused" },
+      {
+        $set: { status, updatedAt: new Date() },
+        $unset: { pausedReason: "", pausedAt: "" },
+      },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ error: "Only paused campaigns can be resumed" })
+    }
+
+    const runAt = !campaign.startedAt && campaign.scheduledAt > new Date() ? campaign.scheduledAt : new Date()
+    res.json(await scheduleCampaignBatch(db, campaign._id, runAt))
+  } catch (error) {
+    logger.error("Error resuming campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Stop a campaign for good. Recipients that haven't been messaged yet are marked cancelled.
+app.post("/api/campaigns/:id/cancel", requireScope(API_KEY_SCOPES.AUTOMATIONS_WRITE), async (req, res) => {
+  try {
+    const result = await db
+      .collection(CAMPAIGNS_COLLECTION)
+      .findOneAndUpdate(
+        { _id: req.params.id, ...tenantFilter(req), status: { $in: ["draft", "scheduled", "running", "paused"] } },
+        { $set: { status: "cancelled", cancelledAt: new Date(), updatedAt: new Date() }, $unset: { nextBatchAt: "" } },
+        { returnDocument: "after" },
+      )
+
+    if (!result.value) {
+      return res.status(409).json({ error: "Campaign not found or already finished" })
+    }
+
+    const cancelled = await db
+      .collection(RECIPIENTS_COLLECTION)
+      .updateMany(
+        { campaignId: result.value._id, status: "pending" },
+        { $set: { status: "cancelled", completedAt: new Date() } },
+      )
+
+    if (cancelled.modifiedCount > 0) {
+      await db
+        .collection(CAMPAIGNS_COLLECTION)
+        .updateOne({ _id: result.value._id }, { $inc: { "stats.cancelled": cancelled.modifiedCount } })
+    }
+
+    res.json({ ...result.value, cancelledRecipients: cancelled.modifiedCount })
+  } catch (error) {
+    logger.error("Error cancelling campaign", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Per-recipient delivery status. Filter with ?status=, page with ?limit= and ?cursor=.
+app.get("/api/campaigns/:id/recipients", requireScope(API_KEY_SCOPES.ANALYTICS), async (req, res) => {
+  try {
+    if (req.query.status && !RECIPIENT_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${RECIPIENT_STATUSES.join(", ")}` })
+    }
+
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    const { limit } = getPageParams(req.query)
+    const filter = { campaignId: campaign._id }
+    if (req.query.status) filter.status = req.query.status
+    if (req.query.cursor) filter._id = { $gt: String(req.query.cursor) }
+
+    const recipients = await db.collection(RECIPIENTS_COLLECTION).find(filter).sort({ _id: 1 }).limit(limit).toArray()
+
+    res.json({
+      recipients,
+      nextCursor: recipients.length === limit ? recipients[recipients.length - 1]._id : null,
+    })
+  } catch (error) {
+    logger.error("Error listing campaign recipients", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Delivery report: outcome counts, skip and failure reasons, and replies received after the send
+app.get("/api/campaigns/:id/report", requireScope(API_KEY_SCOPES.ANALYTICS), async (req, res) => {
+  try {
+    const campaign = await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: req.params.id, ...tenantFilter(req) })
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    res.json(await getCampaignReport(db, campaign))
+  } catch (error) {
+    logger.error("Error building campaign report", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// API keys, optionally filtered by ?userId=. Hashes are never returned.
+app.get("/api/keys", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const filter = req.query.userId ? { userId: String(req.query.userId) } : {}
+    if (req.query.includeRevoked !== "true") filter.revokedAt = null
+
+    const keys = await db.collection(API_KEYS_COLLECTION).find(filter).sort({ createdAt: -1 }).toArray()
+
+    res.json({ keys: keys.map(describeApiKey) })
+  } catch (error) {
+    logger.error("Error listing API keys", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Create a key: { name, userId, scopes, expiresAt }. The key itself is only returned here and on rotation.
+app.post("/api/keys", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const errors = validateApiKey(req.body)
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid API key", details: errors })
+    }
+
+    const { apiKey, key } = await createApiKey(db, { ...req.body, createdBy: req.apiKey._id })
+
+    res.status(201).json({ ...describeApiKey(apiKey), key })
+  } catch (error) {
+    logger.error("Error creating API key", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Rotate the key making the request, e.g. from a customer's own integration. Body: { gracePeriodSeconds }
+app.post("/api/keys/current/rotate", authenticateRequest, async (req, res) => {
+  try {
+    if (req.apiKey._id === "master") {
+      return res.status(400).json({ error: "The master key is rotated through RENDER_SERVER_API_KEY" })
+    }
+
+    const { apiKey, key } = await rotateApiKey(db, req.apiKey, {
+      gracePeriodSeconds: req.body.gracePeriodSeconds,
+      createdBy: req.apiKey._id,
+    })
+
+    res.status(201).json({ ...describeApiKey(apiKey), key })
+  } catch (error) {
+    logger.error("Error rotating API key", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Issue a replacement key; the old one keeps working for gracePeriodSeconds (default one day)
+app.post("/api/keys/:id/rotate", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const existing = await db.collection(API_KEYS_COLLECTION).findOne({ _id: req.params.id, revokedAt: null })
+
+    if (!existing) {
+      return res.status(404).json({ error: "API key not found" })
+    }
+
+    const { apiKey, key } = await rotateApiKey(db, existing, {
+      gracePeriodSeconds: req.body.gracePeriodSeconds,
+      createdBy: req.apiKey._id,
+    })
+
+    res.status(201).json({ ...describeApiKey(apiKey), key })
+  } catch (error) {
+    logger.error("Error rotating API key", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Revoke a key immediately
+app.post("/api/keys/:id/revoke", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    const existing = await db.collection(API_KEYS_COLLECTION).findOne({ _id: req.params.id })
+
+    if (!existing) {
+      return res.status(404).json({ error: "API key not found" })
+    }
+
+    await revokeApiKey(db, existing, req.apiKey._id)
+
+    res.json(describeApiKey(await db.collection(API_KEYS_COLLECTION).findOne({ _id: existing._id })))
+  } catch (error) {
+    logger.error("Error revoking API key", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Scheduled jobs with their schedule, pause state and last run
+app.get("/api/admin/jobs", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    res.json({ jobs: await scheduler.list() })
+  } catch (error) {
+    logger.error("Error listing scheduled jobs", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Run history of one job, newest first
+app.get("/api/admin/jobs/:name/runs", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    const { limit } = getPageParams(req.query)
+    res.json({ runs: await scheduler.getRuns(req.params.name, limit) })
+  } catch (error) {
+    logger.error("Error listing job runs", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+// Run a job now and wait for it to finish
+app.post("/api/admin/jobs/:name/run", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    const run = await scheduler.trigger(req.params.name)
+
+    if (!run) {
+      return res.status(409).json({ error: `${req.params.name} is already running` })
+    }
+
+    res.json(run)
+  } catch (error) {
+    logger.error("Error running job", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/admin/jobs/:name/pause", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    await scheduler.setPaused(req.params.name, true)
+    res.json({ success: true, name: req.params.name, paused: true })
+  } catch (error) {
+    logger.error("Error pausing job", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
+app.post("/api/admin/jobs/:name/resume", requireScope(API_KEY_SCOPES.ADMIN), async (req, res) => {
+  try {
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    await scheduler.setPaused(req.params.name, false)
+    res.json({ success: true, name: req.params.name, paused: false })
+  } catch (error) {
+    logger.error("Error resuming job", { error })
+    res.status(500).json({ error: String(error) })
+  }
+})
+
 // Process pending messages
 async function processPendingMessages() {
   try {
@@ -204,25 +2289,29 @@ async function processPendingMessages() {
       .toArray()
 
     if (pendingMessages.length > 0) {
-      console.log(`Processing ${pendingMessages.length} pending messages`)
+      logger.info("Processing pending messages", { count: pendingMessages.length })
     }
 
     for (const message of pendingMessages) {
       try {
-        await processMessage({
-          sender: { id: message.senderId, username: message.senderUsername },
-          recipient: { id: message.recipientId || "unknown" },
-          message: { text: message.message },
-          timestamp: message.timestamp,
-        })
+        await withCorrelation(message.correlationId, () =>
+          processMessage({
+            incomingMessageId: message._id,
+            mid: message.mid,
+            sender: { id: message.senderId, username: message.senderUsername },
+            recipient: { id: message.recipientId || "unknown" },
+            message: { text: message.message },
+            timestamp: message.timestamp,
+          }),
+        )
       } catch (error) {
-        console.error(`Error processing pending message ${message._id}:`, error)
+        logger.error("Error processing pending message", { messageId: message._id, error })
       }
     }
 
     return pendingMessages.length
   } catch (error) {
-    console.error("Error processing pending messages:", error)
+    logger.error("Error processing pending messages", { error })
     return 0
   }
 }
@@ -238,85 +2327,91 @@ async function processPendingComments() {
       .toArray()
 
     if (pendingComments.length > 0) {
-      console.log(`Processing ${pendingComments.length} pending comments`)
+      logger.info("Processing pending comments", { count: pendingComments.length })
     }
 
     for (const comment of pendingComments) {
       try {
-        await processComment({
-          id: comment.commentId,
-          text: comment.text,
-          media_id: comment.mediaId,
-          from: {
-            id: comment.userId,
-            username: comment.username,
-          },
-        })
+        const result = await withCorrelation(comment.correlationId, () =>
+          processComment({
+            id: comment.commentId,
+            text: comment.text,
+            media_id: comment.mediaId,
+            from: {
+              id: comment.userId,
+              username: comment.username,
+            },
+          }),
+        )
+
+        // Rate-limited comments stay pending and are picked up again on a later pass
+        if (result?.deferred) {
+          continue
+        }
 
         await db
           .collection("pendingComments")
           .updateOne({ _id: comment._id }, { $set: { processed: true, processedAt: new Date() } })
       } catch (error) {
-        console.error(`Error processing pending comment ${comment._id}:`, error)
+        logger.error("Error processing pending comment", { commentId: comment._id, error })
       }
     }
 
     return pendingComments.length
   } catch (error) {
-    console.error("Error processing pending comments:", error)
+    logger.error("Error processing pending comments", { error })
     return 0
   }
 }
 
+// The userId owning the account an event is for, or null if it can't be told from what is stored
+async function findEventOwner(type, data) {
+  let account = null
+
+  if (type === "message" && data.recipient?.id) {
+    account = await storage.accounts.findByRecipientId(data.recipient.id)
+  } else if (type === "comment" && data.media_id) {
+    const post = await storage.posts.findByMediaId(data.media_id)
+    account = post && (await storage.accounts.findById(post.instagramAccountId))
+  } else if (type === "button_click" && data.automationId) {
+    account = await storage.automations.findById(data.automationId)
+  }
+
+  return account?.userId || null
+}
+
 // Process events from the main app
-app.post("/api/process-event", authenticateRequest, async (req, res) => {
+app.post("/api/process-event", requireScope(API_KEY_SCOPES.EVENTS_WRITE), async (req, res) => {
   try {
     const { type, data } = req.body
 
-    console.log(`Processing ${type} event:`, JSON.stringify(data))
+    if (!EVENT_TYPES.includes(type) || !data) {
+      return res.status(400).json({ error: `Unknown event type: ${type}` })
+    }
 
-    // Log the event
-    await db.collection("processedEvents").insertOne({
-      type,
-      data,
-      timestamp: new Date(),
-      processed: false,
-    })
+    // A key bound to a user may only submit events for that user's accounts
+    if (req.apiKey.userId && (await findEventOwner(type, data)) !== req.apiKey.userId) {
+      return res.status(403).json({ error: "Event doesn't belong to an account of this API key's user" })
+    }
 
-    let result
+    logger.info("Queueing event", { type, data })
 
-    // Process different event types
-    switch (type) {
-      case "comment":
-        result = await processComment(data)
-        break
-      case "button_click":
-        result = await processButtonClick(data)
-        break
-      case "message":
-        result = await processMessage(data)
-        break
-      default:
-        throw new Error(`Unknown event type: ${type}`)
-    }
+    const queued = await queueEvent(type, data, "api")
 
-    // Update the event as processed
-    await db
-      .collection("processedEvents")
-      .updateOne(
-        { type, "data.id": data.id || data.mid || data.sender?.id },
-        { $set: { processed: true, processedAt: new Date(), result } },
-      )
+    if (queued.duplicate) {
+      return res.status(200).json({ success: true, queued: false, duplicate: true, jobId: queued.jobId })
+    }
 
-    res.json({ success: true, result })
+    res.status(202).json({ success: true, queued: true, jobId: queued.jobId })
   } catch (error) {
-    console.error("Error processing event:", error)
+    logger.error("Error processing event", { error })
 
     // Log the error
     await db.collection("serverErrors").insertOne({
       error: String(error),
       stack: error.stack,
       request: req.body,
+      correlationId: getCorrelationId(),
       timestamp: new Date(),
     })
 
@@ -324,17 +2419,148 @@ app.post("/api/process-event", authenticateRequest, async (req, res) => {
   }
 })
 
+// Log an incoming event and put it on the job queue
+// Events already recorded under the same Instagram ID (see lib/idempotency.js) are dropped, not queued again.
+async function queueEvent(type, data, source) {
+  metrics.eventsReceived.inc({ type, source })
+  const { event, duplicate } = await storage.events.record(type, data, source)
+
+  if (duplicate) {
+    metrics.eventsDuplicate.inc({ type, source })
+    logger.info("Duplicate event, already queued", {
+      type,
+      eventKey: duplicate.eventKey,
+      jobId: duplicate.jobId,
+      // The ID the first delivery was processed under
+      originalCorrelationId: duplicate.correlationId,
+    })
+    return { duplicate: true, jobId: duplicate.jobId }
+  }
+
+  let job
+  try {
+    job = await enqueueJob(db, type, data)
+  } catch (error) {
+    await storage.events.forget(event)
+    throw error
+  }
+
+  await storage.events.attachJob(event, job)
+
+  return { jobId: job._id }
+}
+
+// Run a queued event once its processedEvents entry is claimed, and record the outcome there
+async function runQueuedEvent(data, job) {
+  const claim = await storage.events.claim(job)
+
+  if (claim.processed) {
+    return { success: true, message: `${job.type} event already processed`, duplicate: true }
+  }
+
+  if (claim.busy) {
+    return { success: false, message: `${job.type} event is being processed by another worker`, retryable: true }
+  }
+
+  let result
+  try {
+    result = await dispatchEvent(job.type, data)
+  } catch (error) {
+    if (claim.event) await storage.events.complete(claim.event, null, error)
+    throw error
+  }
+
+  if (claim.event) {
+    // A deferred event hasn't been handled yet: the job runs it again at deferUntil and must be able to claim it
+    if (result?.deferUntil) await storage.events.release(claim.event, result.deferUntil)
+    else await storage.events.complete(claim.event, result)
+  }
+
+  return result
+}
+
+// Route an event to its processor
+async function dispatchEvent(type, data) {
+  switch (type) {
+    case "comment":
+      return await processComment(data)
+    case "button_click":
+      return await processButtonClick(data)
+    case "message":
+      return await processMessage(data)
+    default:
+      throw new Error(`Unknown event type: ${type}`)
+  }
+}
+
+// Meta webhook verification handshake
+app.get("/webhook", (req, res) => {
+  const mode = req.query["hub.mode"]
+  const token = req.query["hub.verify_token"]
+  const challenge = req.query["hub.challenge"]
+
+  if (mode === "subscribe" && token && token === process.env.WEBHOOK_VERIFY_TOKEN) {
+    logger.info("Webhook verified")
+    return res.status(200).send(challenge)
+  }
+
+  logger.info("Webhook verification failed")
+  res.status(403).json({ error: "Forbidden" })
+})
+
+// Meta webhook receiver
+app.post("/webhook", async (req, res) => {
+  const appSecret = process.env.INSTAGRAM_APP_SECRET || process.env.META_APP_SECRET
+
+  if (!verifySignature(req.rawBody, req.headers["x-hub-signature-256"], appSecret)) {
+    logger.info("Invalid webhook signature, rejecting delivery")
+    return res.status(401).json({ error: "Invalid signature" })
+  }
+
+  const events = translateWebhookPayload(req.body)
+
+  logger.info("Received webhook", { events: events.length })
+
+  try {
+    // A delivery can batch events for several people; each gets its own ID, derived from the delivery's
+    const requestId = getCorrelationId()
+    for (const [index, { type, data }] of events.entries()) {
+      await withCorrelation(`${requestId}.${index + 1}`, () => queueEvent(type, data, "webhook"))
+    }
+
+    res.status(200).send("EVENT_RECEIVED")
+  } catch (error) {
+    logger.error("Error queueing webhook events", { error })
+
+    await db.collection("serverErrors").insertOne({
+      error: String(error),
+      stack: error.stack,
+      request: { body: req.body, source: "webhook" },
+      correlationId: getCorrelationId(),
+      timestamp: new Date(),
+    })
+
+    // A non-2xx response makes Meta redeliver the webhook
+    res.status(500).json({ error: "Failed to queue events" })
+  }
+})
+
 // Process a comment
 async function processComment(comment) {
   try {
-    console.log(`Processing comment: ${comment.id} on media ${comment.media_id} from ${comment.from?.username}`)
+    logger.info("Processing comment", {
+      commentId: comment.id,
+      mediaId: comment.media_id,
+      senderId: comment.from?.id,
+      username: comment.from?.username,
+    })
 
     // Skip processing if the comment is from our own automation accounts
-    const automationAccounts = await db.collection("instagramAccounts").find({}).toArray()
+    const automationAccounts = await storage.accounts.list()
     const automationUsernames = automationAccounts.map((acc) => acc.username.toLowerCase())
 
     if (automationUsernames.includes(comment.from?.username?.toLowerCase())) {
-      console.log(`Skipping comment from automation account: ${comment.from?.username}`)
+      logger.info("Skipping comment from automation account", { commentId: comment.id })
       return {
         success: true,
         message: `Skipped comment from automation account: ${comment.from?.username}`,
@@ -343,13 +2569,8 @@ async function processComment(comment) {
     }
 
     // Check if this exact comment has already been processed
-    const existingComment = await db.collection("comments").findOne({
-      commentId: comment.id,
-      processed: true,
-    })
-
-    if (existingComment) {
-      console.log(`Comment ${comment.id} already processed, skipping`)
+    if (await storage.comments.isProcessed(comment.id)) {
+      logger.info("Comment already processed, skipping", { commentId: comment.id })
       return {
         success: true,
         message: `Comment ${comment.id} already processed`,
@@ -365,9 +2586,7 @@ async function processComment(comment) {
     }
 
     // Find the Instagram account for this post
-    const instagramAccount = await db.collection("instagramAccounts").findOne({
-      _id: post.instagramAccountId,
-    })
+    const instagramAccount = await storage.accounts.findById(post.instagramAccountId)
 
     if (!instagramAccount) {
       throw new Error(`Instagram account ${post.instagramAccountId} not found`)
@@ -376,7 +2595,7 @@ async function processComment(comment) {
     // Process the comment with automations
     return await processCommentWithAutomations(comment, post, instagramAccount)
   } catch (error) {
-    console.error("Error processing comment:", error)
+    logger.error("Error processing comment", { error })
     throw error
   }
 }
@@ -385,21 +2604,18 @@ async function processComment(comment) {
 async function processCommentWithAutomations(comment, post, instagramAccount) {
   try {
     // Store the comment in the database if it doesn't exist
-    const existingComment = await db.collection("comments").findOne({ commentId: comment.id })
+    const existingComment = await storage.comments.insertIfMissing(comment.id, {
+      _id: new ObjectId().toString(),
+      mediaId: comment.media_id,
+      postId: post._id,
+      text: comment.text || "",
+      username: comment.from?.username || "unknown",
+      userId: comment.from?.id || "unknown",
+      createdAt: new Date(),
+      processed: false,
+    })
 
-    if (!existingComment) {
-      await db.collection("comments").insertOne({
-        _id: new ObjectId().toString(),
-        commentId: comment.id,
-        mediaId: comment.media_id,
-        postId: post._id,
-        text: comment.text || "",
-        username: comment.from?.username || "unknown",
-        userId: comment.from?.id || "unknown",
-        createdAt: new Date(),
-        processed: false,
-      })
-    } else if (existingComment.processed) {
+    if (existingComment?.processed) {
       return {
         success: true,
         message: `Comment ${comment.id} already processed`,
@@ -408,17 +2624,10 @@ async function processCommentWithAutomations(comment, post, instagramAccount) {
     }
 
     // Find automations for this post
-    const automations = await db
-      .collection("automations")
-      .find({
-        $or: [{ postId: post._id }, { postId: { $exists: false } }, { postId: null }],
-        instagramAccountId: instagramAccount._id,
-        active: true,
-      })
-      .toArray()
+    const automations = await storage.automations.findActiveForPost(instagramAccount._id, post._id)
 
     if (automations.length === 0) {
-      console.log(`No active automations found for post ${post._id}`)
+      logger.info("No active automations found for post", { postId: post._id })
       return {
         success: true,
         message: `No active automations found for post ${post._id}`,
@@ -426,176 +2635,302 @@ async function processCommentWithAutomations(comment, post, instagramAccount) {
       }
     }
 
-    console.log(`Found ${automations.length} automations for post ${post._id}`)
+    logger.info("Found automations for post", { postId: post._id, count: automations.length })
+
+    const commenter = await storage.contacts.findBySender(instagramAccount._id, comment.from?.id)
+
+    if (commenter?.automationsPaused) {
+      logger.info("Automations paused for contact, not responding to comment", {
+        contactId: commenter._id,
+        commentId: comment.id,
+      })
+      await storage.comments.markProcessed(comment.id)
+
+      return {
+        success: true,
+        message: `Automations paused for ${commenter.username}`,
+        processed: false,
+      }
+    }
 
     let messagesSent = 0
     let automationProcessed = false
+    let retryable = false
 
     // Process each automation (but only send ONE message per user)
     for (const automation of automations) {
-      // Check if the comment contains the trigger keyword
-      const triggerMatched =
-        automation.triggerKeyword === "any" ||
-        (comment.text && comment.text.toLowerCase().includes(automation.triggerKeyword.toLowerCase()))
+      // Check if the comment matches the automation trigger
+      const trigger = matchTrigger(automation, comment.text)
+      await recordTriggerLog(db, {
+        automation,
+        account: instagramAccount,
+        source: "comment",
+        sourceId: comment.id,
+        postId: post._id,
+        recipientId: comment.from?.id,
+        result: trigger,
+      })
 
-      if (!triggerMatched) {
-        console.log(`Trigger "${automation.triggerKeyword}" not matched in comment: ${comment.text}`)
+      if (!trigger.matched) {
+        logger.info("Trigger not matched in comment", {
+          automationId: automation._id,
+          trigger: describeTrigger(automation),
+          reason: trigger.reason,
+          commentId: comment.id,
+          text: comment.text,
+        })
         continue
       }
 
-      console.log(`Trigger "${automation.triggerKeyword}" matched in comment from ${comment.from?.username}`)
-
-      // Check if we've already sent ANY DM to this user for ANY automation on this comment
-      const existingDM = await db.collection("directMessages").findOne({
-        recipientUsername: comment.from?.username,
+      metrics.automationsMatched.inc({ account: instagramAccount._id, source: "comment" })
+      logger.info("Trigger matched in comment", {
+        automationId: automation._id,
+        trigger: describeTrigger(automation),
         commentId: comment.id,
       })
-
-      if (existingDM) {
-        console.log(`Already sent a DM to ${comment.from?.username} for this comment, skipping all automations`)
-        break
-      }
-
-      // Check rate limiting
-      const now = new Date()
-      const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000)
-
-      const recentDMs = await db.collection("directMessages").countDocuments({
+      publish(STREAM_EVENTS.AUTOMATION_TRIGGERED, accountScope(instagramAccount), {
         automationId: automation._id,
-        sentAt: { $gte: oneHourAgo },
-        status: "sent",
+        source: "comment",
+        commentId: comment.id,
+        postId: post._id,
+        username: comment.from?.username,
+        keyword: trigger.keyword,
       })
 
-      if (recentDMs >= (automation.rateLimit || 10)) {
-        console.log(`Rate limit reached for automation ${automation._id}`)
-        continue
-      }
+      // Check if we've already sent ANY DM to this user for ANY automation on this comment
+      const existingDM = await storage.directMessages.findForComment(comment.from?.username, comment.id)
 
-      // Validate token before using
-      if (
-        !instagramAccount.accessToken ||
-        instagramAccount.accessToken.includes("undefined") ||
-        instagramAccount.accessToken.includes("null")
-      ) {
-        console.log(`Invalid token format for account ${instagramAccount.username}, skipping automation`)
-        continue
+      if (existingDM) {
+        logger.info("Already sent a DM for this comment, skipping all automations", { commentId: comment.id })
+        break
       }
 
       // Get a valid token for this account
-      const validToken = instagramAccount.pageAccessToken || instagramAccount.accessToken
+      const validToken = getAccountToken(instagramAccount)
 
-      if (!validToken) {
-        console.error(`No valid token available for account ${instagramAccount.username}`)
+      if (!canSendAs(instagramAccount)) {
+        logger.warn("No usable token for account, skipping automation", {
+          instagramAccountId: instagramAccount._id,
+          automationId: automation._id,
+        })
         continue
       }
 
+      const templateContext = buildTemplateContext({
+        comment,
+        post,
+        account: instagramAccount,
+        automation,
+      })
+
       // Reply to the comment if enabled (only once per comment)
       if (automation.replyToComments && !automationProcessed) {
         try {
-          const existingReply = await db.collection("commentReplies").findOne({
-            commentId: comment.id,
-          })
+          const existingReply = await storage.comments.findReply(comment.id)
 
           if (!existingReply) {
-            await replyToComment(validToken, comment.id, automation.commentReply || "Thanks! Please check your DMs.")
+            const replyText = renderTemplate(
+              automation.commentReply || "Thanks! Please check your DMs.",
+              templateContext,
+            )
 
-            console.log(`Replied to comment ${comment.id}`)
+            await replyToComment(validToken, comment.id, replyText)
 
-            await db.collection("commentReplies").insertOne({
+            logger.info("Replied to comment", { commentId: comment.id, automationId: automation._id })
+
+            const commentReply = {
               _id: new ObjectId().toString(),
               automationId: automation._id,
+              userId: instagramAccount.userId,
+              instagramAccountId: instagramAccount._id,
+              postId: post._id,
               commentId: comment.id,
               username: comment.from?.username || "unknown",
-              reply: automation.commentReply || "Thanks! Please check your DMs.",
+              reply: replyText,
               status: "sent",
               sentAt: new Date(),
-            })
+            }
+            await storage.comments.insertReply(commentReply)
+            metrics.commentReplies.inc({ account: instagramAccount._id, status: "sent" })
+            publish(STREAM_EVENTS.COMMENT_REPLIED, commentReply, commentReply)
           }
         } catch (error) {
-          console.error(`Error replying to comment ${comment.id}:`, error)
+          metrics.commentReplies.inc({ account: instagramAccount._id, status: "failed" })
+          logger.error("Error replying to comment", { commentId: comment.id, automationId: automation._id, error })
+          await handleTokenError(db, instagramAccount, error)
         }
       }
 
-      // Send the DM
-      try {
-        let messageResult
-
-        // Send direct message
-        let fullMessage = automation.message || "Thank you for your comment!"
+      // Automations with a flow hand the commenter over to the flow engine
+      if (automation.flow) {
+        try {
+          const contact = await findOrCreateContact(instagramAccount, comment.from)
 
-        if (automation.addBranding !== false) {
-          fullMessage += `\n\n${automation.brandingMessage || "⚡ Sent via ChatAutoDM — grow your DMs on autopilot"}`
+          if (isInFlow(contact)) {
+            logger.info("Commenter is already in a flow, not starting another", { commentId: comment.id })
+          } else {
+            await applyAutomationToContact(contact, automation, { postId: post._id, source: "comment" })
+            const flowResult = await startFlow(
+              createFlowContext(instagramAccount, automation, contact, {
+                comment,
+                post,
+                input: { text: comment.text || "" },
+              }),
+            )
+            messagesSent += flowResult.messagesSent
+            automationProcessed = true
+          }
+        } catch (error) {
+          logger.error("Error starting flow", { commentId: comment.id, automationId: automation._id, error })
         }
 
-        const response = await fetch(`https://graph.instagram.com/v18.0/${instagramAccount.instagramId}/messages`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${validToken}`,
+        break // Only one automation per user
+      }
+
+      // Comments get a private reply unless the commenter has also messaged us in the last 24 hours
+      const sendMode = await resolveSendMode(instagramAccount, commenter, {
+        comment: { ...comment, createdAt: existingComment?.createdAt },
+      })
+
+      if (!sendMode.allowed) {
+        await recordSkippedSend(
+          {
+            automationId: automation._id,
+            userId: instagramAccount.userId,
+            instagramAccountId: instagramAccount._id,
+            recipientUsername: comment.from?.username || "unknown",
+            recipientId: comment.from?.id,
+            commentId: comment.id,
+            postId: post._id,
+            message: automation.message,
           },
-          body: JSON.stringify({
-            recipient: { id: comment.from.id },
-            message: { text: fullMessage },
-          }),
-        })
+          sendMode.reason,
+        )
+        break
+      }
 
-        if (!response.ok) {
-          const errorData = await response.json()
-          throw new Error(`Failed to send direct message: ${JSON.stringify(errorData)}`)
+      // Reserve sending capacity. Over the limit the comment is left unprocessed and retried later.
+      let reservedBuckets
+      try {
+        reservedBuckets = await reserveSendCapacity(instagramAccount, automation)
+      } catch (error) {
+        if (!(error instanceof RateLimitError)) throw error
+
+        logger.info("Deferring comment", { commentId: comment.id, reason: error.message })
+        return {
+          success: true,
+          message: error.message,
+          processed: false,
+          deferred: true,
+          deferUntil: error.deferUntil,
+          messagesSent,
         }
+      }
+
+      // Send the DM
+      try {
+        let messageResult
+
+        // Send direct message
+        const fullMessage = renderAutomationMessage(automation, templateContext, "Thank you for your comment!")
+
+        await sendMessages(
+          validToken,
+          instagramAccount.instagramId,
+          sendMode.mode,
+          { recipientId: comment.from.id, commentId: comment.id },
+          buildMessages(automation, fullMessage),
+        )
 
-        await db.collection("directMessages").insertOne({
+        await recordDirectMessage({
           _id: new ObjectId().toString(),
           automationId: automation._id,
+          userId: instagramAccount.userId,
+          instagramAccountId: instagramAccount._id,
           recipientUsername: comment.from?.username || "unknown",
           recipientId: comment.from.id,
           commentId: comment.id,
+          postId: post._id,
           message: fullMessage,
+          messageType: automation.richMessage?.type || "text",
           type: "direct",
+          sendMode: sendMode.mode,
           status: "sent",
           sentAt: new Date(),
         })
 
-        messageResult = { success: true, method: "direct_message" }
+        messageResult = { success: true, method: sendMode.mode }
+
+        // Commenters we've messaged become contacts, so they can be tagged and segmented
+        const contact = commenter || (await findOrCreateContact(instagramAccount, comment.from))
+        await applyAutomationToContact(contact, automation, { postId: post._id, source: "comment" })
 
         messagesSent++
         automationProcessed = true
 
         // Update automation stats
-        await db.collection("automations").updateOne(
-          { _id: automation._id },
-          {
-            $inc: { totalDMsSent: 1 },
-            $set: { lastTriggered: new Date() },
-          },
-        )
+        await storage.automations.recordSend(automation._id)
 
-        console.log(
-          `Sent message to ${comment.from?.username} via ${messageResult.method} for automation ${automation._id}`,
-        )
+        logger.info("Sent message for comment", {
+          commentId: comment.id,
+          automationId: automation._id,
+          method: messageResult.method,
+        })
 
         break // Only send one message per user
       } catch (error) {
-        console.error(`Error sending message to ${comment.from?.username}:`, error)
+        logger.error("Error sending message for comment", {
+          commentId: comment.id,
+          automationId: automation._id,
+          error,
+        })
+
+        await release(db, reservedBuckets)
 
-        await db.collection("directMessages").insertOne({
+        await recordDirectMessage({
           _id: new ObjectId().toString(),
           automationId: automation._id,
+          userId: instagramAccount.userId,
+          instagramAccountId: instagramAccount._id,
           recipientUsername: comment.from?.username || "unknown",
           recipientId: comment.from.id,
           commentId: comment.id,
+          postId: post._id,
           message: automation.message,
+          sendMode: sendMode.mode,
           status: "failed",
-          error: String(error),
+          ...describeSendError(error),
           sentAt: new Date(),
         })
+
+        await handleTokenError(db, instagramAccount, error)
+
+        // A transient failure leaves the comment unprocessed for the job's next attempt
+        if (isRetryableSendError(error)) {
+          retryable = true
+          break
+        }
+
+        // Other automations would fail the same way for this account or recipient
+        if (error.category === ERROR_CATEGORIES.TOKEN_EXPIRED || error.category === ERROR_CATEGORIES.USER_BLOCKED) {
+          logger.info("Stopping automations for comment", { commentId: comment.id, category: error.category })
+          break
+        }
+      }
+    }
+
+    if (retryable) {
+      return {
+        success: false,
+        message: `Sending the DM for comment ${comment.id} failed, will retry`,
+        processed: false,
+        messagesSent,
+        retryable: true,
       }
     }
 
     // Mark the comment as processed
-    await db
-      .collection("comments")
-      .updateMany({ commentId: comment.id }, { $set: { processed: true, processedAt: new Date() } })
+    await storage.comments.markProcessed(comment.id)
 
     return {
       success: true,
@@ -604,24 +2939,65 @@ async function processCommentWithAutomations(comment, post, instagramAccount) {
       messagesSent,
     }
   } catch (error) {
-    console.error("Error processing comment with automations:", error)
+    logger.error("Error processing comment with automations", { error })
     return {
       success: false,
       message: `Error: ${error.message}`,
       processed: false,
+      retryable: !error.category || isRetryableSendError(error),
     }
   }
 }
 
-// Process a message
+// Atomically take an incoming message for processing. The incomingMessages row is keyed on the Instagram mid,
+// so a redelivered message finds the row of its first delivery; the pending sweep passes the row it found.
+// Returns null if the message was processed already or another worker holds it; someone sending the same
+// text twice has two mids and is processed twice.
+async function claimIncomingMessage(instagramAccount, messageData) {
+  const { sender, recipient, message, timestamp } = messageData
+  const mid = messageData.mid || message?.mid || null
+  const now = new Date()
+
+  let key = { _id: messageData.incomingMessageId || new ObjectId().toString() }
+  if (!messageData.incomingMessageId && mid) {
+    key = { instagramAccountId: instagramAccount._id, mid }
+  }
+
+  const fields = {
+    ...(key._id ? {} : { _id: new ObjectId().toString() }),
+    instagramAccountId: instagramAccount._id,
+    mid,
+    senderId: sender.id,
+    senderUsername: sender.username || "unknown",
+    recipientId: recipient.id,
+    message: message?.text || "",
+    timestamp: new Date(timestamp || Date.now()),
+  }
+
+  return storage.messages.claimIncoming(key, fields, new Date(now.getTime() + CLAIM_LEASE_MS))
+}
+
+async function markIncomingMessageProcessed(messageId) {
+  await storage.messages.markIncomingProcessed(messageId)
+}
+
+// Process a message. Transient failures return retryable: true with the incoming message released, so the job's
+// next attempt can claim it again.
 async function processMessage(messageData) {
+  let messageId = null
+
   try {
     const { sender, recipient, message, timestamp } = messageData
 
-    console.log(`Processing message from ${sender.id} to ${recipient.id}: "${message?.text || "No text"}"`)
+    logger.info("Processing message", {
+      senderId: sender.id,
+      recipientId: recipient.id,
+      mid: messageData.mid || message?.mid,
+      text: message?.text,
+    })
 
     if (messageData.message?.is_echo) {
-      console.log("Skipping echo message (sent by automation)")
+      logger.info("Skipping echo message (sent by automation)")
       return {
         success: true,
         message: "Skipped echo message",
@@ -630,34 +3006,25 @@ async function processMessage(messageData) {
     }
 
     // Find the Instagram account by recipient ID
-    let instagramAccount = await db.collection("instagramAccounts").findOne({
-      instagramId: recipient.id,
-    })
+    const instagramAccount = await storage.accounts.findByRecipientId(recipient.id)
 
     if (!instagramAccount) {
-      instagramAccount = await db.collection("instagramAccounts").findOne({
-        pageId: recipient.id,
-      })
-    }
-
-    if (!instagramAccount) {
-      console.log(`No Instagram account found for recipient ID: ${recipient.id}`)
+      logger.warn("No Instagram account found for recipient", { recipientId: recipient.id })
       return {
         success: false,
         message: `Instagram account with ID ${recipient.id} not found`,
       }
     }
 
-    console.log(`Found Instagram account: ${instagramAccount.username} for recipient ID: ${recipient.id}`)
-
-    const existingMessage = await db.collection("incomingMessages").findOne({
-      senderId: sender.id,
-      message: message?.text || "",
-      processed: true,
+    logger.debug("Found Instagram account for recipient", {
+      instagramAccountId: instagramAccount._id,
+      recipientId: recipient.id,
     })
 
-    if (existingMessage) {
-      console.log("Message already processed, skipping")
+    const incomingMessage = await claimIncomingMessage(instagramAccount, messageData)
+
+    if (!incomingMessage) {
+      logger.info("Message already processed or in progress, skipping", { mid: messageData.mid || message?.mid })
       return {
         success: true,
         message: "Message already processed",
@@ -665,42 +3032,24 @@ async function processMessage(messageData) {
       }
     }
 
-    const messageId = new ObjectId().toString()
-    await db.collection("incomingMessages").insertOne({
-      _id: messageId,
-      instagramAccountId: instagramAccount._id,
-      senderId: sender.id,
-      senderUsername: sender.username || "unknown",
-      message: message?.text || "",
-      timestamp: new Date(timestamp || Date.now()),
-      processed: false,
-    })
+    messageId = incomingMessage._id
+
+    // Opens (or extends) the 24-hour window in which we may reply
+    const receivedAt = new Date(timestamp || Date.now())
 
     // Find or create contact
-    let contact = await db.collection("contacts").findOne({
-      instagramAccountId: instagramAccount._id,
-      senderId: sender.id,
-    })
+    let contact = await storage.contacts.findBySender(instagramAccount._id, sender.id)
 
     if (!contact) {
       let username = sender.username || "unknown"
       try {
-        const token = instagramAccount.pageAccessToken || instagramAccount.accessToken
-        if (token && !token.includes("undefined") && !token.includes("null")) {
-          const userResponse = await fetch(
-            `https://graph.instagram.com/v18.0/${sender.id}?fields=username&access_token=${token}`,
-            {
-              cache: "no-store",
-              timeout: 5000,
-            },
-          )
-          if (userResponse.ok) {
-            const userData = await userResponse.json()
-            username = userData.username || sender.username || "unknown"
-          }
+        const token = getAccountToken(instagramAccount)
+        if (isUsableToken(token)) {
+          const userData = await getUserProfile(token, sender.id, "username", { timeoutMs: 5000, retries: 0 })
+          username = userData.username || sender.username || "unknown"
         }
       } catch (error) {
-        console.error("Error getting username:", error)
+        logger.error("Error getting username", { error })
       }
 
       const newContact = {
@@ -712,30 +3061,31 @@ async function processMessage(messageData) {
         displayName: username,
         lastMessage: message?.text || "",
         lastMessageTime: new Date(),
+        lastInboundAt: receivedAt,
         unread: true,
         createdAt: new Date(),
         updatedAt: new Date(),
       }
 
-      await db.collection("contacts").insertOne(newContact)
+      await storage.contacts.insert(newContact)
+      publish(STREAM_EVENTS.CONTACT_CREATED, newContact, newContact)
       contact = newContact
-      console.log(`Created new contact: ${username} for sender ID: ${sender.id}`)
+      logger.info("Created new contact", { contactId: contact._id, senderId: sender.id, username })
     } else {
-      await db.collection("contacts").updateOne(
-        { _id: contact._id },
-        {
-          $set: {
-            lastMessage: message?.text || "",
-            lastMessageTime: new Date(),
-            unread: true,
-            updatedAt: new Date(),
-          },
+      await storage.contacts.update(contact._id, {
+        $set: {
+          lastMessage: message?.text || "",
+          lastMessageTime: new Date(),
+          lastInboundAt: receivedAt,
+          unread: true,
+          updatedAt: new Date(),
         },
-      )
-      console.log(`Updated existing contact: ${contact.username} with new message`)
+      })
+      contact.lastInboundAt = receivedAt
+      logger.debug("Updated existing contact with new message", { contactId: contact._id })
     }
 
-    await db.collection("messages").insertOne({
+    const inboxMessage = {
       _id: messageId,
       contactId: contact._id,
       instagramAccountId: instagramAccount._id,
@@ -743,172 +3093,129 @@ async function processMessage(messageData) {
       message: message?.text || "",
       timestamp: new Date(),
       read: false,
+    }
+    // Already there if an earlier attempt at this message got this far
+    await storage.messages.insertOnce(inboxMessage)
+    publish(STREAM_EVENTS.MESSAGE_RECEIVED, accountScope(instagramAccount), {
+      ...inboxMessage,
+      username: contact.username,
     })
 
+    // A human has taken this conversation over; the message just lands in the inbox
+    if (contact.automationsPaused) {
+      await markIncomingMessageProcessed(messageId)
+
+      return {
+        success: true,
+        message: `Automations paused for ${contact.username}`,
+        messagesSent: 0,
+        contactId: contact._id,
+      }
+    }
+
+    // A reply from a contact waiting in a flow advances the flow instead of re-triggering automations
+    if (contact.flowState?.status === "waiting") {
+      const flowAutomation = await storage.automations.findActiveById(contact.flowState.automationId)
+
+      if (flowAutomation?.flow) {
+        // Quick replies wrapped for an automation arrive as button clicks; any other quick reply payload is
+        // passed on as is, so branches can match it
+        const flowResult = await handleFlowInput(createFlowContext(instagramAccount, flowAutomation, contact), {
+          text: message?.text || "",
+          payload: message?.quick_reply?.payload,
+        })
+
+        await markIncomingMessageProcessed(messageId)
+
+        return {
+          success: true,
+          message: `Advanced flow for ${sender.id}`,
+          messagesSent: flowResult.messagesSent || 0,
+          contactId: contact._id,
+          flow: flowResult,
+        }
+      }
+    }
+
     // Check for message automations
-    const automations = await db
-      .collection("automations")
-      .find({
-        instagramAccountId: instagramAccount._id,
-        type: "message",
-        active: true,
-      })
-      .toArray()
+    const automations = await storage.automations.findActiveMessageAutomations(instagramAccount._id)
 
-    console.log(`Found ${automations.length} active message automations for account ${instagramAccount.username}`)
+    logger.info("Found active message automations", {
+      instagramAccountId: instagramAccount._id,
+      count: automations.length,
+    })
 
     let messagesSent = 0
+    let retryable = false
 
     for (const automation of automations) {
       try {
-        const triggerMatched =
-          automation.triggerKeyword === "any" ||
-          (message?.text && message.text.toLowerCase().includes(automation.triggerKeyword.toLowerCase()))
-
-        if (triggerMatched) {
-          console.log(`Trigger "${automation.triggerKeyword}" matched in message from ${sender.id}`)
-
-          const existingResponse = await db.collection("directMessages").findOne({
+        if (isInFlow(contact, automation._id)) {
+          logger.info("Sender is already in the flow, not re-triggering", {
+            senderId: sender.id,
             automationId: automation._id,
-            recipientId: sender.id,
-            status: "sent",
-            sentAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
           })
+          continue
+        }
 
-          if (existingResponse) {
-            console.log(`Already sent a response to ${sender.id} for automation ${automation._id} in the last 24 hours`)
-            continue
-          }
-
-          const now = new Date()
-          const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000)
+        const trigger = matchTrigger(automation, message?.text)
+        await recordTriggerLog(db, {
+          automation,
+          account: instagramAccount,
+          source: "message",
+          sourceId: messageId,
+          recipientId: sender.id,
+          result: trigger,
+        })
 
-          const recentDMs = await db.collection("directMessages").countDocuments({
+        if (trigger.matched) {
+          metrics.automationsMatched.inc({ account: instagramAccount._id, source: "message" })
+          logger.info("Trigger matched in message", {
             automationId: automation._id,
-            sentAt: { $gte: oneHourAgo },
-            status: "sent",
+            trigger: describeTrigger(automation),
+            senderId: sender.id,
+          })
+          publish(STREAM_EVENTS.AUTOMATION_TRIGGERED, accountScope(instagramAccount), {
+            automationId: automation._id,
+            source: "message",
+            contactId: contact._id,
+            username: contact.username,
+            keyword: trigger.keyword,
           })
 
-          if (recentDMs >= (automation.rateLimit || 10)) {
-            console.log(`Rate limit reached for automation ${automation._id}`)
-            continue
-          }
-
-          if (
-            !instagramAccount.accessToken ||
-            instagramAccount.accessToken.includes("undefined") ||
-            instagramAccount.accessToken.includes("null")
-          ) {
-            console.log(`Invalid token format for account ${instagramAccount.username}, skipping automation`)
-            continue
-          }
-
-          let responseMessage = automation.message || "Thank you for your message!"
-
-          if (automation.addBranding !== false) {
-            responseMessage += `\n\n${automation.brandingMessage || "⚡ Sent via ChatAutoDM — grow your DMs on autopilot"}`
-          }
-
-          let success = false
-          let error = null
-
-          for (let attempt = 1; attempt <= 3; attempt++) {
-            try {
-              const token = instagramAccount.pageAccessToken || instagramAccount.accessToken
-              const dmResponse = await fetch(
-                `https://graph.instagram.com/v18.0/${instagramAccount.instagramId}/messages`,
-                {
-                  method: "POST",
-                  headers: {
-                    "Content-Type": "application/json",
-                    Authorization: `Bearer ${token}`,
-                  },
-                  body: JSON.stringify({
-                    recipient: { id: sender.id },
-                    message: { text: responseMessage },
-                  }),
-                  cache: "no-store",
-                },
-              )
-
-              if (!dmResponse.ok) {
-                const errorData = await dmResponse.json()
-                throw new Error(`Failed to send direct message: ${JSON.stringify(errorData)}`)
-              }
-
-              success = true
-              break
-            } catch (sendError) {
-              console.error(`Attempt ${attempt} - Error sending automated response to ${sender.id}:`, sendError)
-              error = sendError
-
-              if (attempt < 3) {
-                await new Promise((resolve) => setTimeout(resolve, attempt * 1000))
-              }
-            }
-          }
-
-          if (success) {
-            const autoMessageId = new ObjectId().toString()
-            await db.collection("directMessages").insertOne({
-              _id: autoMessageId,
-              automationId: automation._id,
-              userId: instagramAccount.userId,
-              instagramAccountId: instagramAccount._id,
-              recipientUsername: contact.username,
-              recipientId: sender.id,
-              message: responseMessage,
-              status: "sent",
-              sentAt: new Date(),
-              isAutomated: true,
-            })
-
-            await db.collection("messages").insertOne({
-              _id: autoMessageId,
-              contactId: contact._id,
-              instagramAccountId: instagramAccount._id,
-              fromMe: true,
-              message: responseMessage,
-              timestamp: new Date(),
-              isAutomated: true,
-            })
-
-            await db.collection("automations").updateOne(
-              { _id: automation._id },
-              {
-                $inc: { totalDMsSent: 1 },
-                $set: { lastTriggered: new Date() },
-              },
-            )
+          const outcome = await runMessageAutomation(instagramAccount, automation, contact, message)
+          messagesSent += outcome.messagesSent
+          retryable = retryable || Boolean(outcome.retryable)
 
-            messagesSent++
-            console.log(`Successfully sent automated response to ${contact.username}`)
-          } else {
-            await db.collection("directMessages").insertOne({
-              _id: new ObjectId().toString(),
-              automationId: automation._id,
-              userId: instagramAccount.userId,
-              instagramAccountId: instagramAccount._id,
-              recipientUsername: contact.username,
-              recipientId: sender.id,
-              message: responseMessage,
-              status: "failed",
-              error: String(error),
-              sentAt: new Date(),
-              isAutomated: true,
-            })
+          if (outcome.stop) {
+            break
           }
         } else {
-          console.log(`Trigger "${automation.triggerKeyword}" not matched in message: ${message?.text || "No text"}`)
+          logger.info("Trigger not matched in message", {
+            automationId: automation._id,
+            trigger: describeTrigger(automation),
+            reason: trigger.reason,
+            text: message?.text,
+          })
         }
       } catch (automationError) {
-        console.error(`Error processing automation ${automation._id}:`, automationError)
+        logger.error("Error processing automation", { automationId: automation._id, error: automationError })
       }
     }
 
-    await db
-      .collection("incomingMessages")
-      .updateMany({ senderId: sender.id, processed: false }, { $set: { processed: true, processedAt: new Date() } })
+    // Automations that already responded find their directMessages row on the retry and don't send again
+    if (retryable) {
+      await storage.messages.releaseIncoming(messageId)
+      return {
+        success: false,
+        message: `Sending to ${sender.id} failed, will retry`,
+        messagesSent,
+        contactId: contact._id,
+        retryable: true,
+      }
+    }
+
+    await markIncomingMessageProcessed(messageId)
 
     return {
       success: true,
@@ -917,13 +3224,208 @@ async function processMessage(messageData) {
       contactId: contact._id,
     }
   } catch (error) {
-    console.error("Error processing message:", error)
+    logger.error("Error processing message", { error })
+    if (messageId) await storage.messages.releaseIncoming(messageId)
     return {
       success: false,
       message: `Error: ${error.message}`,
       error: String(error),
+      retryable: !error.category || isRetryableSendError(error),
+    }
+  }
+}
+
+// Respond to a message for one matched automation. Over the rate limit the response is queued for later.
+async function runMessageAutomation(instagramAccount, automation, contact, message) {
+  if (contact.automationsPaused) {
+    logger.info("Automations paused for contact, not responding", { contactId: contact._id })
+    return { messagesSent: 0, stop: true }
+  }
+
+  const existingResponse = await storage.directMessages.findSentSince(
+    automation._id,
+    contact.senderId,
+    new Date(Date.now() - 24 * 60 * 60 * 1000),
+  )
+
+  if (existingResponse) {
+    logger.info("Already sent a response in the last 24 hours", {
+      senderId: contact.senderId,
+      automationId: automation._id,
+    })
+    return { messagesSent: 0 }
+  }
+
+  if (!canSendAs(instagramAccount)) {
+    logger.warn("No usable token for account, skipping automation", {
+      instagramAccountId: instagramAccount._id,
+      automationId: automation._id,
+    })
+    return { messagesSent: 0 }
+  }
+
+  if (automation.flow) {
+    // Starting a flow replaces the contact's flowState, which would strand them in the flow they are in now
+    if (isInFlow(contact)) {
+      logger.info("Contact is already in a flow, not starting another", {
+        contactId: contact._id,
+        automationId: automation._id,
+        currentAutomationId: contact.flowState.automationId,
+      })
+      return { messagesSent: 0 }
+    }
+
+    await applyAutomationToContact(contact, automation, { source: "message" })
+    const flowResult = await startFlow(
+      createFlowContext(instagramAccount, automation, contact, { input: { text: message?.text || "" } }),
+    )
+    return { messagesSent: flowResult.messagesSent }
+  }
+
+  const responseMessage = renderAutomationMessage(
+    automation,
+    buildTemplateContext({ contact, message, account: instagramAccount, automation }),
+    "Thank you for your message!",
+  )
+
+  // A deferred response can run after the 24-hour window has closed
+  const sendMode = await resolveSendMode(instagramAccount, contact)
+  if (!sendMode.allowed) {
+    await recordSkippedSend(
+      {
+        automationId: automation._id,
+        userId: instagramAccount.userId,
+        instagramAccountId: instagramAccount._id,
+        recipientUsername: contact.username,
+        recipientId: contact.senderId,
+        message: responseMessage,
+        isAutomated: true,
+      },
+      sendMode.reason,
+    )
+    return { messagesSent: 0 }
+  }
+
+  let reservedBuckets
+  try {
+    reservedBuckets = await reserveSendCapacity(instagramAccount, automation)
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) throw error
+
+    await enqueueJob(
+      db,
+      "message_automation",
+      {
+        instagramAccountId: instagramAccount._id,
+        automationId: automation._id,
+        contactId: contact._id,
+        message: { text: message?.text || "" },
+      },
+      { runAt: error.deferUntil },
+    )
+
+    logger.info("Response deferred", {
+      senderId: contact.senderId,
+      reason: error.message,
+      deferUntil: error.deferUntil,
+    })
+    return { messagesSent: 0, deferred: true }
+  }
+
+  let success = false
+  let error = null
+
+  try {
+    await sendMessages(
+      getAccountToken(instagramAccount),
+      instagramAccount.instagramId,
+      sendMode.mode,
+      { recipientId: contact.senderId },
+      buildMessages(automation, responseMessage),
+    )
+
+    success = true
+  } catch (sendError) {
+    logger.error("Error sending automated response", {
+      senderId: contact.senderId,
+      automationId: automation._id,
+      error: sendError,
+    })
+    error = sendError
+  }
+
+  if (success) {
+    const autoMessageId = new ObjectId().toString()
+    await recordDirectMessage({
+      _id: autoMessageId,
+      automationId: automation._id,
+      userId: instagramAccount.userId,
+      instagramAccountId: instagramAccount._id,
+      recipientUsername: contact.username,
+      recipientId: contact.senderId,
+      message: responseMessage,
+      messageType: automation.richMessage?.type || "text",
+      sendMode: sendMode.mode,
+      status: "sent",
+      sentAt: new Date(),
+      isAutomated: true,
+    })
+
+    await storage.messages.insert({
+      _id: autoMessageId,
+      contactId: contact._id,
+      instagramAccountId: instagramAccount._id,
+      fromMe: true,
+      message: responseMessage,
+      timestamp: new Date(),
+      isAutomated: true,
+    })
+
+    await storage.automations.recordSend(automation._id)
+
+    await applyAutomationToContact(contact, automation, { source: "message" })
+
+    logger.info("Sent automated response", { contactId: contact._id, automationId: automation._id })
+    return { messagesSent: 1 }
+  } else {
+    await recordDirectMessage({
+      _id: new ObjectId().toString(),
+      automationId: automation._id,
+      userId: instagramAccount.userId,
+      instagramAccountId: instagramAccount._id,
+      recipientUsername: contact.username,
+      recipientId: contact.senderId,
+      message: responseMessage,
+      sendMode: sendMode.mode,
+      status: "failed",
+      ...describeSendError(error),
+      sentAt: new Date(),
+      isAutomated: true,
+    })
+
+    await release(db, reservedBuckets)
+    await handleTokenError(db, instagramAccount, error)
+
+    // Other automations would fail the same way for this account or recipient
+    const stop = error.category === ERROR_CATEGORIES.TOKEN_EXPIRED || error.category === ERROR_CATEGORIES.USER_BLOCKED
+    if (stop) {
+      logger.info("Stopping automations for message", { senderId: contact.senderId, category: error.category })
     }
+    return { messagesSent: 0, stop, retryable: isRetryableSendError(error) }
+  }
+}
+
+// Retry a message automation response that the rate limiter deferred
+async function runDeferredMessageAutomation(data) {
+  const instagramAccount = await storage.accounts.findById(data.instagramAccountId)
+  const automation = await storage.automations.findActiveById(data.automationId)
+  const contact = await storage.contacts.findById(data.contactId)
+
+  if (!instagramAccount || !automation || !contact) {
+    return { success: true, message: "Deferred response no longer applies", messagesSent: 0 }
   }
+
+  return { success: true, ...(await runMessageAutomation(instagramAccount, automation, contact, data.message)) }
 }
 
 // Process a button click (postback)
@@ -931,99 +3433,198 @@ async function processButtonClick(data) {
   try {
     const { automationId, senderId, recipientId } = data
 
-    console.log(`Processing button click: automation=${automationId}, sender=${senderId}`)
+    logger.info("Processing button click", { automationId, senderId })
 
-    const automation = await db.collection("automations").findOne({ _id: automationId })
+    const automation = await storage.automations.findById(automationId)
 
     if (!automation) {
-      throw new Error(`Automation ${automationId} not found`)
+      return { success: false, message: `Automation ${automationId} not found`, retryable: false }
     }
 
-    const instagramAccount = await db.collection("instagramAccounts").findOne({
-      _id: automation.instagramAccountId,
-    })
+    const instagramAccount = await storage.accounts.findById(automation.instagramAccountId)
 
     if (!instagramAccount) {
-      throw new Error(`Instagram account ${automation.instagramAccountId} not found`)
+      return {
+        success: false,
+        message: `Instagram account ${automation.instagramAccountId} not found`,
+        retryable: false,
+      }
     }
 
-    if (
-      !instagramAccount.accessToken ||
-      instagramAccount.accessToken.includes("undefined") ||
-      instagramAccount.accessToken.includes("null")
-    ) {
-      throw new Error(`Invalid token format for account ${instagramAccount.username}`)
+    if (!canSendAs(instagramAccount)) {
+      return {
+        success: false,
+        message: `No usable token for account ${instagramAccount.username}`,
+        retryable: false,
+      }
     }
 
-    let fullMessage = automation.message || "Thank you for your interest!"
-
-    if (automation.addBranding !== false) {
-      fullMessage += `\n\n${automation.brandingMessage || "⚡ Sent via ChatAutoDM — grow your DMs on autopilot"}`
-    }
+    const token = getAccountToken(instagramAccount)
 
     let username = "user"
     try {
-      const token = instagramAccount.pageAccessToken || instagramAccount.accessToken
-      const userResponse = await fetch(
-        `https://graph.instagram.com/v18.0/${senderId}?fields=username&access_token=${token}`,
-        { cache: "no-store" },
-      )
-      if (userResponse.ok) {
-        const userData = await userResponse.json()
-        username = userData.username || username
-      }
+      const userData = await getUserProfile(token, senderId, "username", { retries: 0 })
+      username = userData.username || username
     } catch (error) {
-      console.error("Error getting username:", error)
+      logger.error("Error getting username", { error })
     }
 
-    const dmResponse = await fetch(`https://graph.instagram.com/v18.0/${instagramAccount.instagramId}/messages`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${instagramAccount.pageAccessToken || instagramAccount.accessToken}`,
-      },
-      body: JSON.stringify({
-        recipient: { id: senderId },
-        message: { text: fullMessage },
-      }),
+    const contact = await storage.contacts.findBySender(instagramAccount._id, senderId)
+
+    // A click is an inbound interaction and opens the 24-hour window like a message does
+    const clickedAt = new Date(data.timestamp || Date.now())
+    if (contact && !(contact.lastInboundAt >= clickedAt)) {
+      await storage.contacts.update(contact._id, { $set: { lastInboundAt: clickedAt } })
+      contact.lastInboundAt = clickedAt
+    }
+
+    if (contact?.automationsPaused) {
+      return { success: true, message: `Automations paused for ${contact.username}` }
+    }
+
+    await recordTriggerLog(db, {
+      automation,
+      account: instagramAccount,
+      source: "button_click",
+      sourceId: data.mid,
+      recipientId: senderId,
+      result: { matched: true, reason: "button_click" },
     })
+    publish(STREAM_EVENTS.AUTOMATION_TRIGGERED, accountScope(instagramAccount), {
+      automationId: automation._id,
+      source: "button_click",
+      contactId: contact?._id,
+      username,
+      payload: data.payload,
+    })
+
+    // Clicks from a contact inside this automation's flow feed the flow
+    if (automation.flow && isInFlow(contact, automation._id)) {
+      if (contact.flowState.status !== "waiting") {
+        return { success: true, message: `${senderId} is already in the flow for automation ${automation._id}` }
+      }
 
-    if (!dmResponse.ok) {
-      const errorData = await dmResponse.json()
-      throw new Error(`Failed to send direct message: ${JSON.stringify(errorData)}`)
+      const flowResult = await handleFlowInput(createFlowContext(instagramAccount, automation, contact), {
+        payload: data.payload,
+        text: data.title,
+      })
+
+      return {
+        success: true,
+        message: `Advanced flow for ${senderId} in automation ${automation._id}`,
+        flow: flowResult,
+      }
     }
 
-    await db.collection("directMessages").insertOne({
-      _id: new ObjectId().toString(),
+    // Deliver the gated content. Without a dedicated contentMessage the automation message is
+    // resent as plain text, never with its buttons, so a click can't loop back into itself.
+    const contentAutomation = { ...automation, message: automation.contentMessage || automation.message }
+
+    const fullMessage = renderAutomationMessage(
+      contentAutomation,
+      buildTemplateContext({ contact: contact || { username }, account: instagramAccount, automation }),
+      "Thank you for your interest!",
+    )
+
+    // A click retried by the queue may have outlived its window
+    const sendMode = await resolveSendMode(instagramAccount, { ...contact, lastInboundAt: clickedAt })
+    if (!sendMode.allowed) {
+      await recordSkippedSend(
+        {
+          automationId: automation._id,
+          userId: instagramAccount.userId,
+          instagramAccountId: instagramAccount._id,
+          recipientUsername: username,
+          recipientId: senderId,
+          message: fullMessage,
+        },
+        sendMode.reason,
+      )
+      return { success: true, message: `Not sending content DM to ${username}: ${sendMode.reason}` }
+    }
+
+    let reservedBuckets
+    try {
+      reservedBuckets = await reserveSendCapacity(instagramAccount, automation)
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error
+
+      // The job queue picks the click up again once there is capacity
+      logger.info("Deferring button click", { senderId, reason: error.message })
+      return { success: true, message: error.message, deferred: true, deferUntil: error.deferUntil }
+    }
+
+    try {
+      await sendMessages(
+        token,
+        instagramAccount.instagramId,
+        sendMode.mode,
+        { recipientId: senderId },
+        buildMessages(automation, fullMessage, automation.contentRichMessage),
+      )
+    } catch (error) {
+      await release(db, reservedBuckets)
+      await recordDirectMessage({
+        _id: new ObjectId().toString(),
+        automationId: automation._id,
+        userId: instagramAccount.userId,
+        instagramAccountId: instagramAccount._id,
+        recipientUsername: username,
+        recipientId: senderId,
+        message: fullMessage,
+        messageType: automation.contentRichMessage?.type || "text",
+        sendMode: sendMode.mode,
+        status: "failed",
+        ...describeSendError(error),
+        sentAt: new Date(),
+      })
+      await handleTokenError(db, instagramAccount, error)
+      throw error
+    }
+
+    const contentMessageId = new ObjectId().toString()
+    await recordDirectMessage({
+      _id: contentMessageId,
       automationId: automation._id,
       userId: instagramAccount.userId,
       instagramAccountId: instagramAccount._id,
       recipientUsername: username,
       recipientId: senderId,
       message: fullMessage,
+      messageType: automation.contentRichMessage?.type || "text",
+      sendMode: sendMode.mode,
       status: "sent",
       sentAt: new Date(),
     })
 
-    await db.collection("automations").updateOne(
-      { _id: automation._id },
-      {
-        $inc: { totalDMsSent: 1 },
-        $set: { lastTriggered: new Date() },
-      },
-    )
+    // Show the content DM in the contact's inbox conversation
+    const recipient = contact || (await findOrCreateContact(instagramAccount, { id: senderId, username }))
+    await storage.messages.insert({
+      _id: contentMessageId,
+      contactId: recipient._id,
+      instagramAccountId: instagramAccount._id,
+      fromMe: true,
+      message: fullMessage,
+      timestamp: new Date(),
+      isAutomated: true,
+    })
 
-    console.log(`Sent content DM to ${username} for automation ${automation._id}`)
+    await storage.automations.recordSend(automation._id)
+
+    logger.info("Sent content DM", { senderId, automationId: automation._id })
 
     return {
       success: true,
       message: `Sent content DM to ${username} for automation ${automation._id}`,
     }
   } catch (error) {
-    console.error("Error processing button click:", error)
+    logger.error("Error processing button click", { error })
     return {
       success: false,
       message: `Error: ${error.message}`,
+      errorCategory: error.category,
+      // Only transient Graph failures are worth another attempt from the job queue
+      retryable: !error.category || isRetryableSendError(error),
     }
   }
 }
@@ -1031,174 +3632,191 @@ async function processButtonClick(data) {
 // Find or create a post
 async function findOrCreatePost(mediaId) {
   try {
-    const post = await db.collection("posts").findOne({ instagramId: mediaId })
+    const post = await storage.posts.findByMediaId(mediaId)
 
     if (post) {
       return post
     }
 
-    const accounts = await db.collection("instagramAccounts").find({}).toArray()
+    const accounts = await storage.accounts.list()
 
     for (const account of accounts) {
       try {
-        if (!account.accessToken || account.accessToken.includes("undefined") || account.accessToken.includes("null")) {
-          console.log(`Invalid token format for account ${account.username}, skipping`)
+        if (!canSendAs(account)) {
+          logger.warn("No usable token for account, skipping", { instagramAccountId: account._id })
           continue
         }
 
-        const token = account.pageAccessToken || account.accessToken
-        if (!token) continue
+        // The media only resolves with the token of the account that owns it, so a
+        // permanent error just means "not this account"
+        const postData = await getMedia(getAccountToken(account), mediaId, "id,permalink,caption", { retries: 1 })
 
-        const response = await fetch(
-          `https://graph.instagram.com/v18.0/${mediaId}?fields=id,permalink,caption&access_token=${token}`,
-          { next: { revalidate: 0 } },
-        )
-
-        if (response.ok) {
-          const postData = await response.json()
-
-          const newPost = {
-            _id: new ObjectId().toString(),
-            instagramAccountId: account._id,
-            instagramId: mediaId,
-            caption: postData.caption || "",
-            permalink: postData.permalink || "",
-            createdAt: new Date(),
-            updatedAt: new Date(),
-          }
+        const newPost = {
+          _id: new ObjectId().toString(),
+          instagramAccountId: account._id,
+          instagramId: mediaId,
+          caption: postData.caption || "",
+          permalink: postData.permalink || "",
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        }
 
-          await db.collection("posts").insertOne(newPost)
-          console.log(`Created new post for media ${mediaId}`)
+        await storage.posts.insert(newPost)
+        logger.info("Created new post", { mediaId })
 
-          return newPost
-        }
+        return newPost
       } catch (error) {
-        console.error(`Error fetching post details with account ${account.username}:`, error)
+        logger.error("Error fetching post details", { mediaId, instagramAccountId: account._id, error })
       }
     }
 
     return null
   } catch (error) {
-    console.error("Error finding or creating post:", error)
+    logger.error("Error finding or creating post", { error })
     return null
   }
 }
 
-// Reply to a comment
-async function replyToComment(accessToken, commentId, replyText) {
-  try {
-    if (!accessToken || accessToken.includes("undefined") || accessToken.includes("null")) {
-      throw new Error("Invalid access token format")
-    }
-
-    const response = await fetch(
-      `https://graph.instagram.com/v18.0/${commentId}/replies?message=${encodeURIComponent(replyText)}&access_token=${accessToken}`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    )
-
-    if (!response.ok) {
-      const errorData = await response.json()
-      throw new Error(`Failed to reply to comment: ${JSON.stringify(errorData)}`)
-    }
-
-    return await response.json()
-  } catch (error) {
-    console.error("Error replying to comment:", error)
-    throw error
-  }
-}
-
-// Self-ping mechanism to prevent sleeping
-function startKeepAlive() {
-  const serverUrl = process.env.RENDER_SERVER_URL || "https://server-dm-5909.onrender.com"
-
-  // Self-ping every 25 seconds
-  keepAliveInterval = setInterval(async () => {
-    try {
-      const response = await fetch(`${serverUrl}/keep-alive`)
-      if (response.ok) {
-        const data = await response.json()
-        console.log(`Self-ping successful - Uptime: ${Math.floor(data.uptime)}s`)
-      }
-    } catch (error) {
-      console.error("Self-ping failed:", error)
-    }
-  }, 25000) // 25 seconds
-
-  // Health check every 2 minutes
-  healthCheckInterval = setInterval(
-    async () => {
-      try {
-        // Fix any Instagram account IDs that are still "unknown"
-        await fixInstagramAccountIds()
-
-        // Clean up old processed events
-        const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        await db.collection("processedEvents").deleteMany({
-          timestamp: { $lt: oneWeekAgo },
-        })
-
-        // Update server status
-        await db.collection("serverStatus").updateOne(
-          { _id: "health-check" },
-          {
-            $set: {
-              lastHealthCheck: new Date(),
-              status: "healthy",
-              uptime: process.uptime(),
-            },
+// Recurring jobs run by the in-process scheduler (lib/scheduler.js). Schedules are cron expressions in UTC,
+// with an optional leading seconds field, and can be overridden with the environment variables named here.
+const scheduledJobs = [
+  {
+    name: "process-pending",
+    description: "Retry incoming messages and comments that weren't processed",
+    schedule: process.env.SCHEDULE_PROCESS_PENDING || "*/30 * * * * *",
+    handler: async () => ({
+      pendingMessages: await processPendingMessages(),
+      pendingComments: await processPendingComments(),
+    }),
+  },
+  {
+    name: "fix-account-ids",
+    description: 'Resolve Instagram account IDs that are still "unknown"',
+    schedule: process.env.SCHEDULE_FIX_ACCOUNT_IDS || "*/2 * * * *",
+    handler: async () => {
+      await fixInstagramAccountIds()
+    },
+  },
+  {
+    name: "cleanup-processed-events",
+    description: "Delete processedEvents entries older than a week",
+    schedule: process.env.SCHEDULE_CLEANUP_PROCESSED_EVENTS || "0 * * * *",
+    handler: async () => {
+      const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+      const result = await storage.events.deleteOlderThan(oneWeekAgo)
+      return { deleted: result.deletedCount }
+    },
+  },
+  {
+    name: "refresh-tokens",
+    description: "Refresh long-lived tokens before they expire",
+    schedule: process.env.SCHEDULE_REFRESH_TOKENS || "0 * * * *",
+    lockTtlMs: 30 * 60 * 1000,
+    handler: ({ db }) => refreshExpiringTokens(db),
+  },
+  {
+    name: "health-check",
+    description: "Record that the server is up in serverStatus",
+    schedule: process.env.SCHEDULE_HEALTH_CHECK || "*/2 * * * *",
+    handler: async ({ db }) => {
+      await db.collection("serverStatus").updateOne(
+        { _id: "health-check" },
+        {
+          $set: {
+            lastHealthCheck: new Date(),
+            status: "healthy",
+            uptime: process.uptime(),
           },
-          { upsert: true },
-        )
-
-        console.log("Health check completed")
-      } catch (error) {
-        console.error("Error in health check:", error)
-      }
+        },
+        { upsert: true },
+      )
     },
-    2 * 60 * 1000,
-  ) // 2 minutes
+  },
+]
+
+// Serve Graph API calls from the built-in simulator instead of Instagram (GRAPH_SIMULATOR=true). Its control
+// API (recorded calls, fault injection) is on the simulator's own port under /__simulator.
+async function startGraphSimulator() {
+  if (process.env.NODE_ENV === "production") {
+    logger.warn("GRAPH_SIMULATOR is set in production: no messages will reach Instagram")
+  }
 
-  console.log("Keep-alive mechanism started")
+  const { url } = await createGraphSimulator().listen(Number(process.env.GRAPH_SIMULATOR_PORT) || 4010)
+  setGraphBaseUrl(url)
+  logger.info("Graph API calls go to the simulator", { url })
 }
 
 // Start the server
 async function startServer() {
   try {
+    if (process.env.GRAPH_SIMULATOR === "true") {
+      await startGraphSimulator()
+    }
+
     await connectToMongoDB()
 
     app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`)
+      logger.info("Server running", { port: PORT })
+
+      // Start draining the job queue
+      jobWorker = createWorker({
+        getDb: () => db,
+        handlers: {
+          comment: runQueuedEvent,
+          message: runQueuedEvent,
+          button_click: runQueuedEvent,
+          flow_resume: runFlowResumeJob,
+          message_automation: runDeferredMessageAutomation,
+          [DELIVERY_JOB]: (data, job) => deliverWebhook(db, data, job),
+          [CAMPAIGN_BATCH_JOB]: runCampaignBatch,
+        },
+        concurrency: Number(process.env.JOB_WORKER_CONCURRENCY) || 1,
+      })
+      jobWorker.start()
 
-      // Start keep-alive mechanism after 10 seconds
-      setTimeout(() => {
-        startKeepAlive()
-      }, 10000)
+      stopWebhookDispatcher = startWebhookDispatcher(() => db)
+
+      scheduler = createScheduler({ getDb: () => db, jobs: scheduledJobs })
+      scheduler.start().catch((error) => logger.error("Error starting scheduler", { error }))
     })
   } catch (error) {
-    console.error("Error starting server:", error)
+    logger.error("Error starting server", { error })
     process.exit(1)
   }
 }
 
 // Handle graceful shutdown
 process.on("SIGTERM", async () => {
-  console.log("SIGTERM received, shutting down gracefully")
+  logger.info("SIGTERM received, shutting down gracefully")
+
+  if (scheduler) {
+    await scheduler.stop()
+  }
+
+  if (stopWebhookDispatcher) stopWebhookDispatcher()
 
-  // Clear intervals
-  if (keepAliveInterval) clearInterval(keepAliveInterval)
-  if (healthCheckInterval) clearInterval(healthCheckInterval)
+  if (jobWorker) {
+    await jobWorker.stop()
+  }
 
   if (client) {
     await client.close()
-    console.log("MongoDB connection closed")
+    logger.info("MongoDB connection closed")
   }
   process.exit(0)
 })
 
-startServer()
+// Tests require this module and call useStorage() instead of starting the server
+if (require.main === module) {
+  startServer()
+}
+
+module.exports = {
+  app,
+  useStorage,
+  queueEvent,
+  runQueuedEvent,
+  processComment,
+  processMessage,
+  processButtonClick,
+}
@@ -0,0 +1,41 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+// Quiets the logger
+require("./helpers")
+const { createMemoryDb } = require("../lib/memoryDb")
+const {
+  CAMPAIGNS_COLLECTION,
+  RECIPIENTS_COLLECTION,
+  RECIPIENT_CLAIM_LEASE_MS,
+  expireStaleRecipients,
+} = require("../lib/campaigns")
+
+describe("campaign recipients", () => {
+  let db
+
+  beforeEach(async () => {
+    db = createMemoryDb("test")
+    await db.collection(CAMPAIGNS_COLLECTION).insertOne({ _id: "campaign_1", status: "running", stats: {} })
+  })
+
+  it("fails recipients a crashed batch left in sending", async () => {
+    const now = new Date()
+    await db.collection(RECIPIENTS_COLLECTION).insertMany([
+      {
+        _id: "stale",
+        campaignId: "campaign_1",
+        status: "sending",
+        claimedAt: new Date(now.getTime() - RECIPIENT_CLAIM_LEASE_MS - 1000),
+      },
+      { _id: "in_flight", campaignId: "campaign_1", status: "sending", claimedAt: now },
+    ])
+
+    assert.equal(await expireStaleRecipients(db, "campaign_1", now), 1)
+
+    const stale = await db.collection(RECIPIENTS_COLLECTION).findOne({ _id: "stale" })
+    assert.equal(stale.status, "failed")
+    assert.equal(stale.errorCategory, "interrupted")
+    assert.equal((await db.collection(RECIPIENTS_COLLECTION).findOne({ _id: "in_flight" })).status, "sending")
+    assert.equal((await db.collection(CAMPAIGNS_COLLECTION).findOne({ _id: "campaign_1" })).stats.failed, 1)
+  })
+})
@@ -0,0 +1,189 @@
+const crypto = require("crypto")
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const fetch = require("node-fetch")
+const {
+  INSTAGRAM_ID,
+  startSimulator,
+  useMemoryStorage,
+  seedAccount,
+  seedPost,
+  seedAutomation,
+  sentMessages,
+} = require("./helpers")
+const { claimJob } = require("../lib/queue")
+const server = require("../server")
+
+const APP_SECRET = "test_app_secret"
+
+// A comment starts the flow, which asks a question with two buttons and branches on the one tapped
+const QUESTION_FLOW = {
+  steps: [
+    {
+      id: "ask",
+      type: "send_message",
+      message: "Want the guide?",
+      richMessage: {
+        type: "buttons",
+        buttons: [
+          { type: "postback", title: "Yes please", payload: "YES" },
+          { type: "postback", title: "No thanks", payload: "NO" },
+        ],
+      },
+      next: "wait",
+    },
+    { id: "wait", type: "wait_for_reply", next: "choose" },
+    {
+      id: "choose",
+      type: "branch",
+      branches: [
+        { payload: "YES", next: "send_guide" },
+        { payload: "NO", next: "goodbye" },
+      ],
+      defaultNext: "goodbye",
+    },
+    { id: "send_guide", type: "send_message", message: "Here is the guide", next: "done" },
+    { id: "goodbye", type: "send_message", message: "No problem", next: "done" },
+    { id: "done", type: "end" },
+  ],
+}
+
+describe("flows driven by webhook deliveries", () => {
+  let graph
+  let app
+  let db
+  let account
+
+  before(async () => {
+    process.env.INSTAGRAM_APP_SECRET = APP_SECRET
+    graph = await startSimulator()
+    app = await new Promise((resolve) => {
+      const listener = server.app.listen(0, () => resolve(listener))
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => app.close(resolve))
+    await graph.close()
+    delete process.env.INSTAGRAM_APP_SECRET
+  })
+
+  beforeEach(async () => {
+    graph.simulator.reset()
+    db = await useMemoryStorage(server)
+    account = await seedAccount(db)
+  })
+
+  async function postWebhook(body) {
+    const rawBody = JSON.stringify(body)
+    const signature = crypto.createHmac("sha256", APP_SECRET).update(rawBody).digest("hex")
+
+    return fetch(`http://localhost:${app.address().port}/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": `sha256=${signature}` },
+      body: rawBody,
+    })
+  }
+
+  // Run the jobs the webhook queued, the way the worker would
+  async function runQueuedJobs() {
+    const results = []
+    let job
+    while ((job = await claimJob(db, "worker_1"))) {
+      results.push(await server.runQueuedEvent(job.data, job))
+    }
+    return results
+  }
+
+  it("takes the branch for the button the contact tapped", async () => {
+    const post = await seedPost(db, account)
+    const automation = await seedAutomation(db, account, {
+      postId: post._id,
+      flow: QUESTION_FLOW,
+      addBranding: false,
+    })
+
+    await server.processComment({
+      id: "comment_1",
+      media_id: post.instagramId,
+      text: "guide",
+      from: { id: "commenter_1", username: "alice" },
+    })
+
+    // Tap "Yes please" with the payload Instagram was given for it
+    const [question] = sentMessages(graph.simulator)
+    const yes = question.body.message.attachment.payload.buttons.find((button) => button.title === "Yes please")
+
+    const response = await postWebhook({
+      object: "instagram",
+      entry: [
+        {
+          id: INSTAGRAM_ID,
+          time: Date.now(),
+          messaging: [
+            {
+              sender: { id: "commenter_1" },
+              recipient: { id: INSTAGRAM_ID },
+              timestamp: Date.now(),
+              postback: { mid: "mid_click_1", title: yes.title, payload: yes.payload },
+            },
+          ],
+        },
+      ],
+    })
+    assert.equal(response.status, 200)
+
+    const [result] = await runQueuedJobs()
+    assert.equal(result.success, true)
+
+    const [, answer] = sentMessages(graph.simulator)
+    assert.deepEqual(answer.body.recipient, { id: "commenter_1" })
+    assert.equal(answer.body.message.text, "Here is the guide")
+
+    const contact = await db.collection("contacts").findOne({ senderId: "commenter_1" })
+    assert.equal(contact.flowState.automationId, automation._id)
+    assert.equal(contact.flowState.status, "completed")
+  })
+
+  it("doesn't start a second flow for a contact already in one", async () => {
+    const waitingFlow = (message) => ({
+      steps: [
+        { id: "ask", type: "send_message", message, next: "wait" },
+        { id: "wait", type: "wait_for_reply", next: "done" },
+        { id: "done", type: "end" },
+      ],
+    })
+    const first = await seedAutomation(db, account, {
+      type: "message",
+      flow: waitingFlow("First flow"),
+      addBranding: false,
+    })
+    await seedAutomation(db, account, { type: "message", flow: waitingFlow("Second flow"), addBranding: false })
+
+    await server.processMessage({
+      sender: { id: "sender_1" },
+      recipient: { id: INSTAGRAM_ID },
+      message: { mid: "mid_1", text: "hello" },
+      mid: "mid_1",
+      timestamp: Date.now(),
+    })
+
+    assert.deepEqual(
+      sentMessages(graph.simulator).map((call) => call.body.message.text),
+      ["First flow"],
+    )
+    const contact = await db.collection("contacts").findOne({ senderId: "sender_1" })
+    assert.equal(contact.flowState.automationId, first._id)
+    assert.equal(contact.flowState.status, "waiting")
+  })
+
+  it("rejects deliveries without a valid signature", async () => {
+    const response = await fetch(`http://localhost:${app.address().port}/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": "sha256=0000" },
+      body: JSON.stringify({ object: "instagram", entry: [] }),
+    })
+
+    assert.equal(response.status, 401)
+  })
+})
@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { TOKEN, startSimulator, useMemoryStorage, seedAccount, seedPost, seedAutomation } = require("./helpers")
+const { ERROR_CATEGORIES, GraphApiError, graphRequest, sendMessage } = require("../lib/graph")
+const { TOKEN_STATUSES, handleTokenError } = require("../lib/tokens")
+const server = require("../server")
+
+// Retries in these tests shouldn't wait seconds
+const FAST = { backoffMs: 1 }
+
+describe("Graph API failures", () => {
+  let graph
+
+  before(async () => {
+    graph = await startSimulator()
+  })
+
+  after(async () => {
+    await graph.close()
+  })
+
+  beforeEach(() => {
+    graph.simulator.reset()
+  })
+
+  it("retries a rate-limited request and returns the next response", async () => {
+    graph.simulator.addMedia({ id: "media_1", caption: "Hello" })
+    graph.simulator.injectFault({ type: "rate_limit", path: "/media_1", times: 1 })
+
+    const media = await graphRequest({ path: "media_1", token: TOKEN, params: { fields: "caption" }, ...FAST })
+
+    assert.equal(media.caption, "Hello")
+    assert.deepEqual(
+      graph.simulator.calls.map((call) => call.fault || call.status),
+      ["rate_limit", 200],
+    )
+  })
+
+  it("gives up on 5xx responses after the configured retries", async () => {
+    graph.simulator.injectFault({ type: "server_error", path: "/media_1", times: 10 })
+
+    await assert.rejects(graphRequest({ path: "media_1", token: TOKEN, retries: 2, ...FAST }), (error) => {
+      assert.ok(error instanceof GraphApiError)
+      assert.equal(error.status, 500)
+      assert.equal(error.category, ERROR_CATEGORIES.RETRYABLE)
+      return true
+    })
+    assert.equal(graph.simulator.calls.length, 3)
+  })
+
+  it("retries a GET whose connection dropped", async () => {
+    graph.simulator.addMedia({ id: "media_1" })
+    graph.simulator.injectFault({ type: "network", path: "/media_1", times: 1 })
+
+    const media = await graphRequest({ path: "media_1", token: TOKEN, ...FAST })
+
+    assert.equal(media.id, "media_1")
+    assert.equal(graph.simulator.calls.length, 2)
+  })
+
+  it("doesn't resend a POST whose connection dropped", async () => {
+    graph.simulator.injectFault({ type: "network", method: "POST", path: "/messages", times: 1 })
+
+    await assert.rejects(
+      sendMessage(TOKEN, "ig_1", { recipient: { id: "user_1" }, message: { text: "Hi" } }, FAST),
+      (error) => error.status === undefined,
+    )
+    assert.equal(graph.simulator.calls.length, 1)
+  })
+
+  it("doesn't resend a POST that timed out", async () => {
+    graph.simulator.injectFault({ type: "server_error", method: "POST", path: "/messages", times: 1, delayMs: 200 })
+
+    await assert.rejects(
+      sendMessage(TOKEN, "ig_1", { recipient: { id: "user_1" }, message: { text: "Hi" } }, { ...FAST, timeoutMs: 50 }),
+    )
+    assert.equal(graph.simulator.calls.length, 1)
+  })
+
+  it("resends a POST that Graph rejected as throttled", async () => {
+    graph.simulator.injectFault({ type: "rate_limit", method: "POST", path: "/messages", times: 1 })
+
+    const result = await sendMessage(TOKEN, "ig_1", { recipient: { id: "user_1" }, message: { text: "Hi" } }, FAST)
+
+    assert.ok(result.message_id)
+    assert.equal(graph.simulator.calls.length, 2)
+  })
+
+  it("doesn't retry an expired token", async () => {
+    graph.simulator.expireToken(TOKEN)
+
+    await assert.rejects(graphRequest({ path: "media_1", token: TOKEN, ...FAST }), (error) => {
+      assert.equal(error.code, 190)
+      assert.equal(error.category, ERROR_CATEGORIES.TOKEN_EXPIRED)
+      return true
+    })
+    assert.equal(graph.simulator.calls.length, 1)
+  })
+
+  describe("expired tokens", () => {
+    let db
+    let account
+
+    beforeEach(async () => {
+      db = await useMemoryStorage(server)
+      account = await seedAccount(db)
+    })
+
+    it("flags the account for re-authentication and pauses its automations", async () => {
+      const automation = await seedAutomation(db, account)
+      graph.simulator.expireToken(TOKEN)
+
+      const error = await graphRequest({ path: "me", token: TOKEN, ...FAST }).catch((error) => error)
+      const result = await handleTokenError(db, account, error)
+
+      assert.equal(result.changed, true)
+      assert.equal(result.pausedAutomations, 1)
+
+      const stored = await db.collection("instagramAccounts").findOne({ _id: account._id })
+      assert.equal(stored.tokenStatus, TOKEN_STATUSES.NEEDS_REAUTH)
+      assert.equal(stored.tokenErrorCode, 190)
+
+      const paused = await db.collection("automations").findOne({ _id: automation._id })
+      assert.equal(paused.active, false)
+      assert.equal(paused.pausedReason, TOKEN_STATUSES.NEEDS_REAUTH)
+    })
+
+    it("ignores errors that aren't about the token", async () => {
+      graph.simulator.injectFault({ type: "invalid_parameter", times: 1 })
+
+      const error = await graphRequest({ path: "me", token: TOKEN, ...FAST }).catch((error) => error)
+      const result = await handleTokenError(db, account, error)
+
+      assert.equal(result.changed, false)
+      const stored = await db.collection("instagramAccounts").findOne({ _id: account._id })
+      assert.equal(stored.tokenStatus, undefined)
+    })
+
+    it("is handled when a comment's DM is rejected", async () => {
+      const post = await seedPost(db, account)
+      const automation = await seedAutomation(db, account, { postId: post._id })
+      graph.simulator.injectFault({ type: "token_expired", method: "POST", path: "/messages", times: 1 })
+
+      const result = await server.processComment({
+        id: "comment_1",
+        media_id: post.instagramId,
+        text: "hi",
+        from: { id: "commenter_1", username: "alice" },
+      })
+
+      assert.equal(result.messagesSent, 0)
+
+      const dm = await db.collection("directMessages").findOne({ commentId: "comment_1" })
+      assert.equal(dm.status, "failed")
+      assert.equal(dm.errorCategory, ERROR_CATEGORIES.TOKEN_EXPIRED)
+
+      const stored = await db.collection("instagramAccounts").findOne({ _id: account._id })
+      assert.equal(stored.tokenStatus, TOKEN_STATUSES.NEEDS_REAUTH)
+      assert.equal((await db.collection("automations").findOne({ _id: automation._id })).active, false)
+    })
+  })
+})
@@ -0,0 +1,32 @@
+const { describe, it, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const { startSimulator } = require("./helpers")
+const { createMemoryDb } = require("../lib/memoryDb")
+const { getHealthReport } = require("../lib/health")
+
+describe("health report", () => {
+  let graph
+
+  before(async () => {
+    graph = await startSimulator()
+  })
+
+  after(async () => {
+    await graph.close()
+  })
+
+  it("shares one Graph ping between concurrent probes", async () => {
+    const db = createMemoryDb("test")
+    // Keep the ping in flight while the other probes arrive
+    graph.simulator.injectFault({ type: "server_error", path: "/", times: 1, delayMs: 100 })
+
+    const reports = await Promise.all([1, 2, 3].map(() => getHealthReport({ db })))
+    const again = await getHealthReport({ db })
+
+    assert.equal(graph.simulator.calls.length, 1)
+    for (const report of [...reports, again]) {
+      assert.equal(report.checks.graph.status, "ok")
+      assert.equal(report.checks.graph.httpStatus, 500)
+    }
+  })
+})
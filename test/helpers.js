@@ -0,0 +1,89 @@
+const { ObjectId } = require("mongodb")
+const { setLogLevel } = require("../lib/logger")
+
+// Quiet unless a test run asks for logs, e.g. LOG_LEVEL=debug npm test
+if (!process.env.LOG_LEVEL) setLogLevel("silent")
+
+const { createGraphSimulator } = require("../lib/graphSimulator")
+const { setGraphBaseUrl } = require("../lib/graph")
+const { createMemoryDb } = require("../lib/memoryDb")
+
+const TOKEN = "IGAAtesttoken0123456789"
+const INSTAGRAM_ID = "17841400000000001"
+
+// Start a Graph API simulator and send every Graph call to it. Resolves to { simulator, url, close }.
+async function startSimulator() {
+  const simulator = createGraphSimulator()
+  const { url, close } = await simulator.listen(0)
+  setGraphBaseUrl(url)
+  return { simulator, url, close }
+}
+
+// Point the server at a fresh in-memory database
+async function useMemoryStorage(server) {
+  const db = createMemoryDb("test")
+  await server.useStorage(db)
+  return db
+}
+
+async function seedAccount(db, fields = {}) {
+  const account = {
+    _id: new ObjectId().toString(),
+    userId: "user_1",
+    username: "shop",
+    instagramId: INSTAGRAM_ID,
+    accessToken: TOKEN,
+    tokenType: "instagram",
+    createdAt: new Date(),
+    ...fields,
+  }
+  await db.collection("instagramAccounts").insertOne(account)
+  return account
+}
+
+async function seedPost(db, account, fields = {}) {
+  const post = {
+    _id: new ObjectId().toString(),
+    instagramId: "media_1",
+    instagramAccountId: account._id,
+    userId: account.userId,
+    caption: "New drop",
+    createdAt: new Date(),
+    ...fields,
+  }
+  await db.collection("posts").insertOne(post)
+  return post
+}
+
+async function seedAutomation(db, account, fields = {}) {
+  const automation = {
+    _id: new ObjectId().toString(),
+    userId: account.userId,
+    instagramAccountId: account._id,
+    type: "comment",
+    name: "Test automation",
+    trigger: { mode: "any" },
+    message: "Hi {{username}}",
+    active: true,
+    createdAt: new Date(),
+    ...fields,
+  }
+  await db.collection("automations").insertOne(automation)
+  return automation
+}
+
+// The Send API calls the simulator received, with their parsed bodies
+function sentMessages(simulator) {
+  return simulator.calls.filter((call) => call.method === "POST" && call.path.endsWith("/messages") && !call.fault)
+}
+
+module.exports = {
+  TOKEN,
+  INSTAGRAM_ID,
+  startSimulator,
+  useMemoryStorage,
+  seedAccount,
+  seedPost,
+  seedAutomation,
+  sentMessages,
+}
@@ -0,0 +1,279 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  INSTAGRAM_ID,
+  startSimulator,
+  useMemoryStorage,
+  seedAccount,
+  seedPost,
+  seedAutomation,
+  sentMessages,
+} = require("./helpers")
+const { claimJob } = require("../lib/queue")
+const server = require("../server")
+
+describe("automation pipeline on the in-memory backend", () => {
+  let graph
+  let db
+  let account
+
+  before(async () => {
+    graph = await startSimulator()
+  })
+
+  after(async () => {
+    await graph.close()
+  })
+
+  beforeEach(async () => {
+    graph.simulator.reset()
+    db = await useMemoryStorage(server)
+    account = await seedAccount(db)
+  })
+
+  it("sends a private reply to a matching comment", async () => {
+    const post = await seedPost(db, account)
+    const automation = await seedAutomation(db, account, {
+      postId: post._id,
+      trigger: { mode: "contains", keywords: ["price"] },
+      message: "Hi {{username}}, here is the price list",
+      addBranding: false,
+    })
+
+    const result = await server.processComment({
+      id: "comment_1",
+      media_id: post.instagramId,
+      text: "What's the price?",
+      from: { id: "commenter_1", username: "alice" },
+    })
+
+    assert.equal(result.success, true)
+    assert.equal(result.messagesSent, 1)
+
+    const [call] = sentMessages(graph.simulator)
+    assert.equal(call.path, `/${INSTAGRAM_ID}/messages`)
+    assert.deepEqual(call.body.recipient, { comment_id: "comment_1" })
+    assert.equal(call.body.message.text, "Hi alice, here is the price list")
+
+    const dm = await db.collection("directMessages").findOne({ commentId: "comment_1" })
+    assert.equal(dm.status, "sent")
+    assert.equal(dm.automationId, automation._id)
+  })
+
+  it("puts the attachment in the private reply when the message has several parts", async () => {
+    const post = await seedPost(db, account)
+    await seedAutomation(db, account, {
+      postId: post._id,
+      message: "Here is the guide",
+      richMessage: { type: "media", media: { type: "file", url: "https://example.com/guide.pdf" } },
+      addBranding: false,
+    })
+
+    await server.processComment({
+      id: "comment_1",
+      media_id: post.instagramId,
+      text: "guide",
+      from: { id: "commenter_1", username: "alice" },
+    })
+
+    const calls = sentMessages(graph.simulator)
+    assert.equal(calls.length, 1)
+    assert.deepEqual(calls[0].body.recipient, { comment_id: "comment_1" })
+    assert.deepEqual(calls[0].body.message.attachment, {
+      type: "file",
+      payload: { url: "https://example.com/guide.pdf" },
+    })
+  })
+
+  it("skips comments that don't match the trigger", async () => {
+    const post = await seedPost(db, account)
+    await seedAutomation(db, account, { postId: post._id, trigger: { mode: "contains", keywords: ["price"] } })
+
+    const result = await server.processComment({
+      id: "comment_2",
+      media_id: post.instagramId,
+      text: "Nice photo",
+      from: { id: "commenter_2", username: "bob" },
+    })
+
+    assert.equal(result.messagesSent, 0)
+    assert.equal(sentMessages(graph.simulator).length, 0)
+  })
+
+  it("answers a DM that matches a message automation", async () => {
+    await seedAutomation(db, account, {
+      type: "message",
+      trigger: { mode: "contains", keywords: ["hours"] },
+      message: "We're open 9-5",
+      addBranding: false,
+    })
+    graph.simulator.addUser({ id: "sender_1", username: "carol" })
+
+    const result = await server.processMessage({
+      sender: { id: "sender_1" },
+      recipient: { id: INSTAGRAM_ID },
+      message: { mid: "mid_1", text: "What are your hours?" },
+      mid: "mid_1",
+      timestamp: Date.now(),
+    })
+
+    assert.equal(result.success, true)
+
+    const [call] = sentMessages(graph.simulator)
+    assert.deepEqual(call.body.recipient, { id: "sender_1" })
+    assert.equal(call.body.message.text, "We're open 9-5")
+
+    const contact = await db.collection("contacts").findOne({ senderId: "sender_1" })
+    assert.equal(contact.username, "carol")
+  })
+
+  it("doesn't answer the same message twice", async () => {
+    await seedAutomation(db, account, { type: "message", message: "Hello", addBranding: false })
+    const message = {
+      sender: { id: "sender_2" },
+      recipient: { id: INSTAGRAM_ID },
+      message: { mid: "mid_2", text: "hi" },
+      mid: "mid_2",
+      timestamp: Date.now(),
+    }
+
+    await server.processMessage(message)
+    const again = await server.processMessage(message)
+
+    assert.equal(again.processed, false)
+    assert.equal(sentMessages(graph.simulator).length, 1)
+  })
+
+  it("sends a rate-limited comment's DM when its job runs again", async () => {
+    await db.collection("instagramAccounts").updateOne({ _id: account._id }, { $set: { rateLimits: { perHour: 1 } } })
+    const post = await seedPost(db, account)
+    await seedAutomation(db, account, { postId: post._id, message: "Thanks!", addBranding: false })
+    const comment = (id, username) => ({ id, media_id: post.instagramId, text: "me", from: { id: username, username } })
+
+    await server.processComment(comment("comment_1", "alice"))
+    await server.queueEvent("comment", comment("comment_2", "bob"), "webhook")
+    const job = await claimJob(db, "worker_1")
+
+    const deferred = await server.runQueuedEvent(job.data, job)
+    assert.equal(deferred.deferred, true)
+    assert.equal(sentMessages(graph.simulator).length, 1)
+
+    const event = await db.collection("processedEvents").findOne({ jobId: job._id })
+    assert.equal(event.status, "queued")
+    assert.equal(event.processed, false)
+
+    // The hour is over
+    await db.collection("rateLimits").deleteMany({})
+    const result = await server.runQueuedEvent(job.data, job)
+
+    assert.equal(result.messagesSent, 1)
+    assert.deepEqual(sentMessages(graph.simulator)[1].body.recipient, { comment_id: "comment_2" })
+    assert.equal((await db.collection("processedEvents").findOne({ jobId: job._id })).status, "processed")
+  })
+
+  it("answers a DM on the job's next attempt when Graph fails the first", async () => {
+    await seedAutomation(db, account, { type: "message", message: "We're open 9-5", addBranding: false })
+    // Every attempt graphRequest makes on the first run
+    graph.simulator.injectFault({ type: "server_error", method: "POST", path: "/messages", times: 3 })
+
+    const message = { mid: "mid_3", text: "hours?" }
+    await server.queueEvent(
+      "message",
+      { sender: { id: "sender_3" }, recipient: { id: INSTAGRAM_ID }, message, mid: message.mid, timestamp: Date.now() },
+      "webhook",
+    )
+    const job = await claimJob(db, "worker_1")
+
+    const failed = await server.runQueuedEvent(job.data, job)
+    assert.equal(failed.success, false)
+    assert.equal(failed.retryable, true)
+    assert.equal(sentMessages(graph.simulator).length, 0)
+
+    const retried = await server.runQueuedEvent(job.data, job)
+    assert.equal(retried.success, true)
+    assert.equal(retried.messagesSent, 1)
+    assert.equal(sentMessages(graph.simulator).length, 1)
+
+    const incoming = await db.collection("incomingMessages").findOne({ mid: "mid_3" })
+    assert.equal(incoming.processed, true)
+    const statuses = (await db.collection("directMessages").find({ recipientId: "sender_3" }).toArray()).map(
+      (dm) => dm.status,
+    )
+    assert.deepEqual(statuses.sort(), ["failed", "sent"])
+  })
+
+  it("delivers the content DM when a button is clicked", async () => {
+    const automation = await seedAutomation(db, account, {
+      message: "Tap below",
+      contentMessage: "Here is your guide: https://example.com/guide",
+      addBranding: false,
+    })
+    await db.collection("contacts").insertOne({
+      _id: "contact_1",
+      instagramAccountId: account._id,
+      senderId: "clicker_1",
+      username: "dave",
+      lastInboundAt: new Date(),
+    })
+
+    const result = await server.processButtonClick({
+      automationId: automation._id,
+      senderId: "clicker_1",
+      recipientId: INSTAGRAM_ID,
+      payload: "GET_GUIDE",
+      timestamp: Date.now(),
+    })
+
+    assert.equal(result.success, true)
+
+    const [call] = sentMessages(graph.simulator)
+    assert.deepEqual(call.body.recipient, { id: "clicker_1" })
+    assert.equal(call.body.message.text, "Here is your guide: https://example.com/guide")
+
+    const dm = await db.collection("directMessages").findOne({ recipientId: "clicker_1" })
+    assert.equal(dm.status, "sent")
+
+    const inbox = await db.collection("messages").findOne({ contactId: "contact_1", fromMe: true })
+    assert.equal(inbox.message, "Here is your guide: https://example.com/guide")
+  })
+
+  it("records a content DM that couldn't be sent", async () => {
+    const automation = await seedAutomation(db, account, { message: "Tap below", addBranding: false })
+    await db.collection("contacts").insertOne({
+      _id: "contact_2",
+      instagramAccountId: account._id,
+      senderId: "clicker_2",
+      username: "erin",
+      lastInboundAt: new Date(),
+    })
+    graph.simulator.injectFault({ type: "user_blocked", method: "POST", path: "/messages", times: 1 })
+
+    const result = await server.processButtonClick({
+      automationId: automation._id,
+      senderId: "clicker_2",
+      recipientId: INSTAGRAM_ID,
+      timestamp: Date.now(),
+    })
+
+    assert.equal(result.success, false)
+    assert.equal(result.retryable, false)
+
+    const dm = await db.collection("directMessages").findOne({ recipientId: "clicker_2" })
+    assert.equal(dm.status, "failed")
+    assert.equal(dm.errorCategory, "user_blocked")
+    assert.equal(await db.collection("messages").countDocuments({ contactId: "contact_2", fromMe: true }), 0)
+  })
+
+  it("doesn't retry a click on an automation that was deleted", async () => {
+    const result = await server.processButtonClick({
+      automationId: "deleted_automation",
+      senderId: "clicker_3",
+      recipientId: INSTAGRAM_ID,
+      timestamp: Date.now(),
+    })
+
+    assert.equal(result.success, false)
+    assert.equal(result.retryable, false)
+    assert.equal(sentMessages(graph.simulator).length, 0)
+  })
+})
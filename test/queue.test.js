@@ -0,0 +1,50 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+// Quiets the logger
+require("./helpers")
+const { createMemoryDb } = require("../lib/memoryDb")
+const { ensureQueueIndexes, enqueueJob, claimJob, completeJob, failJob } = require("../lib/queue")
+
+describe("job queue", () => {
+  let db
+
+  beforeEach(async () => {
+    db = createMemoryDb("test")
+    await ensureQueueIndexes(db)
+  })
+
+  it("stamps completed jobs with completedAt so the TTL index removes them", async () => {
+    await enqueueJob(db, "comment", { id: "comment_1" })
+    const job = await claimJob(db, "worker_1")
+
+    await completeJob(db, job, { success: true })
+
+    const stored = await db.collection("jobs").findOne({ _id: job._id })
+    assert.equal(stored.status, "completed")
+    assert.ok(stored.completedAt instanceof Date)
+  })
+
+  it("moves a job out of attempts to the dead-letter queue", async () => {
+    await enqueueJob(db, "comment", { id: "comment_1" }, { maxAttempts: 1 })
+    const job = await claimJob(db, "worker_1")
+
+    const result = await failJob(db, job, new Error("boom"))
+
+    assert.equal(result.deadLettered, true)
+    assert.equal(await db.collection("jobs").countDocuments({}), 0)
+    assert.equal((await db.collection("deadLetterJobs").findOne({ _id: job._id })).lastError, "Error: boom")
+  })
+
+  it("leaves a job another worker took over alone", async () => {
+    await enqueueJob(db, "comment", { id: "comment_1" }, { maxAttempts: 1 })
+    const job = await claimJob(db, "worker_1")
+    // worker_1's lease ran out and worker_2 claimed the job
+    await db.collection("jobs").updateOne({ _id: job._id }, { $set: { lockedBy: "worker_2" } })
+
+    const result = await failJob(db, job, new Error("boom"))
+
+    assert.equal(result.deadLettered, false)
+    assert.equal((await db.collection("jobs").findOne({ _id: job._id })).lockedBy, "worker_2")
+    assert.equal(await db.collection("deadLetterJobs").countDocuments({}), 0)
+  })
+})
@@ -0,0 +1,33 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { validateSegment } = require("../lib/segments")
+
+describe("segment validation", () => {
+  it("accepts scalar field values", () => {
+    const errors = validateSegment({
+      fields: [
+        { name: "city", op: "equals", value: "Berlin" },
+        { name: "orders", op: "equals", value: 3 },
+        { name: "city", op: "contains", value: "ber" },
+      ],
+    })
+
+    assert.deepEqual(errors, [])
+  })
+
+  it("rejects object field values that would become query operators", () => {
+    const errors = validateSegment({
+      fields: [
+        { name: "city", op: "equals", value: { $ne: null } },
+        { name: "city", op: "contains", value: ["ber"] },
+      ],
+    })
+
+    assert.equal(errors.length, 2)
+    assert.match(errors[0], /fields\[0\]\.value must be a string, number or boolean/)
+  })
+
+  it("reports a lastInteraction that isn't an object instead of throwing", () => {
+    assert.deepEqual(validateSegment({ lastInteraction: null }), ["lastInteraction must be an object"])
+  })
+})
@@ -0,0 +1,36 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { renderTemplate, validateTemplate } = require("../lib/templates")
+
+const context = { username: "alice", firstName: "Alice" }
+const first = () => 0
+const last = () => 0.99
+
+describe("renderTemplate", () => {
+  it("leaves braces that aren't spintax as written", () => {
+    assert.equal(renderTemplate("Use code {SAVE10} at checkout", context), "Use code {SAVE10} at checkout")
+    assert.equal(renderTemplate("Sad to see you go :-{", context), "Sad to see you go :-{")
+    assert.equal(renderTemplate("Smile :-} or {", context), "Smile :-} or {")
+    assert.deepEqual(validateTemplate("Sad to see you go :-{"), [])
+  })
+
+  it("picks one option from spintax groups", () => {
+    assert.equal(renderTemplate("{Hi|Hello} {{firstName}}", context, { random: first }), "Hi Alice")
+    assert.equal(renderTemplate("{Hi|Hello} {{firstName}}", context, { random: last }), "Hello Alice")
+  })
+
+  it("expands nested groups and placeholders inside them", () => {
+    assert.equal(renderTemplate("{Hey {{username}}|{Hi|Yo}}!", context, { random: first }), "Hey alice!")
+    assert.equal(renderTemplate("{Hey {{username}}|{Hi|Yo}}!", context, { random: last }), "Yo!")
+  })
+
+  it("leaves placeholders with unknown variables as written", () => {
+    assert.equal(renderTemplate("Hi {{nickname}}, {{firstName}}", context), "Hi {{nickname}}, Alice")
+    assert.equal(renderTemplate("{{firstName | post.author}}", context), "{{firstName | post.author}}")
+    assert.deepEqual(validateTemplate("Hi {{nickname}}"), ["Unknown variable: nickname"])
+  })
+
+  it("keeps a code next to spintax", () => {
+    assert.equal(renderTemplate("{Use|Try} {SAVE10}", context, { random: first }), "Use {SAVE10}")
+  })
+})
@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { getPostbackPayload } = require("../lib/messages")
+const { parsePostbackPayload, translateWebhookPayload } = require("../lib/webhook")
+
+const automation = { _id: "automation_1" }
+
+function messaging(event) {
+  return { object: "instagram", entry: [{ id: "ig_1", time: 1, messaging: [event] }] }
+}
+
+describe("postback payloads", () => {
+  it("round-trips a button's own payload", () => {
+    assert.deepEqual(parsePostbackPayload(getPostbackPayload(automation, "YES")), {
+      automationId: "automation_1",
+      payload: "YES",
+    })
+  })
+
+  it("routes buttons without a payload to their automation", () => {
+    assert.deepEqual(parsePostbackPayload(getPostbackPayload(automation)), {
+      automationId: "automation_1",
+      payload: undefined,
+    })
+  })
+
+  it("still reads payloads sent before they were wrapped", () => {
+    assert.deepEqual(parsePostbackPayload("AUTOMATION_automation_1"), { automationId: "automation_1" })
+    assert.deepEqual(parsePostbackPayload("YES"), {})
+  })
+
+  it("turns a postback with a custom payload into a button click", () => {
+    const [event] = translateWebhookPayload(
+      messaging({
+        sender: { id: "user_1" },
+        recipient: { id: "ig_1" },
+        timestamp: 1700000000000,
+        postback: { mid: "mid_1", title: "Yes", payload: getPostbackPayload(automation, "YES") },
+      }),
+    )
+
+    assert.equal(event.type, "button_click")
+    assert.equal(event.data.automationId, "automation_1")
+    assert.equal(event.data.payload, "YES")
+  })
+
+  it("turns a quick reply with a custom payload into a button click", () => {
+    const [event] = translateWebhookPayload(
+      messaging({
+        sender: { id: "user_1" },
+        recipient: { id: "ig_1" },
+        timestamp: 1700000000000,
+        message: { mid: "mid_2", text: "No", quick_reply: { payload: getPostbackPayload(automation, "NO") } },
+      }),
+    )
+
+    assert.equal(event.type, "button_click")
+    assert.equal(event.data.payload, "NO")
+    assert.equal(event.data.title, "No")
+  })
+})